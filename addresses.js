@@ -0,0 +1,69 @@
+// addresses.js
+// Structured Indian postal addresses, `{ line1, line2, city, state, pin }` with
+// `state` a name from INDIAN_STATES, shared by the storefront forms and
+// createOrder. Orders and profiles also keep the one-line text form, which is
+// what older orders have and what the admin and invoices print.
+import { INDIAN_STATES, stateByName } from './indianStates.js';
+import { PIN_STATES, PIN_CITIES } from './pinCodes.js';
+
+export const PIN_RE = /^[1-9]\d{5}$/;
+export const MAX_ADDRESSES = 10;
+export const ADDRESS_FIELDS = ['line1', 'line2', 'city', 'state', 'pin'];
+
+function longestPrefix(map, pin){
+  for(let n = pin.length; n > 1; n--){
+    const hit = map[pin.slice(0, n)];
+    if(hit) return hit;
+  }
+  return null;
+}
+
+// `{ city, state }` for a PIN code from the bundled directory (pinCodes.js);
+// either may be '' when it isn't known.
+export function lookupPin(pin){
+  const p = String(pin || '').trim();
+  if(!PIN_RE.test(p)) return { city: '', state: '' };
+  const code = longestPrefix(PIN_STATES, p);
+  return {
+    city: longestPrefix(PIN_CITIES, p) || '',
+    state: INDIAN_STATES.find(s => s.code === code)?.name || ''
+  };
+}
+
+const text = (v, max) => String(v ?? '').trim().replace(/\s+/g, ' ').slice(0, max);
+
+// `{ value, errors }` from raw form/payload fields, like readSize(). A PIN
+// that the directory places in another state is an error.
+export function readAddress(raw){
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const value = {
+    line1: text(r.line1, 200),
+    line2: text(r.line2, 200),
+    city: text(r.city, 100),
+    state: text(r.state, 100),
+    pin: text(r.pin, 20)
+  };
+  const errors = {};
+  if(!value.line1) errors.line1 = 'Required';
+  if(!value.city) errors.city = 'Required';
+  const state = stateByName(value.state);
+  if(!state) errors.state = 'Choose a state or union territory';
+  else value.state = state.name;
+  if(!PIN_RE.test(value.pin)) errors.pin = 'Must be a 6-digit PIN code';
+  else if(state){
+    const known = lookupPin(value.pin).state;
+    if(known && known !== state.name) errors.pin = `This PIN code is in ${known}`;
+  }
+  return { value, errors };
+}
+
+// "12 Temple Road, Near Clock Tower, Jaipur, Rajasthan 302001"
+export function formatAddress(a){
+  if(!a) return '';
+  return [a.line1, a.line2, a.city, [a.state, a.pin].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+}
+
+// Two entries are the same place when their lines and PIN match, ignoring
+// case, spacing and punctuation.
+const squash = (v) => String(v || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+export const addressKey = (a) => [a.line1, a.line2, a.pin].map(squash).join('|');
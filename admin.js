@@ -1,67 +1,64 @@
 import supabase from './supabaseClient.js';
+import { callFunction } from './api.js';
+import { listOrders, setOrderStatus, issueInvoice, migrateLegacyOrders, listNotifications } from './ordersApi.js';
+import { fetchAppConfig, fetchPrivateSettings, saveAppConfig, getCachedConfig } from './settingsApi.js';
+import { ORDER_STATUSES, STATUS_LABELS, normalizeStatus, nextStatuses } from './orderStatus.js';
+import { PAYMENT_STATUS_LABELS, depositPercentOf } from './paymentTerms.js';
+import { downloadInvoice, downloadQuotation } from './invoicePdf.js';
+import { DEFAULT_GST_RATE, DEFAULT_HSN } from './invoiceTerms.js';
+import { listCommissions, sendQuote, declineCommission, COMMISSION_STATUS_LABELS } from './commissionsApi.js';
+import { createRouter } from './router.js';
+import { SIZE_UNITS, readSize, readWeight, sizeOf, parseDimensions } from './dimensions.js';
+import { createSearchIndex, highlight } from './searchIndex.js';
+import { stockOf, isLowStock, availabilityLabel } from './inventory.js';
+import { MAX_VARIANTS, readVariant } from './variants.js';
+import { parseCsv, toCsv, downloadText } from './csv.js';
+import { imgAttrs, prepareUpload } from './images.js';
+import { COURIERS, DEFAULT_SHIPPING, courierName, trackingLink, shippingConfigOf } from './shipping.js';
+import { NOTIFY_EVENTS, NOTIFY_AUDIENCES, CHANNEL_LABELS, DEFAULT_TEMPLATES, TEMPLATE_PLACEHOLDERS, NOTIFICATION_STATUS_LABELS, templateKey, templatesOf } from './notifications.js';
+import { summary, ordersByStatus, revenueSeries, bucketFor, topBy, repeatCustomerRate, productFunnel, inRange } from './analytics.js';
+import { Chart, registerables } from 'https://cdn.jsdelivr.net/npm/chart.js@4.4.6/+esm';
+import { ordersToRows, customersToRows, downloadRows } from './orderExport.js';
+import { PRODUCT_COLUMNS, guessMapping, recordsFromRows, recordsFromJson, recordToPayload, productRecord, productsToRows } from './productTransfer.js';
 
 (function(){
   'use strict';
 
-  // ------------------ Admin authentication (secure) ------------------
-  const AUTH_KEY = 'adminAuth';
-  const LOCKOUT_KEY = 'adminLockout';
-  const SESSION_KEY = 'adminSession';
-
-  const textEncoder = new TextEncoder();
-  const toBytes = (str) => textEncoder.encode(str);
-  const toBase64 = (arrBuf) => btoa(String.fromCharCode(...new Uint8Array(arrBuf)));
-  const fromBase64 = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
-
-  async function deriveKey(password, salt, iterations = 150000) {
-    const keyMaterial = await crypto.subtle.importKey('raw', toBytes(password), { name: 'PBKDF2' }, false, ['deriveBits', 'deriveKey']);
-    const key = await crypto.subtle.deriveKey(
-      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
-      keyMaterial,
-      { name: 'AES-GCM', length: 256 },
-      true,
-      ['encrypt', 'decrypt']
-    );
-    const raw = await crypto.subtle.exportKey('raw', key);
-    return raw;
-  }
-
-  async function hashPassword(password, saltBytes, iterations = 150000) {
-    const salt = saltBytes || crypto.getRandomValues(new Uint8Array(16));
-    const raw = await deriveKey(password, salt, iterations);
-    return { salt: toBase64(salt), iterations, hash: toBase64(raw) };
-  }
-
-  async function verifyPassword(password, auth) {
-    const salt = fromBase64(auth.salt);
-    const raw = await deriveKey(password, salt, auth.iterations);
-    const compare = toBase64(raw);
-    return compare === auth.hash;
-  }
-
-  function getAuth(){ return ls.get(AUTH_KEY, null); }
-  function setAuth(v){ ls.set(AUTH_KEY, v); }
-
-  function getLockout(){ return ls.get(LOCKOUT_KEY, { count:0, lockUntil:0 }); }
-  function setLockout(v){ ls.set(LOCKOUT_KEY, v); }
-  function resetLockout(){ setLockout({ count:0, lockUntil:0 }); }
-  function recordFailure(){
-    const now = Date.now();
-    const state = getLockout();
-    const count = (state.count||0) + 1;
-    let lockUntil = state.lockUntil||0;
-    if(count >= 5){
-      const step = Math.min(count - 4, 6); // cap growth
-      lockUntil = now + step * 60 * 1000; // minutes
-    }
-    setLockout({ count, lockUntil });
+  Chart.register(...registerables);
+
+  // ------------------ Admin authentication (Supabase Auth + role claim) ------------------
+  // Admins are Supabase Auth users whose app_metadata.role is 'owner' or 'staff'.
+  // Only the service role can write app_metadata, so the claim can't be forged
+  // from the browser, and every function re-checks it on each request.
+  const ADMIN_ROLES = ['owner', 'staff'];
+  let currentAdmin = null; // { id, email, name, role }
+
+  function toAdmin(user){
+    const role = user?.app_metadata?.role;
+    if(!ADMIN_ROLES.includes(role)) return null;
+    return { id: user.id, email: user.email, name: user.user_metadata?.name || user.email, role };
   }
-  function isLockedOut(){
-    const st = getLockout();
-    return (st.lockUntil||0) > Date.now();
+  const isOwner = () => currentAdmin?.role === 'owner';
+
+  // getUser() asks Supabase to validate the stored token instead of trusting it.
+  async function getAdminIdentity(){
+    const { data, error } = await supabase.auth.getUser();
+    if(error || !data?.user) return null;
+    return toAdmin(data.user);
   }
 
-  function hasAuth(){ return !!getAuth(); }
+  async function login(email, password){
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if(error){
+      if(error.status === 429) return { ok:false, reason:'locked' };
+      return { ok:false, reason:'invalid' };
+    }
+    const admin = toAdmin(data.user);
+    if(!admin){ await supabase.auth.signOut(); return { ok:false, reason:'forbidden' }; }
+    return { ok:true, admin };
+  }
+
+  async function logout(){ await supabase.auth.signOut(); }
 
   // ------------------ Utilities ------------------
   const ls = {
@@ -75,7 +72,17 @@ import supabase from './supabaseClient.js';
   const generateId = (prefix='id') => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2,6)}`;
   const currency = (n) => new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(Number(n)||0);
   const formatDate = (ts) => new Date(ts).toLocaleString();
+  const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c=> ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
   const debounce = (fn, delay=250) => { let t; return (...args) => { clearTimeout(t); t=setTimeout(()=>fn(...args), delay); }; };
+  // <input type="date"> values are local days: YYYY-MM-DD <-> local midnight.
+  const dateValue = (ts)=>{ const d = new Date(ts); return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`; };
+  const dayStart = (value, plusDays=0)=>{ const [y, m, d] = value.split('-').map(Number); return new Date(y, m-1, d + plusDays).getTime(); };
+  // { from, to } for a pair of date inputs, both days included; a blank input leaves that end open.
+  const dateRange = (fromSel, toSel)=>{
+    const from = qs(fromSel)?.value;
+    const to = qs(toSel)?.value;
+    return { from: from ? dayStart(from) : null, to: to ? dayStart(to, 1) : null };
+  };
   const upgrade = () => { if(window.componentHandler){ try{ componentHandler.upgradeDom(); }catch(_){} } };
 
   function showSnack(msg){ const el = qs('#snackbar'); if(el && el.MaterialSnackbar){ el.MaterialSnackbar.showSnackbar({ message: msg }); } }
@@ -87,82 +94,19 @@ import supabase from './supabaseClient.js';
     }
     if(!ls.get('products')){
       const seed = [
-        {name:'Shiva Marble Idol', material:'Marble', dimensions:'24in H x 12in W x 10in D', price:12000, categories:['God Idols','Marble'], image:''},
-        {name:'Ganesha Sandstone Idol', material:'Sandstone', dimensions:'18in H x 10in W x 8in D', price:8000, categories:['God Idols','Sandstone'], image:''},
-        {name:'Buddha Granite Bust', material:'Granite', dimensions:'16in H x 10in W x 8in D', price:9500, categories:['Busts','Granite'], image:''},
-        {name:'Nandi Stone Sculpture', material:'Stone', dimensions:'14in H x 18in W x 12in D', price:11000, categories:['Animals','Stone'], image:''},
-        {name:'Radha Krishna Marble Pair', material:'Marble', dimensions:'22in H x 16in W x 10in D', price:20000, categories:['God Idols','Marble'], image:''},
-        {name:'Abstract Marble Art Piece', material:'Marble', dimensions:'20in H x 10in W x 6in D', price:15000, categories:['Abstract','Marble'], image:''},
-        {name:'Elephant Sandstone Figurine', material:'Sandstone', dimensions:'12in H x 16in W x 8in D', price:7000, categories:['Animals','Sandstone'], image:''},
-        {name:'Durga Marble Idol', material:'Marble', dimensions:'26in H x 16in W x 10in D', price:22000, categories:['God Idols','Marble'], image:''},
+        {name:'Shiva Marble Idol', material:'Marble', dimensions:'24in H x 12in W x 10in D', price:12000, categories:['God Idols','Marble'], images:[]},
+        {name:'Ganesha Sandstone Idol', material:'Sandstone', dimensions:'18in H x 10in W x 8in D', price:8000, categories:['God Idols','Sandstone'], images:[]},
+        {name:'Buddha Granite Bust', material:'Granite', dimensions:'16in H x 10in W x 8in D', price:9500, categories:['Busts','Granite'], images:[]},
+        {name:'Nandi Stone Sculpture', material:'Stone', dimensions:'14in H x 18in W x 12in D', price:11000, categories:['Animals','Stone'], images:[]},
+        {name:'Radha Krishna Marble Pair', material:'Marble', dimensions:'22in H x 16in W x 10in D', price:20000, categories:['God Idols','Marble'], images:[]},
+        {name:'Abstract Marble Art Piece', material:'Marble', dimensions:'20in H x 10in W x 6in D', price:15000, categories:['Abstract','Marble'], images:[]},
+        {name:'Elephant Sandstone Figurine', material:'Sandstone', dimensions:'12in H x 16in W x 8in D', price:7000, categories:['Animals','Sandstone'], images:[]},
+        {name:'Durga Marble Idol', material:'Marble', dimensions:'26in H x 16in W x 10in D', price:22000, categories:['God Idols','Marble'], images:[]},
       ].map(p=>({ id: generateId('prod'), description: `${p.name} handcrafted in ${p.material}.`, ...p }));
       ls.set('products', seed);
     }
-    if(!ls.get('users')){ ls.set('users', []); }
-    if(!ls.get('orders')){ ls.set('orders', []); }
-  }
-
-  // ------------------ Session ------------------
-  function getSession(){ return ls.get(SESSION_KEY, null); }
-  function setSession(v){ ls.set(SESSION_KEY, v); }
-  function clearSession(){ localStorage.removeItem(SESSION_KEY); }
-
-  function isLoggedIn(){
-    const s = getSession();
-    if(!s) return false;
-    if((s.expiresAt||0) < Date.now()){ clearSession(); return false; }
-    return true;
-  }
-
-  function createToken(){
-    const bytes = crypto.getRandomValues(new Uint8Array(16));
-    return Array.from(bytes).map(b=>b.toString(16).padStart(2,'0')).join('');
-  }
-
-  function refreshSession(){
-    const s = getSession();
-    if(!s) return;
-    const extended = { ...s, expiresAt: Date.now() + 30*60*1000, lastActivity: Date.now() };
-    setSession(extended);
-  }
-
-  function setupSessionKeepAlive(){
-    const handler = debounce(refreshSession, 60000);
-    ['click','keydown','mousemove','scroll','touchstart'].forEach(evt => {
-      window.addEventListener(evt, handler, { passive:true });
-    });
-  }
-
-  async function login(email, password){
-    if(isLockedOut()){
-      return { ok:false, reason:'locked' };
-    }
-    const auth = getAuth();
-    if(!auth){
-      return { ok:false, reason:'setup-required' };
-    }
-    const ok = await verifyPassword(password, auth) && email === auth.email;
-    if(ok){
-      resetLockout();
-      setSession({ token: createToken(), email, createdAt: Date.now(), expiresAt: Date.now() + 30*60*1000, lastActivity: Date.now() });
-      return { ok:true };
-    } else {
-      recordFailure();
-      return { ok:false, reason:'invalid' };
-    }
   }
 
-  async function setupAdmin(email, password){
-    const strong = typeof password === 'string' && password.length >= 8 && /[A-Za-z]/.test(password) && /\d/.test(password);
-    if(!strong){ return { ok:false, reason:'weak' }; }
-    const hp = await hashPassword(password);
-    setAuth({ email, ...hp, createdAt: Date.now(), version:1 });
-    resetLockout();
-    return { ok:true };
-  }
-
-  function logout(){ clearSession(); }
-
   // ------------------ Data accessors ------------------
   // Products via Supabase
   async function fetchProducts(){
@@ -172,19 +116,11 @@ import supabase from './supabaseClient.js';
       return data || [];
     } catch(err){ console.error('fetchProducts error:', err); showSnack('Failed to fetch products'); return []; }
   }
+  // Product writes go through the Netlify functions (see api.js), which hold the
+  // service_role key and check the caller's admin role from the access token.
   async function createProduct(product){
     try{
-      console.log('createProduct called with:', product);
-      const response = await fetch('/.netlify/functions/addProduct', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(product)
-      });
-      const result = await response.json();
-      if(!response.ok) {
-        console.error('createProduct response error:', result);
-        throw new Error(result.error || 'Failed to add product');
-      }
+      const result = await callFunction('addProduct', { body: product });
       showSnack(result.message || 'Product added');
       return true;
     } catch(err){
@@ -195,17 +131,7 @@ import supabase from './supabaseClient.js';
   }
   async function updateProduct(productId, updates){
     try{
-      console.log('updateProduct called with:', productId, updates);
-      const response = await fetch('/.netlify/functions/updateProduct', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id: productId, ...updates })
-      });
-      const result = await response.json();
-      if(!response.ok) {
-        console.error('updateProduct response error:', result);
-        throw new Error(result.error || 'Failed to update product');
-      }
+      const result = await callFunction('updateProduct', { body: { id: productId, ...updates } });
       showSnack(result.message || 'Product updated');
       return true;
     } catch(err){
@@ -214,20 +140,35 @@ import supabase from './supabaseClient.js';
       return false;
     }
   }
+  // Resized in the browser (full size + thumbnail, see images.js) and stored by
+  // the uploadImage function; resolves with the public URL.
+  async function uploadImageFile(file, folder='products', opts){
+    const { full, thumb } = await prepareUpload(file, opts);
+    const result = await callFunction('uploadImage', { body: { folder, full, thumb } });
+    return result.url;
+  }
   async function deleteProductById(productId){
     try{
-      const { error } = await supabase.from('products').delete().eq('id', productId);
-      if(error) throw error;
-      showSnack('Product deleted');
+      const result = await callFunction('deleteProduct', { body: { id: productId } });
+      showSnack(result.message || 'Product deleted');
       return true;
-    } catch(err){ console.error('deleteProduct error:', err); showSnack('Failed to delete product'); return false; }
+    } catch(err){
+      console.error('deleteProduct error:', err);
+      showSnack('Failed to delete product: ' + err.message);
+      return false;
+    }
   }
-  const getOrders = () => ls.get('orders', []);
-  const setOrders = (v) => ls.set('orders', v);
-  const getUsers = () => ls.get('users', []);
-  const setUsers = (v) => ls.set('users', v);
-  const getConfig = () => ls.get('appConfig', { logo:'', tagline:'', whatsappNumber:'' });
-  const setConfig = (v) => ls.set('appConfig', v);
+  // Orders via the order functions (see ordersApi.js)
+  async function fetchOrders(){
+    try{ return await listOrders(); }
+    catch(err){ console.error('fetchOrders error:', err); showSnack('Failed to fetch orders'); return []; }
+  }
+  // Customers: registered Supabase Auth profiles (guest buyers are derived from orders)
+  async function fetchCustomers(){
+    try{ const { customers } = await callFunction('listCustomers', { method:'GET' }); return customers || []; }
+    catch(err){ console.error('fetchCustomers error:', err); showSnack('Failed to fetch users'); return []; }
+  }
+  const getConfig = () => ({ logo:'', tagline:'', whatsappNumber:'', ...getCachedConfig() });
 
   function setHeaderBranding(){
     const cfg = getConfig();
@@ -248,12 +189,6 @@ import supabase from './supabaseClient.js';
 
     if(fillBtn){ fillBtn.style.display = 'none'; }
 
-    const title = document.querySelector('.login-card .mdl-card__title-text');
-
-    const authExists = hasAuth();
-    if(title){ title.textContent = authExists ? 'Admin Login' : 'Admin Setup'; }
-    if(loginBtn){ loginBtn.textContent = authExists ? 'Login' : 'Set Up'; }
-
     if(loginBtn){
       loginBtn.addEventListener('click', async ()=>{
         const email = (emailEl?.value||'').trim();
@@ -264,23 +199,11 @@ import supabase from './supabaseClient.js';
         loginBtn.classList.add('loading');
         loginBtn.setAttribute('aria-busy','true');
         try {
-          if(!hasAuth()){
-            const res = await setupAdmin(email, pass);
-            if(!res.ok){
-              if(res.reason==='weak') showSnack('Password must be at least 8 chars with letters and numbers');
-              else showSnack('Setup failed');
-              return;
-            }
-            showSnack('Admin account created. Logged in.');
-            const s = await login(email, pass);
-            if(s.ok){ showDashboard(); } else { showSnack('Unexpected login issue after setup'); }
-          } else {
-            const res = await login(email, pass);
-            if(res.ok){ showSnack('Logged in'); showDashboard(); }
-            else if(res.reason==='locked'){ const st = getLockout(); const ms = (st.lockUntil||0) - Date.now(); showSnack(`Too many attempts. Try again in ${Math.ceil(ms/1000)}s`); }
-            else if(res.reason==='invalid'){ showSnack('Invalid credentials'); }
-            else if(res.reason==='setup-required'){ showSnack('Setup required'); }
-          }
+          const res = await login(email, pass);
+          if(res.ok){ showSnack(`Logged in as ${res.admin.name}`); showDashboard(res.admin); }
+          else if(res.reason==='locked'){ showSnack('Too many attempts. Please wait a minute and try again'); }
+          else if(res.reason==='forbidden'){ showSnack('This account does not have admin access'); }
+          else { showSnack('Invalid credentials'); }
         } finally {
           loginBtn.disabled = false;
           loginBtn.classList.remove('loading');
@@ -306,22 +229,43 @@ import supabase from './supabaseClient.js';
   // ------------------ Dashboard ------------------
   function setupNav(){
     qsa('.bottom-nav .nav-item').forEach(btn=>{
-      btn.addEventListener('click', ()=>{
-        const view = btn.dataset.view;
-        qsa('.view').forEach(v=>v.classList.remove('active'));
-        const target = qs('#'+view);
-        if(target) target.classList.add('active');
-        qsa('.bottom-nav .nav-item').forEach(b=>b.classList.remove('active'));
-        btn.classList.add('active');
-        if(view==='users-view') renderUsers();
-        if(view==='orders-view') renderOrders();
-        if(view==='search-view') renderAdminSearchResults();
-        upgrade();
-      });
+      btn.addEventListener('click', ()=> router.go(routeForView(btn.dataset.view)));
     });
   }
 
-  function showDashboard(){
+  // ------------------ Routing ------------------
+  // Same URL scheme as the storefront (see router.js): #/orders,
+  // #/search?q=marble, and #/search?edit=<productId> while the edit modal is open.
+  const VIEW_ROUTES = { users:'users-view', orders:'orders-view', commissions:'commissions-view', analytics:'analytics-view', search:'search-view', add:'add-view' };
+  const VIEW_RENDERERS = { 'users-view': renderUsers, 'orders-view': renderOrders, 'commissions-view': renderCommissions, 'analytics-view': renderAnalytics, 'search-view': renderAdminSearchResults };
+  const router = createRouter(applyRoute);
+
+  function routeForView(view){
+    const name = Object.keys(VIEW_ROUTES).find(k=> VIEW_ROUTES[k]===view);
+    if(view==='search-view') return { path: [name], params: { q: qs('#admin-search-input')?.value } };
+    return { path: [name] };
+  }
+  function applyRoute({ path, params }){
+    const view = VIEW_ROUTES[path[0]] || 'users-view';
+    const entered = !qs('#'+view).classList.contains('active');
+    qsa('.view').forEach(v=> v.classList.toggle('active', v.id===view));
+    qsa('.bottom-nav .nav-item').forEach(b=> b.classList.toggle('active', b.dataset.view===view));
+    const input = qs('#admin-search-input');
+    const searched = view==='search-view' && input && (params.q||'')!==input.value;
+    if(searched){
+      input.value = params.q || '';
+      input.parentElement.MaterialTextfield?.checkDirty();
+    }
+    if(entered || searched) VIEW_RENDERERS[view]?.();
+    syncEditModal(params.edit);
+    upgrade();
+  }
+
+  // Only ever called with an identity from login()/getAdminIdentity(), i.e. a
+  // server-validated user holding an admin role.
+  async function showDashboard(admin){
+    if(!admin){ showLogin(); return; }
+    currentAdmin = admin;
     const loginScreen = qs('#admin-login');
     const dash = qs('#admin-dashboard');
     if(loginScreen){
@@ -331,45 +275,80 @@ import supabase from './supabaseClient.js';
     }
     if(dash) dash.style.display = 'block';
 
-    setupSessionKeepAlive();
+    // supabase-js refreshes the token itself; a sign-out (or revoked session) anywhere ends the dashboard.
+    supabase.auth.onAuthStateChange((event)=>{ if(event==='SIGNED_OUT') location.reload(); });
 
+    applyRoleUI();
     setHeaderBranding();
+    fetchAppConfig().then(()=>{ setHeaderBranding(); fillConfigForm(); }).catch(err=> console.error('fetchAppConfig error:', err));
+    if(isOwner()) fetchPrivateSettings().then(s=>{ privateSettings = s; fillConfigForm(); }).catch(err=> console.error('fetchPrivateSettings error:', err));
     setupNav();
 
     const logoutBtn = qs('#admin-logout');
-    if(logoutBtn){ logoutBtn.addEventListener('click', ()=>{ logout(); location.reload(); }); }
+    if(logoutBtn){ logoutBtn.addEventListener('click', async ()=>{ await logout(); location.reload(); }); }
 
     setupFilters();
     setupProductForm();
     setupConfigForm();
+    setupTeam();
     setupEditModal();
     setupAdminSearch();
+    setupCatalogTransfer();
+    setupNotificationLog();
+    setupAnalytics();
+    qs('#commission-filter')?.addEventListener('change', renderCommissions);
+
+    const migrated = await migrateLegacyOrders();
+    if(migrated) showSnack(`Moved ${migrated} saved order(s) to the server`);
 
     renderUsers();
     renderOrders();
+    renderNotificationLog();
     renderAdminSearchResults();
-    upgrade();
+    router.start();
   }
 
   // ------------------ Users ------------------
-  function renderUsers(){
+  const belongsTo = (o, u) => (u.id && o.userId===u.id) || (!!u.phone && (o.user?.phone||'')===u.phone) || (!!u.email && (o.user?.email||'')===u.email);
+  // Registered customers, each with their `orders`. Buyers who ordered without
+  // an account still show up, keyed by their order details.
+  function customersWithOrders(customers, orders){
+    const users = customers.slice();
+    orders.forEach(o=>{
+      if(!users.some(u=> belongsTo(o, u))) users.push({ name: o.user?.name, email: o.user?.email, phone: o.user?.phone, guest: true });
+    });
+    return users.map(u=> ({ ...u, orders: orders.filter(o=> belongsTo(o, u)) }));
+  }
+
+  // Customers who signed up or ordered in the chosen days, with those orders.
+  async function exportCustomers(format){
+    const range = dateRange('#users-export-from', '#users-export-to');
+    const [customers, orders] = await Promise.all([fetchCustomers(), fetchOrders()]);
+    const list = customersWithOrders(customers, orders.filter(o=> inRange(o.createdAt, range)))
+      .filter(c=> c.orders.length || (c.createdAt && inRange(c.createdAt, range)));
+    if(!list.length){ showSnack('No customers in this period'); return; }
+    downloadRows(customersToRows(list), `customers-${dateValue(Date.now())}`, format, 'Customers');
+    showSnack(`Exported ${list.length} customer(s)`);
+  }
+
+  async function renderUsers(){
     const tbody = qs('#users-table-body');
     if(!tbody) return;
-    const users = getUsers();
-    const orders = getOrders();
+    tbody.innerHTML = '<tr><td class="mdl-data-table__cell--non-numeric" colspan="4">Loading…</td></tr>';
+    const [customers, orders] = await Promise.all([fetchCustomers(), fetchOrders()]);
+    const users = customersWithOrders(customers, orders);
     tbody.innerHTML = '';
     if(users.length===0){
       tbody.innerHTML = '<tr><td class="mdl-data-table__cell--non-numeric" colspan="4">No users yet</td></tr>';
       return;
     }
     users.forEach(u=>{
-      const count = orders.filter(o=> (o.user?.phone||'') === (u.phone||'') || (o.user?.email||'') === (u.email||'')).length;
       const tr = document.createElement('tr');
       tr.innerHTML = `
-        <td class="mdl-data-table__cell--non-numeric">${u.name||''}</td>
-        <td>${u.email||''}</td>
-        <td>${u.phone||''}</td>
-        <td>${count}</td>
+        <td class="mdl-data-table__cell--non-numeric">${escapeHtml(u.name)}${u.guest ? ' <span class="mdl-typography--caption">(guest)</span>' : ''}</td>
+        <td>${escapeHtml(u.email)}</td>
+        <td>${escapeHtml(u.phone)}</td>
+        <td>${u.orders.length}</td>
       `;
       tbody.appendChild(tr);
     });
@@ -377,81 +356,489 @@ import supabase from './supabaseClient.js';
 
   // ------------------ Orders ------------------
   function setupFilters(){
-    ['filter-pending','filter-completed','filter-text'].forEach(id=>{
-      const el = qs('#'+id);
-      if(el){ el.addEventListener('input', debounce(renderOrders, 150)); el.addEventListener('change', renderOrders); }
-    });
+    const wrap = qs('#status-filters');
+    if(wrap){
+      wrap.innerHTML = ORDER_STATUSES.map(st=> `
+        <label class="mdl-checkbox mdl-js-checkbox mdl-js-ripple-effect" for="filter-${st}">
+          <input type="checkbox" id="filter-${st}" class="mdl-checkbox__input" data-status-filter="${st}" checked>
+          <span class="mdl-checkbox__label"><span class="status-dot ${st}"></span> ${STATUS_LABELS[st]}</span>
+        </label>
+      `).join('');
+      qsa('[data-status-filter]', wrap).forEach(el=> el.addEventListener('change', renderOrders));
+    }
+    const text = qs('#filter-text');
+    if(text){ text.addEventListener('input', debounce(renderOrders, 150)); }
+    ['#filter-from', '#filter-to'].forEach(sel=> qs(sel)?.addEventListener('change', renderOrders));
+    qs('#orders-export-csv')?.addEventListener('click', ()=> exportOrders('csv'));
+    qs('#orders-export-xlsx')?.addEventListener('click', ()=> exportOrders('xlsx'));
+    qs('#users-export-csv')?.addEventListener('click', ()=> exportCustomers('csv'));
+    qs('#users-export-xlsx')?.addEventListener('click', ()=> exportCustomers('xlsx'));
+  }
+  function selectedStatuses(){
+    const boxes = qsa('[data-status-filter]');
+    if(boxes.length===0) return ORDER_STATUSES;
+    return boxes.filter(b=> b.checked).map(b=> b.getAttribute('data-status-filter'));
+  }
+
+  function historyItem(h){
+    const by = h.by ? ` by ${escapeHtml(h.by.name || h.by.email)}` : '';
+    return `<li><span class="status-dot ${h.status}"></span> ${STATUS_LABELS[normalizeStatus(h.status)]} — ${formatDate(h.at)}${by}${h.note ? ` <span class="mdl-typography--caption">(${escapeHtml(h.note)})</span>` : ''}</li>`;
   }
 
-  function renderOrders(){
+  // The orders the filter bar selects, newest first; the list and the exports share it.
+  function filterOrders(orders){
+    const statuses = selectedStatuses();
+    const text = (qs('#filter-text')?.value||'').toLowerCase();
+    const range = dateRange('#filter-from', '#filter-to');
+    return orders.filter(o=>{
+      const byStatus = statuses.includes(normalizeStatus(o.status));
+      const inText = !text || o.items.some(({ productSnapshot: ps })=>
+        ps.name.toLowerCase().includes(text) ||
+        (ps.material||'').toLowerCase().includes(text) ||
+        (ps.dimensions||'').toLowerCase().includes(text)
+      );
+      return byStatus && inText && inRange(o.createdAt, range);
+    }).sort((a,b)=> b.createdAt - a.createdAt);
+  }
+  async function exportOrders(format){
+    const orders = filterOrders(await fetchOrders());
+    if(!orders.length){ showSnack('No orders match filters'); return; }
+    downloadRows(ordersToRows(orders), `orders-${dateValue(Date.now())}`, format, 'Orders');
+    showSnack(`Exported ${orders.length} order(s)`);
+  }
+
+  async function renderOrders(){
     const container = qs('#orders-admin-list');
     if(!container) return;
-    const orders = getOrders().slice().sort((a,b)=> b.createdAt - a.createdAt);
-    const showPending = qs('#filter-pending')?.checked ?? true;
-    const showCompleted = qs('#filter-completed')?.checked ?? true;
-    const text = (qs('#filter-text')?.value||'').toLowerCase();
+    container.innerHTML = '<p class="mdl-typography--caption">Loading orders…</p>';
+    const filtered = filterOrders(await fetchOrders());
 
     container.innerHTML = '';
-    const filtered = orders.filter(o=>{
-      const byStatus = (o.status==='pending' && showPending) || (o.status==='completed' && showCompleted);
-      const inText = !text || (
-        o.productSnapshot.name.toLowerCase().includes(text) ||
-        (o.productSnapshot.material||'').toLowerCase().includes(text) ||
-        (o.productSnapshot.dimensions||'').toLowerCase().includes(text)
-      );
-      return byStatus && inText;
-    });
-
     if(filtered.length===0){ container.innerHTML = '<p class="mdl-typography--caption">No orders match filters.</p>'; return; }
 
     filtered.forEach(o=>{
+      const status = normalizeStatus(o.status);
+      const next = nextStatuses(status);
+      const first = (o.items[0] || {}).productSnapshot || {};
       const card = document.createElement('div');
       card.className = 'mdl-card mdl-shadow--2dp order-admin-card';
       card.innerHTML = `
         <div class="mdl-grid" style="padding:8px;">
           <div class="mdl-cell mdl-cell--2-col mdl-cell--3-col-tablet mdl-cell--12-col-phone">
             <div class="mdl-card__media">
-              <img src="${o.productSnapshot.image || 'https://via.placeholder.com/300x200?text=Statue'}" alt="${o.productSnapshot.name}">
+              <img ${imgAttrs(first.image, { alt: first.name || 'Order', sizes: '200px', placeholder: 'https://via.placeholder.com/300x200?text=Statue' })}>
             </div>
           </div>
           <div class="mdl-cell mdl-cell--10-col mdl-cell--9-col-tablet mdl-cell--12-col-phone">
+            <ul class="order-items">
+              ${o.items.map(it=> `<li><span><strong>${escapeHtml(it.productSnapshot.name)}</strong> × ${it.qty} <span class="mdl-typography--caption">${escapeHtml(it.productSnapshot.material)} • ${escapeHtml(it.productSnapshot.dimensions)} • ${currency(it.productSnapshot.price)} each</span></span><span>${currency(it.subtotal)}</span></li>`).join('')}
+              ${o.shipping ? `<li><span><strong>Shipping</strong> <span class="mdl-typography--caption">${escapeHtml(o.shipping.zone)} • PIN ${escapeHtml(o.shipping.pin)} • ${o.shipping.chargeableKg} kg • freight ${currency(o.shipping.freight)} + crating ${currency(o.shipping.crating)}</span></span><span>${currency(o.shipping.amount)}</span></li>` : ''}
+              <li class="order-items__total"><span>Total</span><span>${currency(o.total)}</span></li>
+            </ul>
             <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(160px,1fr));gap:8px;">
-              <div><strong>${o.productSnapshot.name}</strong></div>
-              <div>${currency(o.productSnapshot.price)}</div>
-              <div>${o.productSnapshot.material}</div>
-              <div>${o.productSnapshot.dimensions}</div>
-              <div>Buyer: ${o.user.name} • ${o.user.phone}</div>
-              <div>Address: ${o.user.address}</div>
+              <div>Buyer: ${escapeHtml(o.user.name)} • ${escapeHtml(o.user.phone)}</div>
+              <div>Address: ${escapeHtml(o.user.address)}</div>
               <div>Placed: ${formatDate(o.createdAt)}</div>
-              <div>Status: <span class="status-dot ${o.status==='completed'?'completed':'pending'}"></span> ${o.status}
-                <button class="mdl-button mdl-js-button mdl-button--raised toggle-status" data-id="${o.id}">Mark Order Complete</button>
+              ${o.shipment ? `<div>Shipment: ${escapeHtml(courierName(o.shipment.courier))} • ${trackingLink(o.shipment) ? `<a href="${escapeHtml(trackingLink(o.shipment))}" target="_blank" rel="noopener">AWB ${escapeHtml(o.shipment.awb)}</a>` : `AWB ${escapeHtml(o.shipment.awb)}`}</div>` : ''}
+              <div>Payment: ${PAYMENT_STATUS_LABELS[o.paymentStatus] || o.paymentStatus} • Paid ${currency(o.amountPaid)} • Due ${currency(o.balanceDue)}</div>
+              <div class="order-status-row">Status: <span class="status-dot ${status}"></span> ${STATUS_LABELS[status]}
+                ${next.length ? `
+                  <select class="status-select" data-id="${o.id}" aria-label="Next status">
+                    ${next.map(st=> `<option value="${st}">${STATUS_LABELS[st]}</option>`).join('')}
+                  </select>
+                  <button class="mdl-button mdl-js-button mdl-button--raised apply-status" data-id="${o.id}">Update</button>
+                ` : ''}
               </div>
+              ${next.includes('shipped') ? `
+                <div class="shipment-fields" data-id="${o.id}" hidden>
+                  <select data-shipment="courier" aria-label="Courier">${COURIERS.map(c=> `<option value="${c.id}">${c.name}</option>`).join('')}</select>
+                  <input data-shipment="awb" type="text" placeholder="AWB number" aria-label="AWB number">
+                  <input data-shipment="trackingUrl" type="url" placeholder="Tracking URL (optional)" aria-label="Tracking URL">
+                </div>
+              ` : ''}
+            </div>
+            <div class="order-docs">
+              <button class="mdl-button mdl-js-button mdl-button--raised" data-quotation="${o.id}"><i class="material-icons" aria-hidden="true">description</i> Quotation PDF</button>
+              ${o.invoice
+                ? `<button class="mdl-button mdl-js-button mdl-button--raised" data-invoice="${o.id}"><i class="material-icons" aria-hidden="true">receipt_long</i> Invoice ${o.invoice.number}</button>`
+                : status!=='cancelled' ? `<button class="mdl-button mdl-js-button mdl-button--raised" data-invoice="${o.id}"><i class="material-icons" aria-hidden="true">receipt_long</i> Issue tax invoice</button>` : ''}
+              <button class="mdl-button mdl-js-button" data-notifications="${o.id}"><i class="material-icons" aria-hidden="true">forum</i> Messages</button>
             </div>
+            <details class="status-history">
+              <summary class="mdl-typography--caption">History (${(o.history||[]).length})</summary>
+              <ol>${(o.history||[]).map(historyItem).join('')}</ol>
+            </details>
           </div>
         </div>
       `;
+      qs('[data-quotation]', card)?.addEventListener('click', ()=> downloadQuotation(o, getConfig()).catch(err=>{
+        console.error('downloadQuotation error:', err);
+        showSnack('Failed to create quotation: ' + err.message);
+      }));
+      const invoiceBtn = qs('[data-invoice]', card);
+      invoiceBtn && invoiceBtn.addEventListener('click', ()=> invoiceOrder(o, invoiceBtn));
+      qs('[data-notifications]', card).addEventListener('click', ()=> showOrderNotifications(o.id));
       container.appendChild(card);
     });
 
-    // bind status toggles
-    qsa('.toggle-status', container).forEach(btn=>{
+    // bind status changes; shipping asks for the courier and AWB first
+    qsa('.status-select', container).forEach(select=>{
+      const fields = qs(`.shipment-fields[data-id="${select.dataset.id}"]`, container);
+      const sync = ()=>{ if(fields) fields.hidden = select.value!=='shipped'; };
+      select.addEventListener('change', sync);
+      sync();
+    });
+    qsa('.apply-status', container).forEach(btn=>{
       btn.addEventListener('click', ()=>{
         const id = btn.getAttribute('data-id');
-        toggleOrderStatus(id);
+        const select = qs(`.status-select[data-id="${id}"]`, container);
+        if(!select) return;
+        const fields = qs(`.shipment-fields[data-id="${id}"]`, container);
+        const shipment = select.value==='shipped' && fields
+          ? Object.fromEntries(qsa('[data-shipment]', fields).map(el=> [el.dataset.shipment, el.value.trim()]))
+          : undefined;
+        changeOrderStatus(id, select.value, btn, shipment);
       });
     });
     upgrade();
   }
 
-  function toggleOrderStatus(orderId){
-    const orders = getOrders();
-    const idx = orders.findIndex(o=> o.id===orderId);
-    if(idx>=0){
-      orders[idx].status = orders[idx].status==='completed' ? 'pending' : 'completed';
-      setOrders(orders);
-      showSnack('Order status updated');
+  // Issues the invoice number on first use, then downloads the PDF.
+  async function invoiceOrder(order, btn){
+    if(!order.invoice && !confirm('Issue a GST tax invoice for this order? Invoice numbers are sequential and cannot be reused.')) return;
+    btn.disabled = true;
+    try{
+      const invoiced = order.invoice ? order : await issueInvoice(order.id);
+      await downloadInvoice(invoiced, getConfig());
+      if(!order.invoice){ showSnack(`Invoice ${invoiced.invoice.number} issued`); renderOrders(); }
+    } catch(err){
+      console.error('invoiceOrder error:', err);
+      showSnack('Failed to create invoice: ' + err.message);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  async function changeOrderStatus(orderId, status, btn, shipment){
+    let note = '';
+    if(status==='cancelled'){
+      note = prompt('Cancel this order? Optionally give a reason:', '');
+      if(note===null) return;
+    }
+    if(status==='shipped' && !shipment?.awb){ showSnack('Enter the courier and AWB number to mark the order shipped'); return; }
+    if(btn) btn.disabled = true;
+    try{
+      await setOrderStatus(orderId, status, note.trim(), shipment);
+      showSnack(`Order marked ${STATUS_LABELS[status]}`);
       renderOrders();
+      renderNotificationLog();
+    } catch(err){
+      console.error('changeOrderStatus error:', err);
+      showSnack('Failed to update order: ' + err.message);
+      if(btn) btn.disabled = false;
+    }
+  }
+
+  // ------------------ Notification log ------------------
+  // What was sent to whom about each order (see notifications.js), newest first.
+  let notifyLogOrderId = '';
+  function setupNotificationLog(){
+    ['#notify-log-status', '#notify-log-channel'].forEach(sel=> qs(sel)?.addEventListener('change', renderNotificationLog));
+    qs('#notify-log-refresh')?.addEventListener('click', renderNotificationLog);
+    qs('#notify-log-order')?.addEventListener('click', (e)=>{
+      if(!e.target.closest('button')) return;
+      notifyLogOrderId = '';
+      renderNotificationLog();
+    });
+  }
+  function showOrderNotifications(orderId){
+    notifyLogOrderId = orderId;
+    renderNotificationLog();
+    qs('#notify-log-card')?.scrollIntoView({ behavior: 'smooth' });
+  }
+  function notificationRow(n){
+    return `
+      <tr>
+        <td class="mdl-data-table__cell--non-numeric">${formatDate(n.createdAt)}</td>
+        <td class="mdl-data-table__cell--non-numeric">${n.orderId ? `<a href="#" data-log-order="${n.orderId}">${n.orderId.slice(0,8).toUpperCase()}</a>` : '—'}</td>
+        <td class="mdl-data-table__cell--non-numeric">
+          <details>
+            <summary>${escapeHtml(NOTIFY_EVENTS[n.event] || n.event)} • to ${n.audience}</summary>
+            ${n.subject ? `<strong>${escapeHtml(n.subject)}</strong>` : ''}
+            <pre>${escapeHtml(n.body)}</pre>
+          </details>
+        </td>
+        <td class="mdl-data-table__cell--non-numeric">${CHANNEL_LABELS[n.channel] || n.channel}${n.recipient ? ` • ${escapeHtml(n.recipient)}` : ''}</td>
+        <td class="mdl-data-table__cell--non-numeric ${n.status}">${NOTIFICATION_STATUS_LABELS[n.status] || n.status}${n.error ? `<div class="mdl-typography--caption">${escapeHtml(n.error)}</div>` : ''}${n.provider ? `<div class="mdl-typography--caption">via ${escapeHtml(n.provider)}</div>` : ''}</td>
+      </tr>`;
+  }
+  async function renderNotificationLog(){
+    const container = qs('#notify-log-list');
+    if(!container) return;
+    const chip = qs('#notify-log-order');
+    if(chip){
+      chip.hidden = !notifyLogOrderId;
+      chip.innerHTML = notifyLogOrderId ? `Order ${notifyLogOrderId.slice(0,8).toUpperCase()} <button type="button" class="mdl-button mdl-js-button mdl-button--icon" aria-label="Show all orders"><i class="material-icons">close</i></button>` : '';
     }
+    container.innerHTML = '<p class="mdl-typography--caption">Loading messages…</p>';
+    let list = [];
+    try{
+      list = await listNotifications({ orderId: notifyLogOrderId, status: qs('#notify-log-status')?.value, channel: qs('#notify-log-channel')?.value });
+    } catch(err){
+      console.error('renderNotificationLog error:', err);
+      container.innerHTML = '<p class="mdl-typography--caption">Failed to load the notification log.</p>';
+      return;
+    }
+    if(list.length===0){ container.innerHTML = '<p class="mdl-typography--caption">No messages match.</p>'; return; }
+    container.innerHTML = `
+      <table class="mdl-data-table full-width notify-log" aria-label="Notification log">
+        <thead>
+          <tr>
+            <th class="mdl-data-table__cell--non-numeric">When</th>
+            <th class="mdl-data-table__cell--non-numeric">Order</th>
+            <th class="mdl-data-table__cell--non-numeric">Message</th>
+            <th class="mdl-data-table__cell--non-numeric">To</th>
+            <th class="mdl-data-table__cell--non-numeric">Delivery</th>
+          </tr>
+        </thead>
+        <tbody>${list.map(notificationRow).join('')}</tbody>
+      </table>`;
+    qsa('[data-log-order]', container).forEach(a=> a.addEventListener('click', (e)=>{
+      e.preventDefault();
+      showOrderNotifications(a.dataset.logOrder);
+    }));
+  }
+
+  // ------------------ Commissions ------------------
+  async function renderCommissions(){
+    const container = qs('#commissions-admin-list');
+    if(!container) return;
+    container.innerHTML = '<p class="mdl-typography--caption">Loading requests…</p>';
+    let list = [];
+    try{
+      list = await listCommissions();
+    } catch(err){
+      console.error('renderCommissions error:', err);
+      container.innerHTML = '<p class="mdl-typography--caption">Failed to load commission requests.</p>';
+      return;
+    }
+    const filter = qs('#commission-filter')?.value || 'open';
+    const shown = list.filter(c=> filter==='all' || (filter==='open' ? ['new','quoted'].includes(c.status) : c.status===filter));
+    container.innerHTML = '';
+    if(shown.length===0){ container.innerHTML = '<p class="mdl-typography--caption">No commission requests here.</p>'; return; }
+
+    shown.forEach(c=>{
+      const q = c.quote;
+      const open = c.status==='new' || c.status==='quoted';
+      const card = document.createElement('div');
+      card.className = 'mdl-card mdl-shadow--2dp commission-admin-card';
+      card.innerHTML = `
+        <div><strong>${escapeHtml(c.subject)}</strong></div>
+        <div>${escapeHtml(c.material)} • ${escapeHtml(c.dimensions)}${c.budget ? ' • Budget ' + currency(c.budget) : ''}</div>
+        <div>Customer: ${escapeHtml(c.user.name)} • ${escapeHtml(c.user.phone)}${c.user.email ? ' • ' + escapeHtml(c.user.email) : ''}</div>
+        <div>Address: ${escapeHtml(c.user.address)}</div>
+        ${c.referenceImages.length ? `<div class="commission-photos">${c.referenceImages.map((src, i)=> `<a href="${escapeHtml(src)}" target="_blank" rel="noopener"><img src="${escapeHtml(src)}" alt="Reference photo ${i+1}"></a>`).join('')}</div>` : ''}
+        <div class="mdl-typography--caption">Requested ${formatDate(c.createdAt)} • ${COMMISSION_STATUS_LABELS[c.status] || c.status}${c.orderId ? ` • Order ${c.orderId.slice(0,8)}` : ''}</div>
+        ${q ? `<div class="mdl-typography--caption">${c.status==='declined' ? 'Declined' : 'Quoted ' + currency(q.price)}${q.leadTime ? ' • ' + escapeHtml(q.leadTime) : ''} by ${escapeHtml(q.by?.name || 'staff')} on ${formatDate(q.at)}${q.message ? ' — ' + escapeHtml(q.message) : ''}</div>` : ''}
+        ${open ? `
+          <div class="quote-form">
+            <label>Price (INR)<input type="number" min="1" data-quote-price value="${q?.price || c.budget || ''}"></label>
+            <label>Lead time<input type="text" data-quote-lead placeholder="e.g. 6–8 weeks" value="${escapeHtml(q?.leadTime || '')}"></label>
+            <label>Message<textarea rows="1" data-quote-message>${escapeHtml(q?.message || '')}</textarea></label>
+            <div>
+              <button class="mdl-button mdl-js-button mdl-button--raised mdl-button--colored" data-send-quote>${c.status==='quoted' ? 'Revise quote' : 'Send quote'}</button>
+              <button class="mdl-button mdl-js-button" data-decline>Decline</button>
+            </div>
+          </div>` : ''}
+      `;
+      qs('[data-send-quote]', card)?.addEventListener('click', async (e)=>{
+        const price = Number(qs('[data-quote-price]', card).value);
+        if(!(price > 0)){ showSnack('Enter a quote price'); return; }
+        e.target.disabled = true;
+        try{
+          await sendQuote(c.id, { price, leadTime: qs('[data-quote-lead]', card).value.trim(), message: qs('[data-quote-message]', card).value.trim() });
+          showSnack('Quote sent');
+          renderCommissions();
+        } catch(err){
+          console.error('sendQuote error:', err);
+          showSnack('Failed to send quote: ' + err.message);
+          e.target.disabled = false;
+        }
+      });
+      qs('[data-decline]', card)?.addEventListener('click', async (e)=>{
+        const message = prompt('Decline this request? Optionally tell the customer why:', '');
+        if(message===null) return;
+        e.target.disabled = true;
+        try{
+          await declineCommission(c.id, message.trim());
+          showSnack('Request declined');
+          renderCommissions();
+        } catch(err){
+          console.error('declineCommission error:', err);
+          showSnack('Failed to decline request: ' + err.message);
+          e.target.disabled = false;
+        }
+      });
+      container.appendChild(card);
+    });
+    upgrade();
+  }
+
+  // ------------------ Analytics ------------------
+  // Figures come from analytics.js; the date inputs are local days, both ends included.
+  const charts = {};
+  const cssVar = (name, fallback)=> getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+  // Chart colours follow the status dots in admin-styles.css.
+  function statusColor(status){
+    const dot = document.createElement('span');
+    dot.className = `status-dot ${status}`;
+    document.body.appendChild(dot);
+    const color = getComputedStyle(dot).backgroundColor;
+    dot.remove();
+    return color;
+  }
+
+  function setupAnalytics(){
+    const preset = qs('#analytics-preset');
+    if(!preset) return;
+    applyAnalyticsPreset();
+    preset.addEventListener('change', ()=>{ applyAnalyticsPreset(); renderAnalytics(); });
+    ['#analytics-from', '#analytics-to'].forEach(sel=> qs(sel).addEventListener('change', ()=>{ preset.value = 'custom'; renderAnalytics(); }));
+  }
+  function applyAnalyticsPreset(){
+    const value = qs('#analytics-preset').value;
+    if(value==='custom') return;
+    const today = dateValue(Date.now());
+    qs('#analytics-to').value = today;
+    qs('#analytics-from').value = value==='all' ? '' : dateValue(dayStart(today, 1 - Number(value)));
+  }
+  // A blank start means since the first order; a blank end, today.
+  function analyticsRange(orders){
+    const fromEl = qs('#analytics-from');
+    const toEl = qs('#analytics-to');
+    const to = dayStart(toEl.value || dateValue(Date.now()), 1);
+    const first = orders.reduce((min, o)=> Math.min(min, o.createdAt), to - 1);
+    return { from: fromEl.value ? dayStart(fromEl.value) : dayStart(dateValue(first)), to };
+  }
+  function bucketLabel(ts, bucket){
+    const d = new Date(ts);
+    if(bucket==='month') return d.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+    const day = d.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    return bucket==='week' ? `Week of ${day}` : day;
+  }
+  function drawChart(id, config){
+    charts[id]?.destroy();
+    const canvas = qs('#'+id);
+    if(!canvas) return;
+    charts[id] = new Chart(canvas, { ...config, options: { responsive: true, maintainAspectRatio: false, ...config.options } });
+  }
+  function drawTopChart(id, rows, color){
+    drawChart(id, {
+      type: 'bar',
+      data: { labels: rows.map(r=> r.key), datasets: [{ label: 'Revenue', data: rows.map(r=> r.revenue), backgroundColor: color }] },
+      options: {
+        indexAxis: 'y',
+        plugins: { legend: { display: false }, tooltip: { callbacks: { label: (c)=> `${currency(c.raw)} • ${rows[c.dataIndex].qty} sold` } } },
+        scales: { x: { ticks: { callback: (v)=> currency(v) } } }
+      }
+    });
+  }
+
+  async function renderAnalytics(){
+    const kpis = qs('#analytics-kpis');
+    if(!kpis) return;
+    kpis.innerHTML = '<p class="mdl-typography--caption">Loading…</p>';
+    const [customers, orders, products] = await Promise.all([fetchCustomers(), fetchOrders(), fetchProducts()]);
+    const range = analyticsRange(orders);
+    let counts = [];
+    try{
+      ({ counts } = await callFunction('productFunnel', { method:'GET', query: { from: new Date(range.from).toISOString(), to: new Date(range.to).toISOString() } }));
+    } catch(err){
+      console.error('productFunnel error:', err);
+      showSnack('Failed to load product clicks');
+    }
+    const period = orders.filter(o=> inRange(o.createdAt, range));
+    const totals = summary(period);
+    const repeat = repeatCustomerRate(customersWithOrders(customers, period));
+    kpis.innerHTML = [
+      ['Revenue', currency(totals.revenue)],
+      ['Orders', totals.orders],
+      ['Average order value', currency(totals.averageOrderValue)],
+      ['Repeat customers', `${Math.round(repeat.rate * 100)}%`, `${repeat.repeat} of ${repeat.buyers} buyers ordered again`]
+    ].map(([label, value, note])=> `<div class="analytics-kpi"><span class="mdl-typography--caption">${label}</span><strong>${value}</strong>${note ? `<span class="mdl-typography--caption">${note}</span>` : ''}</div>`).join('');
+
+    const primary = cssVar('--primary', '#3f51b5');
+    const bucket = bucketFor(range.from, range.to);
+    const series = revenueSeries(period, range, bucket);
+    drawChart('chart-revenue', {
+      type: 'bar',
+      data: {
+        labels: series.map(p=> bucketLabel(p.start, bucket)),
+        datasets: [
+          { label: 'Revenue', data: series.map(p=> p.revenue), backgroundColor: primary, yAxisID: 'y' },
+          { label: 'Orders', type: 'line', data: series.map(p=> p.orders), borderColor: cssVar('--success', '#2e7d32'), yAxisID: 'orders' }
+        ]
+      },
+      options: {
+        scales: {
+          y: { beginAtZero: true, ticks: { callback: (v)=> currency(v) } },
+          orders: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, ticks: { precision: 0 } }
+        }
+      }
+    });
+
+    const byStatus = ordersByStatus(period);
+    const statuses = ORDER_STATUSES.filter(st=> byStatus[st]);
+    drawChart('chart-status', {
+      type: 'doughnut',
+      data: { labels: statuses.map(st=> STATUS_LABELS[st]), datasets: [{ data: statuses.map(st=> byStatus[st]), backgroundColor: statuses.map(statusColor) }] },
+      options: { plugins: { legend: { position: 'bottom' } } }
+    });
+
+    const productsById = new Map(products.map(p=> [String(p.id), p]));
+    drawTopChart('chart-products', topBy(period, it=> it.productSnapshot?.name), primary);
+    drawTopChart('chart-materials', topBy(period, it=> it.productSnapshot?.material || 'Unspecified'), statusColor('carving'));
+    drawTopChart('chart-categories', topBy(period, it=>{
+      const categories = productsById.get(String(it.productId))?.categories || [];
+      return categories.length ? categories : 'Uncategorised';
+    }), statusColor('ready'));
+
+    const funnel = productFunnel(counts, period).map(r=> ({ ...r, name: productsById.get(r.productId)?.name || r.name || `#${r.productId}` }));
+    const top = funnel.slice(0, 10);
+    drawChart('chart-funnel', {
+      type: 'bar',
+      data: {
+        labels: top.map(r=> r.name),
+        datasets: [
+          { label: 'WhatsApp clicks', data: top.map(r=> r.whatsapp), backgroundColor: '#25d366' },
+          { label: 'Add to Cart clicks', data: top.map(r=> r.order), backgroundColor: primary },
+          { label: 'Orders placed', data: top.map(r=> r.placed), backgroundColor: statusColor('delivered') }
+        ]
+      },
+      options: { indexAxis: 'y', scales: { x: { beginAtZero: true, ticks: { precision: 0 } } } }
+    });
+    const pct = (n, d)=> d ? `${Math.round(n / d * 100)}%` : '—';
+    qs('#analytics-funnel').innerHTML = funnel.length ? `
+      <table class="mdl-data-table full-width" aria-label="Product funnel">
+        <thead>
+          <tr>
+            <th class="mdl-data-table__cell--non-numeric">Product</th>
+            <th>WhatsApp clicks</th>
+            <th>Add to Cart clicks</th>
+            <th>Orders placed</th>
+            <th>Cart → order</th>
+          </tr>
+        </thead>
+        <tbody>${funnel.map(r=> `
+          <tr>
+            <td class="mdl-data-table__cell--non-numeric">${escapeHtml(r.name)}</td>
+            <td>${r.whatsapp}</td>
+            <td>${r.order}</td>
+            <td>${r.placed}</td>
+            <td>${pct(r.placed, r.order)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : '<p class="mdl-typography--caption">No clicks or orders in this period.</p>';
   }
 
   // ------------------ Product CRUD ------------------
@@ -460,44 +847,195 @@ import supabase from './supabaseClient.js';
     const resetBtn = qs('#product-reset-btn');
     if(saveBtn) saveBtn.addEventListener('click', saveProductFromForm);
     if(resetBtn) resetBtn.addEventListener('click', resetProductForm);
-
-    // file preview for product image
-    const fileWrap = qs('label.custom-file[aria-label="Upload product image"]');
-    const fileInput = qs('#product-image-file');
-    const preview = fileWrap?.querySelector('.file-preview');
-    const label = fileWrap?.querySelector('.file-label');
-    if(fileInput && preview && label){
-      fileInput.addEventListener('change', ()=>{
-        const f = fileInput.files?.[0];
-        if(!f){ preview.style.backgroundImage=''; label.textContent='Choose image'; return; }
-        label.textContent = f.name;
-        const url = URL.createObjectURL(f);
-        preview.style.backgroundImage = `url('${url}')`;
-      });
-    }
+    productImages = createImageListEditor('product');
+    productVariants = createVariantEditor('product');
   }
   function resetProductForm(){
     const form = qs('#product-form');
     if(form) form.reset();
     const idEl = qs('#product-id'); if(idEl) idEl.value = '';
+    const stockEl = qs('#product-stock'); if(stockEl) delete stockEl.dataset.loaded;
+    productImages?.set([]);
+    productVariants?.set([]);
+    qs('#product-mto')?.parentElement.MaterialCheckbox?.checkToggleState();
     upgrade();
   }
-  function readFileAsDataURL(file){ return new Promise((resolve,reject)=>{ const fr = new FileReader(); fr.onload=()=>resolve(fr.result); fr.onerror=reject; fr.readAsDataURL(file); }); }
+
+  // Ordered image list shared by the add form and the edit modal (`prefix` is
+  // 'product' or 'edit'): thumbnails with move/remove buttons, plus an URL field
+  // and a multi-file upload that append to the list.
+  let productImages = null;
+  let editImages = null;
+  function createImageListEditor(prefix){
+    const list = qs(`#${prefix}-images`);
+    const urlInput = qs(`#${prefix}-image-url`);
+    const fileInput = qs(`#${prefix}-image-file`);
+    let images = [];
+    const render = ()=>{
+      list.innerHTML = images.length ? '' : '<span class="mdl-typography--caption">No images yet.</span>';
+      images.forEach((src, i)=>{
+        const item = document.createElement('div');
+        item.className = 'image-list-item' + (i===0 ? ' cover' : '');
+        item.innerHTML = `
+          <img ${imgAttrs(src, { alt: `Image ${i+1}${i===0 ? ' (cover)' : ''}`, sizes: '96px' })}>
+          <div class="image-list-actions">
+            <button type="button" class="mdl-button mdl-js-button mdl-button--icon" data-move="-1" aria-label="Move earlier" ${i===0 ? 'disabled' : ''}><i class="material-icons">chevron_left</i></button>
+            <button type="button" class="mdl-button mdl-js-button mdl-button--icon" data-remove aria-label="Remove image"><i class="material-icons">close</i></button>
+            <button type="button" class="mdl-button mdl-js-button mdl-button--icon" data-move="1" aria-label="Move later" ${i===images.length-1 ? 'disabled' : ''}><i class="material-icons">chevron_right</i></button>
+          </div>
+        `;
+        qsa('[data-move]', item).forEach(b=> b.addEventListener('click', ()=>{
+          const j = i + Number(b.dataset.move);
+          [images[i], images[j]] = [images[j], images[i]];
+          render();
+        }));
+        qs('[data-remove]', item).addEventListener('click', ()=>{ images.splice(i, 1); render(); });
+        list.appendChild(item);
+      });
+    };
+    qs(`#${prefix}-image-add`)?.addEventListener('click', ()=>{
+      const url = urlInput.value.trim();
+      if(!/^https?:\/\//i.test(url)){ showSnack('Enter an http(s) image URL'); return; }
+      images.push(url);
+      urlInput.value = '';
+      render();
+      upgrade();
+    });
+    // One at a time so a failed upload doesn't lose the others.
+    fileInput?.addEventListener('change', async ()=>{
+      const files = Array.from(fileInput.files || []);
+      fileInput.value = '';
+      fileInput.disabled = true;
+      for(const [i, file] of files.entries()){
+        showSnack(`Uploading image ${i+1} of ${files.length}…`);
+        try{
+          images.push(await uploadImageFile(file));
+          render();
+        } catch(err){
+          console.error('uploadImage error:', err);
+          showSnack(`Could not upload ${file.name}: ${err.message}`);
+        }
+      }
+      fileInput.disabled = false;
+    });
+    render();
+    return {
+      get: ()=> images.slice(),
+      set: (next)=>{ images = (next||[]).slice(); render(); }
+    };
+  }
+  // Other materials/sizes of the product (variants.js), one row each: material,
+  // H × W × D + unit, price and an optional image URL (defaults to the cover).
+  let productVariants = null;
+  let editVariants = null;
+  const VARIANT_FIELDS = [
+    ['material', 'text', 'Material'],
+    ['height', 'number', 'H'],
+    ['width', 'number', 'W'],
+    ['depth', 'number', 'D'],
+    ['unit', 'select', 'Unit'],
+    ['price', 'number', 'Price'],
+    ['image', 'url', 'Image URL (optional)']
+  ];
+  function createVariantEditor(prefix){
+    const list = qs(`#${prefix}-variants`);
+    const addRow = (v={})=>{
+      const row = document.createElement('div');
+      row.className = 'variant-row';
+      row.dataset.id = v.id || '';
+      row.innerHTML = VARIANT_FIELDS.map(([key, type, label])=> type==='select'
+        ? `<select data-field="${key}" aria-label="${label}">${SIZE_UNITS.map(u=> `<option value="${u}" ${v[key]===u ? 'selected' : ''}>${u}</option>`).join('')}</select>`
+        : `<input data-field="${key}" type="${type}" ${type==='number' ? 'min="0" step="0.1"' : ''} placeholder="${label}" aria-label="${label}" value="${escapeHtml(v[key] ?? '')}">`
+      ).join('') + `<button type="button" class="mdl-button mdl-js-button mdl-button--icon" data-remove aria-label="Remove variant"><i class="material-icons">close</i></button>`;
+      qs('[data-remove]', row).addEventListener('click', ()=> row.remove());
+      list.appendChild(row);
+    };
+    qs(`#${prefix}-variant-add`)?.addEventListener('click', ()=>{
+      if(qsa('.variant-row', list).length >= MAX_VARIANTS){ showSnack(`At most ${MAX_VARIANTS} variants`); return; }
+      addRow({ unit: qs(`#${prefix}-unit`)?.value || 'in' });
+      upgrade();
+    });
+    return {
+      // `{ value, error }`; error names the first bad row.
+      get: ()=>{
+        const rows = qsa('.variant-row', list).map(row=>{
+          const raw = { id: row.dataset.id };
+          qsa('[data-field]', row).forEach(el=> raw[el.dataset.field] = el.value.trim());
+          return readVariant(raw);
+        });
+        const bad = rows.findIndex(r=> Object.keys(r.errors).length);
+        return {
+          value: rows.map(r=> r.value),
+          error: bad < 0 ? '' : `Variant ${bad + 1}: material, height, width, depth and price are required`
+        };
+      },
+      set: (next)=>{ list.innerHTML = ''; (next||[]).forEach(addRow); upgrade(); }
+    };
+  }
+  // Height/width/depth/unit/weight inputs of the add form ('product') or edit modal ('edit').
+  function readSizeFields(prefix){
+    const val = (f)=> (qs(`#${prefix}-${f}`)?.value||'').trim();
+    const size = readSize({ height: val('height'), width: val('width'), depth: val('depth'), dimensionUnit: val('unit') });
+    const weight = readWeight(val('weight'));
+    const { height, width, depth, unit } = size.value;
+    return {
+      fields: { height, width, depth, dimensionUnit: unit, weightKg: weight.value },
+      error: Object.keys(size.errors).length ? 'Height, width and depth must be positive numbers'
+        : Object.keys(weight.errors).length ? 'Weight must be a positive number of kg' : ''
+    };
+  }
+  // Rows saved before sizes were structured only have the text; start from its parsed values.
+  function fillSizeFields(prefix, product){
+    const size = sizeOf(product) || parseDimensions(product.dimensions) || {};
+    [['height', size.height], ['width', size.width], ['depth', size.depth], ['unit', size.unit || 'in'], ['weight', product.weight_kg]]
+      .forEach(([f, v])=>{ const el = qs(`#${prefix}-${f}`); if(el) el.value = v ?? ''; });
+  }
+  // Stock/made-to-order/lead-time inputs, same prefixes as the size fields.
+  // Orders take stock while the form is open, so an edited product only sends
+  // `stock` when it was changed, with the count it was changed from.
+  function readStockFields(prefix){
+    const stockEl = qs(`#${prefix}-stock`);
+    const stockRaw = (stockEl?.value||'').trim();
+    const leadRaw = (qs(`#${prefix}-lead`)?.value||'').trim();
+    const madeToOrder = !!qs(`#${prefix}-mto`)?.checked;
+    const stock = stockRaw==='' ? 0 : Number(stockRaw);
+    const leadTimeDays = leadRaw==='' ? null : Number(leadRaw);
+    const loaded = stockEl?.dataset.loaded;
+    const stockFields = loaded===undefined ? { stock } : stock===Number(loaded) ? {} : { stock, expectedStock: Number(loaded) };
+    return {
+      fields: { ...stockFields, madeToOrder, leadTimeDays },
+      error: !(Number.isInteger(stock) && stock >= 0) ? 'Stock must be a whole number, 0 or more'
+        : leadTimeDays!==null && !(Number.isInteger(leadTimeDays) && leadTimeDays >= 1 && leadTimeDays <= 365) ? 'Lead time must be 1 to 365 days' : ''
+    };
+  }
+  function fillStockFields(prefix, product){
+    const { stock, madeToOrder, leadTimeDays } = stockOf(product);
+    qs(`#${prefix}-stock`).value = stock;
+    qs(`#${prefix}-stock`).dataset.loaded = stock;
+    qs(`#${prefix}-lead`).value = leadTimeDays ?? '';
+    const mto = qs(`#${prefix}-mto`);
+    mto.checked = madeToOrder;
+    mto.parentElement.MaterialCheckbox?.checkToggleState();
+  }
   async function saveProductFromForm(){
     const id = (qs('#product-id')?.value||'').trim();
     const name = (qs('#product-name')?.value||'').trim();
     const price = parseFloat(qs('#product-price')?.value||'0');
     const desc = (qs('#product-desc')?.value||'').trim();
     const material = (qs('#product-material')?.value||'').trim();
-    const dimensions = (qs('#product-dimensions')?.value||'').trim();
+    const size = readSizeFields('product');
+    const stock = readStockFields('product');
+    const variants = productVariants.get();
     const categoriesStr = (qs('#product-categories')?.value||'').trim();
-    const imageUrl = (qs('#product-image-url')?.value||'').trim();
-    const imageFile = qs('#product-image-file')?.files?.[0];
+    const hsn = (qs('#product-hsn')?.value||'').trim();
+    const careNotes = (qs('#product-care')?.value||'').trim();
+    const images = productImages.get();
 
-    if(!name || !desc || !(price>0) || !material || !dimensions){ showSnack('Please fill all required fields'); return; }
+    if(!name || !desc || !(price>0) || !material){ showSnack('Please fill all required fields'); return; }
+    if(size.error){ showSnack(size.error); return; }
+    if(stock.error){ showSnack(stock.error); return; }
+    if(variants.error){ showSnack(variants.error); return; }
 
-    let image = imageUrl || '';
-    if(!image && imageFile){ image = await readFileAsDataURL(imageFile); }
     const categories = categoriesStr ? categoriesStr.split(',').map(s=>s.trim()).filter(Boolean) : [];
 
     const saveBtn = qs('#product-save-btn');
@@ -505,9 +1043,9 @@ import supabase from './supabaseClient.js';
 
     let ok = false;
     if(id){
-      ok = await updateProduct(id, { name, price, description: desc, material, dimensions, categories, image });
+      ok = await updateProduct(id, { name, price, description: desc, material, ...size.fields, ...stock.fields, variants: variants.value, categories, hsn, careNotes, images });
     } else {
-      ok = await createProduct({ name, price, description: desc, material, dimensions, categories, image });
+      ok = await createProduct({ name, price, description: desc, material, ...size.fields, ...stock.fields, variants: variants.value, categories, hsn, careNotes, images });
     }
 
     if(saveBtn){ saveBtn.disabled = false; saveBtn.classList.remove('loading'); }
@@ -522,9 +1060,23 @@ import supabase from './supabaseClient.js';
   function setupEditModal(){
     const closeBtn = qs('#edit-modal-close');
     const saveBtn = qs('#edit-save-btn');
-    if(closeBtn) closeBtn.addEventListener('click', ()=> showEditModal(false));
+    if(closeBtn) closeBtn.addEventListener('click', ()=> router.close('edit'));
     if(saveBtn) saveBtn.addEventListener('click', saveEditModal);
-    document.addEventListener('keydown', (e)=>{ if(e.key==='Escape') showEditModal(false); });
+    editImages = createImageListEditor('edit');
+    editVariants = createVariantEditor('edit');
+    document.addEventListener('keydown', (e)=>{ if(e.key==='Escape') router.close('edit'); });
+  }
+
+  // Opens/closes the modal to match the route's `edit` param.
+  let editingId = null;
+  async function syncEditModal(id){
+    if((id||null)===editingId) return;
+    editingId = id || null;
+    if(!id){ showEditModal(false); return; }
+    const product = (await fetchProducts()).find(p=> String(p.id)===String(id));
+    if(editingId!==id) return; // the route moved on while loading
+    if(product) openEditModal(product);
+    else { showSnack('That product no longer exists'); router.close('edit'); }
   }
 
   // Focus trap for modal
@@ -565,11 +1117,16 @@ import supabase from './supabaseClient.js';
       ['#edit-price','value', product.price||''],
       ['#edit-desc','value', product.description||''],
       ['#edit-material','value', product.material||''],
-      ['#edit-dimensions','value', product.dimensions||''],
       ['#edit-categories','value', (product.categories||[]).join(', ')],
-      ['#edit-image-url','value', product.image||''],
+      ['#edit-hsn','value', product.hsn||''],
+      ['#edit-care','value', product.care_notes||''],
+      ['#edit-image-url','value', ''],
     ];
     setters.forEach(([sel, prop, val])=>{ const el = qs(sel); if(el) el[prop] = val; });
+    fillSizeFields('edit', product);
+    fillStockFields('edit', product);
+    editImages.set(product.images || []);
+    editVariants.set(product.variants || []);
     showEditModal(true);
     upgrade();
   }
@@ -579,69 +1136,83 @@ import supabase from './supabaseClient.js';
     const price = parseFloat(qs('#edit-price')?.value||'0');
     const desc = (qs('#edit-desc')?.value||'').trim();
     const material = (qs('#edit-material')?.value||'').trim();
-    const dimensions = (qs('#edit-dimensions')?.value||'').trim();
+    const size = readSizeFields('edit');
+    const stock = readStockFields('edit');
+    const variants = editVariants.get();
     const categoriesStr = (qs('#edit-categories')?.value||'').trim();
-    const imageUrl = (qs('#edit-image-url')?.value||'').trim();
-    const imageFile = qs('#edit-image-file')?.files?.[0];
+    const hsn = (qs('#edit-hsn')?.value||'').trim();
+    const careNotes = (qs('#edit-care')?.value||'').trim();
+    const images = editImages.get();
 
     if(!id){ showSnack('No product selected'); return; }
-    if(!name || !desc || !(price>0) || !material || !dimensions){ showSnack('Please fill all required fields'); return; }
+    if(!name || !desc || !(price>0) || !material){ showSnack('Please fill all required fields'); return; }
+    if(size.error){ showSnack(size.error); return; }
+    if(stock.error){ showSnack(stock.error); return; }
+    if(variants.error){ showSnack(variants.error); return; }
 
-    let image = imageUrl || '';
-    if(!image && imageFile){ image = await readFileAsDataURL(imageFile); }
     const categories = categoriesStr ? categoriesStr.split(',').map(s=>s.trim()).filter(Boolean) : [];
 
     const saveBtn = qs('#edit-save-btn');
     if(saveBtn){ saveBtn.disabled = true; saveBtn.classList.add('loading'); }
 
-    const ok = await updateProduct(id, { name, price, description: desc, material, dimensions, categories, image });
+    const ok = await updateProduct(id, { name, price, description: desc, material, ...size.fields, ...stock.fields, variants: variants.value, categories, hsn, careNotes, images });
 
     if(saveBtn){ saveBtn.disabled = false; saveBtn.classList.remove('loading'); }
 
     if(ok){
       showSnack('Product updated');
-      showEditModal(false);
+      router.close('edit');
       await renderAdminSearchResults();
     }
   }
 
   // ------------------ Admin product search ------------------
-  function setupAdminSearch(){ const input = qs('#admin-search-input'); if(input){ input.addEventListener('input', debounce(renderAdminSearchResults, 250)); } }
+  function setupAdminSearch(){
+    const input = qs('#admin-search-input');
+    if(input){
+      input.addEventListener('input', debounce(()=>{
+        router.update({ q: input.value }, { replace: true });
+        renderAdminSearchResults();
+      }, 250));
+    }
+  }
   async function renderAdminSearchResults(){
     const input = qs('#admin-search-input');
-    const q = (input?.value||'').toLowerCase().trim();
+    const q = (input?.value||'').trim();
     const results = qs('#admin-search-results');
     const count = qs('#admin-search-count');
     if(!results || !count) return;
 
     results.innerHTML = '<div class="mdl-typography--caption">Loading products…</div>';
     const products = await fetchProducts();
+    renderLowStock(products);
 
-    const filtered = !q ? products : products.filter(p =>
-      (p.name||'').toLowerCase().includes(q) || (p.description||'').toLowerCase().includes(q) || (p.material||'').toLowerCase().includes(q) || (Array.isArray(p.categories)? p.categories: String(p.categories||'').split(',')).some(c=> String(c).toLowerCase().includes(q))
-    );
+    // Same ranked, typo-tolerant engine as the storefront search.
+    const hits = createSearchIndex(products).search(q);
+    const filtered = hits.map(h=> h.item);
 
     count.textContent = `${filtered.length} result(s)`;
     results.innerHTML = '';
 
-    filtered.forEach(p=>{
+    hits.forEach(({ item: p, terms })=>{
       const cell = document.createElement('div');
       cell.className = 'mdl-cell mdl-cell--6-col mdl-cell--4-col-tablet mdl-cell--3-col-desktop';
       cell.innerHTML = `
         <div class="mdl-card mdl-shadow--2dp product-card">
           <div class="mdl-card__media" style="height:160px; display:flex; align-items:center; justify-content:center; background:#fafafa;">
-            <img src="${p.image || 'https://via.placeholder.com/400x300?text=Statue'}" alt="${p.name||''}" style="max-height:100%;max-width:100%;object-fit:cover;">
+            <img ${imgAttrs((p.images||[])[0], { alt: p.name, sizes: '300px', placeholder: 'https://via.placeholder.com/400x300?text=Statue' })} style="max-height:100%;max-width:100%;object-fit:cover;">
           </div>
           <div class="mdl-card__title">
-            <h2 class="mdl-card__title-text">${p.name||''}</h2>
+            <h2 class="mdl-card__title-text">${highlight(p.name, terms)}</h2>
           </div>
           <div class="mdl-card__supporting-text">
             <div>${currency(p.price)} • ${p.material||''} • ${p.dimensions||''}</div>
+            <div class="mdl-typography--caption">${escapeHtml(availabilityLabel(p))}${(p.variants||[]).length ? ` • ${p.variants.length + 1} variants` : ''}</div>
             <div class="mdl-typography--caption">${Array.isArray(p.categories)? p.categories.join(', '): (p.categories||'')}</div>
           </div>
           <div class="mdl-card__actions mdl-card--border" style="display:flex; gap:8px;">
             <button class="mdl-button mdl-js-button mdl-button--raised" data-edit="${p.id}">Edit</button>
-            <button class="mdl-button mdl-js-button" data-delete="${p.id}">Delete</button>
+            ${isOwner() ? `<button class="mdl-button mdl-js-button" data-delete="${p.id}">Delete</button>` : ''}
           </div>
         </div>
       `;
@@ -649,12 +1220,7 @@ import supabase from './supabaseClient.js';
     });
 
     qsa('[data-edit]', results).forEach(btn=>{
-      btn.addEventListener('click', async ()=>{
-        const id = btn.getAttribute('data-edit');
-        const list = await fetchProducts();
-        const product = list.find(p=> String(p.id)===String(id));
-        if(product) openEditModal(product);
-      });
+      btn.addEventListener('click', ()=> router.update({ edit: btn.getAttribute('data-edit') }));
     });
     qsa('[data-delete]', results).forEach(btn=>{
       btn.addEventListener('click', async ()=>{
@@ -669,6 +1235,23 @@ import supabase from './supabaseClient.js';
     upgrade();
   }
 
+  // Stocked products down to LOW_STOCK_THRESHOLD pieces or fewer, emptiest first.
+  function renderLowStock(products){
+    const card = qs('#low-stock-card');
+    const list = qs('#low-stock-list');
+    if(!card || !list) return;
+    const low = products.filter(isLowStock).sort((a, b)=> stockOf(a).stock - stockOf(b).stock);
+    card.hidden = low.length===0;
+    list.innerHTML = low.map(p=> `
+      <li>
+        <span>${escapeHtml(p.name)} <span class="stock-count">${stockOf(p).stock ? `${stockOf(p).stock} left` : 'sold out'}</span></span>
+        <button class="mdl-button mdl-js-button" data-edit="${p.id}">Restock</button>
+      </li>`).join('');
+    qsa('[data-edit]', list).forEach(btn=>{
+      btn.addEventListener('click', ()=> router.update({ edit: btn.getAttribute('data-edit') }));
+    });
+  }
+
   function deleteProduct(id){
     // legacy hook retained for safety; new UI uses deleteProductById directly
     (async ()=>{
@@ -678,14 +1261,254 @@ import supabase from './supabaseClient.js';
     })();
   }
 
+  // ------------------ Catalog import / export ------------------
+  // A file is read into records, its columns mapped to product fields (guessed,
+  // then adjustable) and each row checked like the Add Product form. "Dry run"
+  // asks importProducts which rows would create or update statues without
+  // saving; "Import" saves them, all or nothing. Export writes every product.
+  let importFile = null; // { headers, records, mapping }
+  function setupCatalogTransfer(){
+    qs('#import-file')?.addEventListener('change', async (e)=>{
+      const file = e.target.files[0];
+      e.target.value = '';
+      if(!file) return;
+      try{
+        const text = await file.text();
+        const data = /\.json$/i.test(file.name) || /^\s*\[/.test(text) ? recordsFromJson(JSON.parse(text)) : recordsFromRows(parseCsv(text));
+        if(!data.records.length) throw new Error('The file has no rows');
+        importFile = { ...data, mapping: guessMapping(data.headers) };
+        qs('#import-report').innerHTML = '';
+        renderImportMapping();
+      } catch(err){
+        console.error('import read error:', err);
+        showSnack('Could not read the file: ' + err.message);
+      }
+    });
+    qs('#import-dry-run-btn')?.addEventListener('click', ()=> runImport(true));
+    qs('#import-run-btn')?.addEventListener('click', ()=> runImport(false));
+    qs('#export-csv-btn')?.addEventListener('click', ()=> exportCatalog('csv'));
+    qs('#export-json-btn')?.addEventListener('click', ()=> exportCatalog('json'));
+  }
+  function renderImportMapping(){
+    const el = qs('#import-mapping');
+    const { headers, records, mapping } = importFile;
+    el.hidden = false;
+    el.innerHTML = headers.map((h, i)=> `
+      <label>
+        <strong>${escapeHtml(h)}</strong>
+        <span class="sample">${escapeHtml(records.map(r=> r[h]).find(v=> v!=='' && v!=null) ?? '')}</span>
+        <select data-header="${i}" aria-label="Product field for column ${escapeHtml(h)}">
+          <option value="">— skip —</option>
+          ${PRODUCT_COLUMNS.map(c=> `<option value="${c.key}" ${mapping[h]===c.key ? 'selected' : ''}>${escapeHtml(c.label)}${c.required ? ' *' : ''}</option>`).join('')}
+        </select>
+      </label>`).join('');
+    qsa('select', el).forEach(sel=> sel.addEventListener('change', ()=>{
+      const h = headers[Number(sel.dataset.header)];
+      // A field feeds from one column: taking it clears it elsewhere.
+      if(sel.value) Object.keys(mapping).forEach(k=> { if(mapping[k]===sel.value) mapping[k] = ''; });
+      mapping[h] = sel.value;
+      renderImportMapping();
+    }));
+    renderImportPreview();
+  }
+  // Rows checked against the current catalog: matched rows (by ID or name) are
+  // updates, the rest creates. Returns the payloads for importProducts.
+  async function checkImportRows(){
+    const products = await fetchProducts();
+    const ids = new Set(products.map(p=> String(p.id)));
+    const names = new Set(products.map(p=> String(p.name||'').trim().toLowerCase()));
+    const nameCol = Object.keys(importFile.mapping).find(h=> importFile.mapping[h]==='name');
+    return importFile.records.map(record=>{
+      const idCol = Object.keys(importFile.mapping).find(h=> importFile.mapping[h]==='id');
+      const id = idCol ? String(record[idCol] ?? '').trim() : '';
+      const update = id ? ids.has(id) : names.has(String(nameCol ? record[nameCol] : '').trim().toLowerCase());
+      const { payload, errors } = recordToPayload(record, importFile.mapping, { partial: update });
+      if(id && !update) errors.id = 'No product with this id';
+      return { update, payload: id ? { id, ...payload } : payload, errors };
+    });
+  }
+  async function renderImportPreview(){
+    const el = qs('#import-preview');
+    const rows = await checkImportRows();
+    const shown = PRODUCT_COLUMNS.filter(c=> Object.values(importFile.mapping).includes(c.key));
+    const bad = rows.filter(r=> Object.keys(r.errors).length).length;
+    el.hidden = false;
+    el.innerHTML = `
+      <table class="mdl-data-table full-width">
+        <thead><tr><th>#</th><th>Action</th>${shown.map(c=> `<th class="mdl-data-table__cell--non-numeric">${escapeHtml(c.label)}</th>`).join('')}<th class="mdl-data-table__cell--non-numeric">Problems</th></tr></thead>
+        <tbody>${rows.slice(0, 50).map((r, i)=> `<tr>
+          <td>${i + 1}</td>
+          <td>${r.update ? 'Update' : 'Create'}</td>
+          ${shown.map(c=> `<td class="mdl-data-table__cell--non-numeric">${escapeHtml(String(importCell(r.payload, c.key)).slice(0, 60))}</td>`).join('')}
+          <td class="mdl-data-table__cell--non-numeric ${Object.keys(r.errors).length ? 'row-error' : ''}">${escapeHtml(Object.entries(r.errors).map(([k, v])=> `${k}: ${v}`).join('; '))}</td>
+        </tr>`).join('')}</tbody>
+      </table>
+      <p class="mdl-typography--caption">${rows.length} row(s)${rows.length > 50 ? ', first 50 shown' : ''} • ${rows.filter(r=> !r.update).length} create • ${rows.filter(r=> r.update).length} update • ${bad} with problems</p>`;
+    qs('#import-dry-run-btn').disabled = false;
+    qs('#import-run-btn').disabled = bad > 0;
+  }
+  function importCell(payload, key){
+    if(key==='dimensions') return ['height','width','depth'].every(k=> payload[k]) ? `${payload.height} × ${payload.width} × ${payload.depth} ${payload.dimensionUnit}` : '';
+    const v = payload[key];
+    return Array.isArray(v) ? (key==='variants' ? `${v.length} variant(s)` : v.join(', ')) : (v ?? '');
+  }
+  async function runImport(dryRun){
+    if(!importFile) return;
+    const rows = await checkImportRows();
+    const bad = rows.findIndex(r=> Object.keys(r.errors).length);
+    if(!dryRun && bad >= 0){ showSnack(`Row ${bad + 1} needs fixing first`); return; }
+    if(!dryRun && !confirm(`Import ${rows.length} row(s) into the live catalog?`)) return;
+    const btns = ['#import-dry-run-btn', '#import-run-btn'].map(sel=> qs(sel));
+    btns.forEach(b=> b.disabled = true);
+    try{
+      const result = await callFunction('importProducts', { body: { products: rows.map(r=> r.payload), dryRun } });
+      renderImportReport(result);
+      showSnack(result.message);
+      if(!dryRun){
+        importFile = null;
+        qs('#import-mapping').hidden = true;
+        qs('#import-preview').hidden = true;
+        await renderAdminSearchResults();
+      }
+    } catch(err){
+      console.error('importProducts error:', err);
+      if(err.details?.errors) renderImportReport({ message: err.message, ...err.details });
+      showSnack('Import failed: ' + err.message);
+    } finally {
+      btns[0].disabled = !importFile;
+      btns[1].disabled = !importFile || bad >= 0;
+    }
+  }
+  function renderImportReport({ message, creates=[], updates=[], errors=[] }){
+    const list = (items, fmt)=> items.length ? `<ul>${items.slice(0, 100).map(fmt).join('')}${items.length > 100 ? `<li>…and ${items.length - 100} more</li>` : ''}</ul>` : '';
+    qs('#import-report').innerHTML = `
+      <p><strong>${escapeHtml(message || '')}</strong></p>
+      <div>${creates.length} to create</div>${list(creates, c=> `<li>Row ${c.row}: ${escapeHtml(c.name)}${c.madeToOrder ? ' (made to order)' : ''}</li>`)}
+      <div>${updates.length} to update</div>${list(updates, u=> `<li>Row ${u.row}: ${escapeHtml(u.name)} (#${escapeHtml(u.id)})</li>`)}
+      ${errors.length ? `<div class="row-error">${errors.length} with problems</div>${list(errors, e=> `<li class="row-error">Row ${e.row}: ${escapeHtml(Object.entries(e.errors).map(([k, v])=> `${k}: ${v}`).join('; '))}</li>`)}` : ''}`;
+  }
+  async function exportCatalog(format){
+    const products = await fetchProducts();
+    if(!products.length){ showSnack('No products to export'); return; }
+    const stamp = new Date().toISOString().slice(0, 10);
+    if(format==='json') downloadText(JSON.stringify(products.map(p=> productRecord(p, { flat: false })), null, 2), `catalog-${stamp}.json`, 'application/json');
+    else downloadText(toCsv(productsToRows(products)), `catalog-${stamp}.csv`);
+    showSnack(`Exported ${products.length} product(s)`);
+  }
+
   // ------------------ Branding / Settings ------------------
-  function setupConfigForm(){
+  // Tax & invoicing inputs, saved as-is under their appConfig key.
+  const INVOICE_FIELDS = [
+    ['#config-business-name', 'businessName'],
+    ['#config-gstin', 'gstin'],
+    ['#config-invoice-prefix', 'invoicePrefix'],
+    ['#config-business-address', 'businessAddress'],
+    ['#config-default-hsn', 'defaultHsn']
+  ];
+  // Shipping zones and crating tiers (see shipping.js), one row each.
+  const ZONE_FIELDS = [['name', 'text', 'Zone name'], ['prefixes', 'text', 'PIN prefixes, e.g. 30, 31'], ['base', 'number', 'Base ₹'], ['perKg', 'number', '₹ per kg']];
+  const TIER_FIELDS = [['upToIn', 'number', 'Up to height (in), blank = any'], ['fee', 'number', 'Crating fee ₹']];
+  function shippingRows(list, fields, cls){
+    const add = (v={})=>{
+      const row = document.createElement('div');
+      row.className = `shipping-row ${cls}`;
+      row.innerHTML = fields.map(([key, type, label])=> `<input data-field="${key}" type="${type}" ${type==='number' ? 'min="0" step="any"' : ''} placeholder="${label}" aria-label="${label}" value="${escapeHtml(Array.isArray(v[key]) ? v[key].join(', ') : v[key] ?? '')}">`).join('')
+        + `<button type="button" class="mdl-button mdl-js-button mdl-button--icon" data-remove aria-label="Remove"><i class="material-icons">close</i></button>`;
+      qs('[data-remove]', row).addEventListener('click', ()=> row.remove());
+      qsa('input, button', row).forEach(el=> el.disabled = !isOwner());
+      list.appendChild(row);
+    };
+    const read = ()=> qsa('.shipping-row', list).map(row=> Object.fromEntries(qsa('[data-field]', row).map(el=> [el.dataset.field, el.value.trim()])));
+    return { add, read, set: (rows)=>{ list.innerHTML = ''; rows.forEach(add); } };
+  }
+  const shippingZones = shippingRows(qs('#shipping-zones'), ZONE_FIELDS, '');
+  const shippingTiers = shippingRows(qs('#shipping-crating'), TIER_FIELDS, 'shipping-row--tier');
+  // The editor's rows as an appConfig `shipping` value; updateSettings checks them.
+  function readShippingForm(){
+    return {
+      zones: shippingZones.read().map(z=> ({ ...z, prefixes: z.prefixes.split(/[\s,]+/).filter(Boolean) })),
+      crating: shippingTiers.read().filter(t=> t.fee!=='' || t.upToIn!=='')
+    };
+  }
+
+  // Order notifications (see notifications.js): one editor, switched between
+  // messages with #notify-template. Edits are kept per message until saved, and
+  // only the ones that differ from the defaults are stored.
+  const NOTIFY_KEYS = Object.keys(NOTIFY_EVENTS).flatMap(ev=> NOTIFY_AUDIENCES.map(a=> templateKey(ev, a)));
+  const NO_TEMPLATE = { channels: [], subject: '', body: '' };
+  let notifyDrafts = {};
+  // ownerEmail and notificationTemplates, for owners only; null until loaded so
+  // a save can't overwrite them with blanks.
+  let privateSettings = null;
+  let notifyKey = NOTIFY_KEYS[0];
+  function readNotifyEditor(){
+    notifyDrafts[notifyKey] = {
+      channels: qsa('[data-notify-channel]').filter(el=> el.checked).map(el=> el.dataset.notifyChannel),
+      subject: qs('#notify-subject').value.trim(),
+      body: qs('#notify-body').value.trim()
+    };
+  }
+  function showNotifyTemplate(key){
+    const t = notifyDrafts[key] || NO_TEMPLATE;
+    notifyKey = key;
+    qs('#notify-template').value = key;
+    qsa('[data-notify-channel]').forEach(el=> el.checked = t.channels.includes(el.dataset.notifyChannel));
+    qs('#notify-subject').value = t.subject;
+    qs('#notify-body').value = t.body;
+  }
+  function readNotifyTemplates(){
+    readNotifyEditor();
+    const same = (a, b)=> a.subject===b.subject && a.body===b.body && a.channels.join()===b.channels.join();
+    return Object.fromEntries(Object.entries(notifyDrafts).filter(([key, t])=> !same(t, DEFAULT_TEMPLATES[key] || NO_TEMPLATE)));
+  }
+  function setupNotifyEditor(){
+    const select = qs('#notify-template');
+    if(!select) return;
+    select.innerHTML = NOTIFY_KEYS.map(key=>{
+      const [ev, audience] = key.split('.');
+      return `<option value="${key}">${NOTIFY_EVENTS[ev]} — to ${audience}</option>`;
+    }).join('');
+    qs('#notify-placeholder-list').innerHTML = Object.entries(TEMPLATE_PLACEHOLDERS).map(([k, label])=> `<li><code>{{${k}}}</code> ${escapeHtml(label)}</li>`).join('');
+    select.addEventListener('change', ()=>{ readNotifyEditor(); showNotifyTemplate(select.value); });
+    qs('#notify-reset').addEventListener('click', ()=>{
+      notifyDrafts[notifyKey] = DEFAULT_TEMPLATES[notifyKey] || NO_TEMPLATE;
+      showNotifyTemplate(notifyKey);
+    });
+  }
+
+  function fillConfigForm(){
     const cfg = getConfig();
+    if(qs('#notify-template')){
+      notifyDrafts = { ...templatesOf(privateSettings || {}) };
+      showNotifyTemplate(notifyKey);
+    }
+    const ownerEmailEl = qs('#config-owner-email');
+    if(ownerEmailEl) ownerEmailEl.value = privateSettings?.ownerEmail || '';
+    const shipping = shippingConfigOf(cfg);
+    shippingZones.set(shipping.zones);
+    shippingTiers.set(shipping.crating || DEFAULT_SHIPPING.crating);
     const taglineEl = qs('#config-tagline');
     const waEl = qs('#config-whatsapp');
-    const fileEl = qs('#config-logo-file');
+    const depositEl = qs('#config-deposit');
     if(taglineEl) taglineEl.value = cfg.tagline || '';
     if(waEl) waEl.value = cfg.whatsappNumber || '';
+    if(depositEl) depositEl.value = depositPercentOf(cfg);
+    INVOICE_FIELDS.forEach(([sel, key])=>{ const el = qs(sel); if(el) el.value = cfg[key] || ''; });
+    const gstEl = qs('#config-gst-rate');
+    if(gstEl) gstEl.value = cfg.gstRate ?? DEFAULT_GST_RATE;
+    const hsnEl = qs('#config-default-hsn');
+    if(hsnEl && !hsnEl.value) hsnEl.placeholder = DEFAULT_HSN;
+    upgrade();
+  }
+  function setupConfigForm(){
+    const taglineEl = qs('#config-tagline');
+    const waEl = qs('#config-whatsapp');
+    const depositEl = qs('#config-deposit');
+    const fileEl = qs('#config-logo-file');
+    setupNotifyEditor();
+    fillConfigForm();
+    qs('#shipping-zone-add')?.addEventListener('click', ()=> shippingZones.add());
+    qs('#shipping-tier-add')?.addEventListener('click', ()=> shippingTiers.add());
 
     // file preview for logo
     const fileWrap = qs('label.custom-file[aria-label="Upload logo"]');
@@ -706,20 +1529,118 @@ import supabase from './supabaseClient.js';
       saveBtn.addEventListener('click', async ()=>{
         const tagline = (taglineEl?.value||'').trim();
         const whatsappNumber = (waEl?.value||'').trim();
-        let logo = cfg.logo || '';
-        if(fileEl && fileEl.files && fileEl.files[0]){ logo = await readFileAsDataURL(fileEl.files[0]); }
-        const newCfg = { ...cfg, tagline, whatsappNumber, logo };
-        setConfig(newCfg);
-        setHeaderBranding();
-        showSnack('Settings saved');
+        const changes = { tagline, whatsappNumber };
+        if(depositEl && depositEl.value !== '') changes.depositPercent = Number(depositEl.value);
+        INVOICE_FIELDS.forEach(([sel, key])=>{ const el = qs(sel); if(el) changes[key] = el.value.trim(); });
+        const gstEl = qs('#config-gst-rate');
+        if(gstEl && gstEl.value !== '') changes.gstRate = Number(gstEl.value);
+        changes.shipping = readShippingForm();
+        const ownerEmailEl = qs('#config-owner-email');
+        if(privateSettings && ownerEmailEl) changes.ownerEmail = ownerEmailEl.value.trim();
+        if(privateSettings && qs('#notify-template')) changes.notificationTemplates = readNotifyTemplates();
+        saveBtn.disabled = true; saveBtn.classList.add('loading');
+        try{
+          // The logo is shown small; 512px is plenty even on high-DPI screens.
+          if(fileEl && fileEl.files && fileEl.files[0]){ changes.logo = await uploadImageFile(fileEl.files[0], 'branding', { maxSide: 512 }); }
+          ({ privateSettings } = await saveAppConfig(changes));
+          setHeaderBranding();
+          showSnack('Settings saved');
+        } catch(err){
+          console.error('saveAppConfig error:', err);
+          showSnack('Failed to save settings: ' + err.message);
+        } finally {
+          saveBtn.disabled = false; saveBtn.classList.remove('loading');
+        }
       });
     }
   }
 
+  // Staff can manage the catalog and orders; settings, team and deletes are owner-only.
+  // The functions enforce the same rules — this only keeps the UI honest.
+  function applyRoleUI(){
+    const identity = qs('#admin-identity');
+    if(identity){ identity.textContent = `${currentAdmin.name} • ${currentAdmin.role}`; }
+    const owner = isOwner();
+    qsa('#config-form input, #config-form textarea, #config-form button').forEach(el=>{ el.disabled = !owner; });
+    const cfgSave = qs('#config-save-btn'); if(cfgSave) cfgSave.disabled = !owner;
+    const cfgNote = qs('#config-owner-note'); if(cfgNote) cfgNote.style.display = owner ? 'none' : 'block';
+    const team = qs('#team-card'); if(team) team.style.display = owner ? '' : 'none';
+  }
+
+  // ------------------ Team (owners only) ------------------
+  function setupTeam(){
+    if(!isOwner()) return;
+    const inviteBtn = qs('#team-invite-btn');
+    if(inviteBtn){
+      inviteBtn.addEventListener('click', async ()=>{
+        const name = (qs('#team-name')?.value||'').trim();
+        const email = (qs('#team-email')?.value||'').trim();
+        const role = qs('#team-role')?.value || 'staff';
+        if(!name || !email){ showSnack('Enter a name and email'); return; }
+        inviteBtn.disabled = true;
+        try{
+          const result = await callFunction('inviteAdmin', { body: { name, email, role } });
+          showSnack(result.message || 'Admin added');
+          qs('#team-form')?.reset();
+          renderTeam();
+        } catch(err){ console.error('inviteAdmin error:', err); showSnack('Failed to add admin: ' + err.message); }
+        finally { inviteBtn.disabled = false; upgrade(); }
+      });
+    }
+    renderTeam();
+  }
+  async function renderTeam(){
+    const tbody = qs('#team-table-body');
+    if(!tbody) return;
+    tbody.innerHTML = '<tr><td class="mdl-data-table__cell--non-numeric" colspan="4">Loading…</td></tr>';
+    let admins = [];
+    try{ ({ admins } = await callFunction('listAdmins', { method:'GET' })); }
+    catch(err){ console.error('listAdmins error:', err); tbody.innerHTML = '<tr><td class="mdl-data-table__cell--non-numeric" colspan="4">Failed to load team</td></tr>'; return; }
+    tbody.innerHTML = '';
+    admins.forEach(a=>{
+      const self = a.id === currentAdmin.id;
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td class="mdl-data-table__cell--non-numeric">${a.name || '—'}${self ? ' <span class="mdl-typography--caption">(you)</span>' : ''}${a.invited ? ' <span class="mdl-typography--caption">(invited)</span>' : ''}</td>
+        <td class="mdl-data-table__cell--non-numeric">${a.email}</td>
+        <td class="mdl-data-table__cell--non-numeric">
+          <select data-role-for="${a.id}" aria-label="Role for ${a.email}">
+            <option value="owner" ${a.role==='owner'?'selected':''}>Owner</option>
+            <option value="staff" ${a.role==='staff'?'selected':''}>Staff</option>
+          </select>
+        </td>
+        <td class="mdl-data-table__cell--non-numeric"><button class="mdl-button mdl-js-button" data-remove-admin="${a.id}">Remove</button></td>
+      `;
+      tbody.appendChild(tr);
+    });
+    qsa('[data-role-for]', tbody).forEach(sel=>{
+      sel.addEventListener('change', ()=> changeAdminRole(sel.getAttribute('data-role-for'), sel.value));
+    });
+    qsa('[data-remove-admin]', tbody).forEach(btn=>{
+      btn.addEventListener('click', ()=>{
+        if(!confirm('Remove admin access for this person?')) return;
+        changeAdminRole(btn.getAttribute('data-remove-admin'), null);
+      });
+    });
+    upgrade();
+  }
+  async function changeAdminRole(userId, role){
+    try{
+      const result = await callFunction('setAdminRole', { body: { userId, role } });
+      showSnack(result.message || 'Role updated');
+      // Demoting yourself takes effect on the next token refresh; sign in again to pick it up.
+      if(userId === currentAdmin.id){ await logout(); return; }
+    } catch(err){ console.error('setAdminRole error:', err); showSnack('Failed to update role: ' + err.message); }
+    renderTeam();
+  }
+
   // ------------------ Init ------------------
-  function init(){
+  async function init(){
     seedIfNeeded();
-    if(isLoggedIn()) showDashboard(); else showLogin();
+    // Leftovers from the old per-browser admin password; nothing reads them any more.
+    ['adminAuth','adminLockout','adminSession'].forEach(k=> localStorage.removeItem(k));
+    const admin = await getAdminIdentity();
+    if(admin) showDashboard(admin); else showLogin();
   }
 
   document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,103 @@
+// analytics.js
+// Sales figures for the admin's analytics view, computed in the browser from
+// the orders' item snapshots, i.e. the prices actually charged rather than
+// today's catalog. Cancelled orders aren't sales and freight isn't revenue.
+// Timestamps are epoch ms; a range is { from, to } with `to` exclusive.
+import { ORDER_STATUSES, normalizeStatus } from './orderStatus.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Storefront clicks tracked per product (see functions/trackEvent.js).
+export const FUNNEL_EVENTS = ['whatsapp', 'order'];
+
+export const inRange = (ts, { from, to }) => (from == null || ts >= from) && (to == null || ts < to);
+export const isSale = (order) => normalizeStatus(order.status) !== 'cancelled';
+export const salesOf = (order) => (order.items || []).reduce((sum, it) => sum + (Number(it.subtotal) || 0), 0);
+
+export function summary(orders){
+  const sales = orders.filter(isSale);
+  const revenue = sales.reduce((sum, o) => sum + salesOf(o), 0);
+  return { orders: sales.length, revenue, averageOrderValue: sales.length ? revenue / sales.length : 0 };
+}
+
+export function ordersByStatus(orders){
+  const counts = Object.fromEntries(ORDER_STATUSES.map(st => [st, 0]));
+  orders.forEach(o => { counts[normalizeStatus(o.status)]++; });
+  return counts;
+}
+
+// Days for up to two months, weeks up to about six, then months.
+export function bucketFor(from, to){
+  const days = (to - from) / DAY;
+  return days <= 62 ? 'day' : days <= 190 ? 'week' : 'month';
+}
+// Local midnight starting the bucket `ts` falls in; weeks start on Monday.
+export function bucketStart(ts, bucket){
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  if(bucket === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if(bucket === 'month') d.setDate(1);
+  return d.getTime();
+}
+function nextBucket(ts, bucket){
+  const d = new Date(ts);
+  if(bucket === 'month') d.setMonth(d.getMonth() + 1);
+  else d.setDate(d.getDate() + (bucket === 'week' ? 7 : 1));
+  return d.getTime();
+}
+
+// [{ start, revenue, orders }] for every bucket of [from, to), empty ones included.
+export function revenueSeries(orders, { from, to }, bucket = bucketFor(from, to)){
+  const series = [];
+  const index = new Map();
+  for(let t = bucketStart(from, bucket); t < to; t = nextBucket(t, bucket)){
+    index.set(t, series.length);
+    series.push({ start: t, revenue: 0, orders: 0 });
+  }
+  orders.filter(isSale).forEach(o => {
+    const point = series[index.get(bucketStart(o.createdAt, bucket))];
+    if(!point) return;
+    point.revenue += salesOf(o);
+    point.orders++;
+  });
+  return series;
+}
+
+// Revenue and quantity per key, best sellers first: `keysOf(item)` returns the
+// line's key or keys (a product in two categories counts in both).
+export function topBy(orders, keysOf, limit = 10){
+  const totals = new Map();
+  orders.filter(isSale).forEach(o => (o.items || []).forEach(it => {
+    [].concat(keysOf(it)).filter(Boolean).forEach(key => {
+      const t = totals.get(key) || { key, revenue: 0, qty: 0 };
+      t.revenue += Number(it.subtotal) || 0;
+      t.qty += Number(it.qty) || 0;
+      totals.set(key, t);
+    });
+  }));
+  return [...totals.values()].sort((a, b) => b.revenue - a.revenue || b.qty - a.qty).slice(0, limit);
+}
+
+// Share of the buyers in `customers` (each with its `orders`, already limited
+// to the range) who placed more than one order.
+export function repeatCustomerRate(customers){
+  const buyers = customers.map(c => c.orders.filter(isSale).length).filter(n => n > 0);
+  const repeat = buyers.filter(n => n > 1).length;
+  return { buyers: buyers.length, repeat, rate: buyers.length ? repeat / buyers.length : 0 };
+}
+
+// Per product: WhatsApp clicks, Add to Cart clicks and orders placed, from the
+// click `counts` (productFunnel) and the orders in the same range.
+export function productFunnel(counts, orders){
+  const rows = new Map();
+  const row = (id) => {
+    if(!rows.has(id)) rows.set(id, { productId: id, name: '', whatsapp: 0, order: 0, placed: 0 });
+    return rows.get(id);
+  };
+  counts.forEach(c => { const r = row(c.productId); r.whatsapp = c.whatsapp; r.order = c.order; });
+  orders.filter(isSale).forEach(o => {
+    new Set((o.items || []).map(it => it.productId).filter(Boolean)).forEach(id => { row(id).placed++; });
+    (o.items || []).forEach(it => { if(it.productId && !row(it.productId).name) row(it.productId).name = it.productSnapshot?.name || ''; });
+  });
+  return [...rows.values()].sort((a, b) => (b.whatsapp + b.order) - (a.whatsapp + a.order) || b.placed - a.placed);
+}
@@ -0,0 +1,30 @@
+// api.js
+// Browser client for the Netlify functions in functions/. Sends the current
+// Supabase access token (if any) so the functions can identify the caller.
+import supabase from './supabaseClient.js';
+
+export async function authHeaders(){
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Resolves with the parsed JSON body; rejects with an Error carrying the
+// function's `error` message (and `status`) on any non-2xx response.
+export async function callFunction(name, { method = 'POST', body, query } = {}){
+  const qsPart = query ? `?${new URLSearchParams(query)}` : '';
+  const response = await fetch(`/.netlify/functions/${name}${qsPart}`, {
+    method,
+    headers: { ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}), ...(await authHeaders()) },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json().catch(()=> ({}));
+  if(!response.ok){
+    console.error(`${name} response error:`, result);
+    const err = new Error(result.error || `Request failed (${response.status})`);
+    err.status = response.status;
+    err.details = result.details;
+    throw err;
+  }
+  return result;
+}
@@ -1,3 +1,22 @@
+import supabase from './supabaseClient.js';
+import { fetchAppConfig } from './settingsApi.js';
+import { PIPELINE, STATUS_LABELS, normalizeStatus } from './orderStatus.js';
+import { listOrders, placeOrder, getMyOrderIds, forgetMyOrderIds, claimGuestOrders, migrateLegacyOrders } from './ordersApi.js';
+import { payForOrder } from './paymentsApi.js';
+import { downloadInvoice } from './invoicePdf.js';
+import { PAYMENT_STATUS_LABELS, depositPercentOf, depositAmount } from './paymentTerms.js';
+import { listCommissions, requestCommission, acceptQuote, getMyCommissionIds, forgetMyCommissionIds, COMMISSION_STATUS_LABELS } from './commissionsApi.js';
+import { createRouter, formatRoute } from './router.js';
+import { SEARCH_FIELDS, createSearchIndex, highlight, snippet } from './searchIndex.js';
+import { SIZE_UNITS, CM_PER_INCH, sizeOf, formatSize, parseDimensions, heightInInches } from './dimensions.js';
+import { stockOf, maxOrderable, isSoldOut, availabilityLabel } from './inventory.js';
+import { optionsOf, findOption, withOption, optionLabel } from './variants.js';
+import { imgAttrs, setImg } from './images.js';
+import { quoteShipping, shippingConfigOf, courierName, trackingLink } from './shipping.js';
+import { PIN_RE, MAX_ADDRESSES, ADDRESS_FIELDS, lookupPin, readAddress, formatAddress, addressKey } from './addresses.js';
+import { INDIAN_STATES } from './indianStates.js';
+import { SORT_OPTIONS, emptyFacets, activeFacetCount, optionMatches, applyFacets, materialCounts, facetBounds, facetParams, facetsFromParams } from './catalogFacets.js';
+
 (function(){
   'use strict';
 
@@ -11,11 +30,73 @@
   const generateId = (prefix='id') => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2,6)}`;
   const currency = (n) => new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(Number(n)||0);
   const formatDate = (ts) => new Date(ts).toLocaleString();
+  const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c=> ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
   const debounce = (fn, delay=250) => { let t; return (...args) => { clearTimeout(t); t=setTimeout(()=>fn(...args), delay); }; };
 
-  // ------------------ Auth (client-side) ------------------
-  const USER_DB_KEY = 'usersDB';
-  const USER_SESSION_KEY = 'userSession';
+  // ------------------ Auth (Supabase) ------------------
+  // Customer accounts live in Supabase Auth. A database trigger creates the
+  // `profiles` row from the signup metadata; supabase-js keeps the session
+  // refreshed on its own.
+  let currentUser = null;
+  const isUserLoggedIn = () => !!currentUser;
+  const authRedirectUrl = () => `${location.origin}${location.pathname}`;
+
+  async function fetchAccountProfile(user){
+    const { data, error } = await supabase.from('profiles').select('name, phone, address, addresses, notes').eq('id', user.id).maybeSingle();
+    if(error) console.error('fetchAccountProfile error:', error);
+    const meta = user.user_metadata || {};
+    const p = data || {};
+    const addresses = p.addresses?.length ? p.addresses : (meta.addresses || []);
+    return { name: p.name || meta.name || '', email: user.email, phone: p.phone || meta.phone || '', address: p.address || meta.address || '', addresses, notes: p.notes || '' };
+  }
+  async function saveAccountProfile({ name, phone, address, addresses, notes }){
+    if(!currentUser) return;
+    const { error } = await supabase.from('profiles').upsert({ id: currentUser.id, name, email: currentUser.email, phone, address, addresses, notes, updated_at: new Date().toISOString() });
+    if(error) throw error;
+  }
+
+  // `addresses` are structured (see addresses.js); `address` is the text form
+  // of the first, as older code and the admin read it.
+  async function signupUser({ name, email, phone, address, addresses = [], password }){
+    const { data, error } = await supabase.auth.signUp({
+      email, password,
+      options: { data: { name, phone, address, addresses }, emailRedirectTo: authRedirectUrl() }
+    });
+    if(error){
+      if(/already (registered|exists)/i.test(error.message)) return { ok:false, reason:'exists' };
+      return { ok:false, reason:'error', message: error.message };
+    }
+    // With email enumeration protection an existing address comes back as a user with no identities.
+    if(data.user && Array.isArray(data.user.identities) && data.user.identities.length===0) return { ok:false, reason:'exists' };
+    saveProfile({ name, email, phone, address, addresses, notes:'' });
+    // With email confirmation enabled there is no session until the link is clicked.
+    return { ok:true, confirm: !data.session };
+  }
+
+  async function loginUser(email, password){
+    const { error } = await supabase.auth.signInWithPassword({ email, password });
+    if(!error) return { ok:true };
+    if(/email not confirmed/i.test(error.message)) return { ok:false, reason:'unconfirmed' };
+    const upgraded = await upgradeLegacyAccount(email, password);
+    if(upgraded) return upgraded;
+    return { ok:false, reason:'invalid' };
+  }
+
+  async function logoutUser(){
+    await supabase.auth.signOut();
+    // Don't leave the last customer's details or orders behind on a shared device.
+    saveProfile({});
+    forgetMyOrderIds();
+    forgetMyCommissionIds();
+    ls.set('wishlist', []);
+    syncWishToggles();
+  }
+
+  // ------------------ Legacy accounts ------------------
+  // Accounts created before Supabase Auth were kept as PBKDF2 hashes under
+  // `usersDB` in one browser. A login that matches one re-registers it with
+  // Supabase using the same password, then the local copy is dropped.
+  const LEGACY_USER_DB_KEY = 'usersDB';
 
   const enc = new TextEncoder();
   const toBytes = (s) => enc.encode(s);
@@ -34,45 +115,55 @@
     const raw = await crypto.subtle.exportKey('raw', key);
     return toB64(raw);
   }
-  function getUsersDB(){ return ls.get(USER_DB_KEY, []); }
-  function setUsersDB(db){ ls.set(USER_DB_KEY, db); }
 
-  async function signupUser({ name, email, phone, address, password }){
-    const db = getUsersDB();
-    if(db.some(u=> u.email.toLowerCase() === email.toLowerCase())) return { ok:false, reason:'exists' };
-    const salt = crypto.getRandomValues(new Uint8Array(16));
-    const hash = await pbkdf2(password, salt);
-    const user = { id: generateId('user'), name, email, phone, address, pass:{ salt: toB64(salt), iterations:120000, hash } };
-    db.push(user); setUsersDB(db);
-    // Set profile for convenience
-    saveProfile({ name, email, phone, address, notes:'' });
-    upsertAdminUsers(name, email, phone, address);
-    setUserSession({ uid: user.id, email: user.email, createdAt: Date.now(), expiresAt: Date.now()+ 30*60*1000 });
-    return { ok:true, user };
+  async function upgradeLegacyAccount(email, password){
+    const db = ls.get(LEGACY_USER_DB_KEY, []);
+    const legacy = db.find(u=> (u.email||'').toLowerCase() === email.toLowerCase());
+    if(!legacy || !legacy.pass) return null;
+    const calc = await pbkdf2(password, fromB64(legacy.pass.salt), legacy.pass.iterations||120000);
+    if(calc !== legacy.pass.hash) return null;
+    const res = await signupUser({ name: legacy.name, email: legacy.email, phone: legacy.phone, address: legacy.address, password });
+    if(!res.ok) return null;
+    const rest = db.filter(u=> u !== legacy);
+    if(rest.length) ls.set(LEGACY_USER_DB_KEY, rest); else localStorage.removeItem(LEGACY_USER_DB_KEY);
+    return res;
   }
 
-  async function loginUser(email, password){
-    const db = getUsersDB();
-    const user = db.find(u=> u.email.toLowerCase()===email.toLowerCase());
-    if(!user) return { ok:false };
-    const salt = fromB64(user.pass.salt);
-    const calc = await pbkdf2(password, salt, user.pass.iterations||120000);
-    if(calc !== user.pass.hash) return { ok:false };
-    setUserSession({ uid: user.id, email: user.email, createdAt: Date.now(), expiresAt: Date.now()+ 30*60*1000 });
-    // Always sync profile to the logged-in user
-    saveProfile({ name: user.name, email: user.email, phone: user.phone, address: user.address, notes: getProfile()?.notes || '' });
-    upsertAdminUsers(user.name, user.email, user.phone, user.address);
-    return { ok:true, user };
-  }
-
-  function getUserSession(){ return ls.get(USER_SESSION_KEY, null); }
-  function setUserSession(v){ ls.set(USER_SESSION_KEY, v); }
-  function clearUserSession(){ localStorage.removeItem(USER_SESSION_KEY); }
-  function isUserLoggedIn(){ const s = getUserSession(); return !!(s && s.expiresAt > Date.now()); }
-  function refreshUserSession(){ const s = getUserSession(); if(!s) return; setUserSession({ ...s, expiresAt: Date.now()+ 30*60*1000 }); }
-  function setupUserSessionKeepAlive(){
-    const handler = debounce(refreshUserSession, 60000);
-    ['click','keydown','mousemove','scroll','touchstart'].forEach(evt => window.addEventListener(evt, handler, { passive:true }));
+  // ------------------ Auth state & modal ------------------
+  async function applyAuthUser(user){
+    currentUser = user || null;
+    if(currentUser){
+      if(authTimer){ clearTimeout(authTimer); authTimer = null; }
+      const guestAddresses = getProfile().addresses || [];
+      saveProfile(await fetchAccountProfile(currentUser));
+      await mergeAccountAddresses(guestAddresses);
+      try{ await claimGuestOrders(); } catch(err){ console.error('claimGuestOrders error:', err); }
+      await mergeAccountWishlist(currentUser);
+    }
+    updateAccountUI();
+    loadProfileIntoForm();
+    renderOrders();
+  }
+  function setupAuthListener(){
+    supabase.auth.onAuthStateChange((event, session)=>{
+      if(event==='PASSWORD_RECOVERY'){ passwordRecovery = true; openModal('reset', { replace: true }); }
+      const user = session?.user || null;
+      if(event==='USER_UPDATED' || (user?.id||null) !== (currentUser?.id||null)){
+        // Defer: supabase-js must not be awaited inside its own auth callback.
+        setTimeout(()=> applyAuthUser(user));
+      }
+    });
+  }
+  function updateAccountUI(){
+    const status = qs('#account-status');
+    const logoutBtn = qs('#logout-btn');
+    const openAuthBtn = qs('#open-auth-btn');
+    const emailEl = qs('#profile-email');
+    if(status) status.textContent = currentUser ? `Signed in as ${currentUser.email}` : 'You are browsing as a guest.';
+    if(logoutBtn) logoutBtn.style.display = currentUser ? 'inline-flex' : 'none';
+    if(openAuthBtn) openAuthBtn.style.display = currentUser ? 'none' : 'inline-flex';
+    // The account email can only be changed through Supabase Auth.
+    if(emailEl) emailEl.readOnly = !!currentUser;
   }
 
   function showAuthModal(show){
@@ -82,72 +173,105 @@
     modal.classList.toggle('show', !!show);
     modal.setAttribute('aria-hidden', show? 'false':'true');
   }
+  function showAuthPanel(panel){
+    const panels = {
+      login: ['#auth-login-form', '#auth-login-btn'],
+      signup: ['#auth-signup-form', '#auth-signup-btn'],
+      reset: ['#auth-reset-form', '#auth-reset-btn']
+    };
+    Object.entries(panels).forEach(([name, [formSel, btnSel]])=>{
+      qs(formSel).style.display = name===panel ? 'block' : 'none';
+      qs(btnSel).style.display = name===panel ? 'inline-flex' : 'none';
+    });
+    qs('#auth-tabs').style.display = panel==='reset' ? 'none' : 'flex';
+    qs('#auth-tab-login').classList.toggle('active', panel==='login');
+    qs('#auth-tab-signup').classList.toggle('active', panel==='signup');
+    qs('#auth-modal-title').textContent = panel==='reset' ? 'Set a new password' : 'Welcome';
+  }
+  // The reset panel only makes sense after a recovery link signed the user in.
+  let passwordRecovery = false;
   function wireAuthModal(){
-    const tabLogin = qs('#auth-tab-login');
-    const tabSignup = qs('#auth-tab-signup');
-    const loginForm = qs('#auth-login-form');
-    const signupForm = qs('#auth-signup-form');
     const loginBtn = qs('#auth-login-btn');
     const signupBtn = qs('#auth-signup-btn');
+    const resetBtn = qs('#auth-reset-btn');
+    const forgotBtn = qs('#auth-forgot-btn');
+    setupAddressFields('auth');
 
-    if(tabLogin && tabSignup){
-      tabLogin.addEventListener('click', ()=>{
-        tabLogin.classList.add('active'); tabSignup.classList.remove('active');
-        loginForm.style.display='block'; signupForm.style.display='none';
-        loginBtn.style.display='inline-flex'; signupBtn.style.display='none';
-      });
-      tabSignup.addEventListener('click', ()=>{
-        tabSignup.classList.add('active'); tabLogin.classList.remove('active');
-        signupForm.style.display='block'; loginForm.style.display='none';
-        signupBtn.style.display='inline-flex'; loginBtn.style.display='none';
-      });
-    }
+    qs('#auth-tab-login').addEventListener('click', ()=> openModal('login', { replace: true }));
+    qs('#auth-tab-signup').addEventListener('click', ()=> openModal('signup', { replace: true }));
+    qs('#auth-modal-close').addEventListener('click', closeModal);
+    qs('#open-auth-btn').addEventListener('click', ()=> openModal('login'));
+    qs('#logout-btn').addEventListener('click', async ()=>{ await logoutUser(); showSnack('Logged out'); });
 
-    if(loginBtn){
-      loginBtn.addEventListener('click', async ()=>{
-        const email = (qs('#auth-login-email').value||'').trim();
-        const pass = (qs('#auth-login-pass').value||'').trim();
-        if(!email || !pass){ showSnack('Enter email and password'); return; }
-        loginBtn.disabled = true;
-        const res = await loginUser(email, pass);
-        loginBtn.disabled = false;
-        if(res.ok){ showSnack('Welcome back'); showAuthModal(false); if(authTimer) clearTimeout(authTimer); loadProfileIntoForm(); renderOrders(); setupUserSessionKeepAlive(); }
-        else { showSnack('Invalid credentials'); }
-      });
-    }
+    loginBtn.addEventListener('click', async ()=>{
+      const email = (qs('#auth-login-email').value||'').trim();
+      const pass = (qs('#auth-login-pass').value||'').trim();
+      if(!email || !pass){ showSnack('Enter email and password'); return; }
+      loginBtn.disabled = true;
+      const res = await loginUser(email, pass);
+      loginBtn.disabled = false;
+      if(res.ok && res.confirm){ showSnack('Your account was moved to our new sign-in. Check your email to confirm it.'); closeModal(); }
+      else if(res.ok){ showSnack('Welcome back'); closeModal(); }
+      else if(res.reason==='unconfirmed'){ showSnack('Please confirm your email address first'); }
+      else { showSnack('Invalid credentials'); }
+    });
 
-    if(signupBtn){
-      signupBtn.addEventListener('click', async ()=>{
-        const name = (qs('#auth-name').value||'').trim();
-        const email = (qs('#auth-email').value||'').trim();
-        const phone = (qs('#auth-phone').value||'').trim();
-        const address = (qs('#auth-address').value||'').trim();
-        const pass = (qs('#auth-pass').value||'').trim();
-        const pass2 = (qs('#auth-pass2').value||'').trim();
-        if(!name || !email || !phone || !address || !pass || !pass2){ showSnack('Please fill all fields'); return; }
-        if(pass.length < 8){ showSnack('Password must be at least 8 characters'); return; }
-        if(pass !== pass2){ showSnack('Passwords do not match'); return; }
-        signupBtn.disabled = true;
-        const res = await signupUser({ name, email, phone, address, password: pass });
-        signupBtn.disabled = false;
-        if(res.ok){ showSnack('Account created'); showAuthModal(false); loadProfileIntoForm(); renderOrders(); setupUserSessionKeepAlive(); }
-        else if(res.reason==='exists') { showSnack('Account already exists'); }
-        else { showSnack('Sign up failed'); }
-      });
-    }
+    forgotBtn.addEventListener('click', async ()=>{
+      const email = (qs('#auth-login-email').value||'').trim();
+      if(!validateEmail(email)){ showSnack('Enter your email address above first'); return; }
+      forgotBtn.disabled = true;
+      const { error } = await supabase.auth.resetPasswordForEmail(email, { redirectTo: authRedirectUrl() });
+      forgotBtn.disabled = false;
+      if(error){ console.error('resetPasswordForEmail error:', error); showSnack('Could not send reset email'); return; }
+      showSnack('If that email has an account, a reset link is on its way');
+    });
+
+    signupBtn.addEventListener('click', async ()=>{
+      const name = (qs('#auth-name').value||'').trim();
+      const email = (qs('#auth-email').value||'').trim();
+      const phone = (qs('#auth-phone').value||'').trim();
+      const parts = readAddressFields('auth');
+      const pass = (qs('#auth-pass').value||'').trim();
+      const pass2 = (qs('#auth-pass2').value||'').trim();
+      if(!name || !email || !phone || !pass || !pass2){ showSnack('Please fill all fields'); return; }
+      if(Object.keys(parts.errors).length){ showSnack(addressError(parts.errors)); return; }
+      if(pass.length < 8){ showSnack('Password must be at least 8 characters'); return; }
+      if(pass !== pass2){ showSnack('Passwords do not match'); return; }
+      signupBtn.disabled = true;
+      const addresses = [{ id: newAddressId(), label: 'Home', ...parts.value }];
+      const res = await signupUser({ name, email, phone, address: formatAddress(parts.value), addresses, password: pass });
+      signupBtn.disabled = false;
+      if(res.ok && res.confirm){ showSnack('Check your email to confirm your account'); closeModal(); }
+      else if(res.ok){ showSnack('Account created'); closeModal(); }
+      else if(res.reason==='exists') { showSnack('Account already exists'); }
+      else { showSnack('Sign up failed' + (res.message ? ': ' + res.message : '')); }
+    });
+
+    resetBtn.addEventListener('click', async ()=>{
+      const pass = (qs('#auth-new-pass').value||'').trim();
+      const pass2 = (qs('#auth-new-pass2').value||'').trim();
+      if(pass.length < 8){ showSnack('Password must be at least 8 characters'); return; }
+      if(pass !== pass2){ showSnack('Passwords do not match'); return; }
+      resetBtn.disabled = true;
+      const { error } = await supabase.auth.updateUser({ password: pass });
+      resetBtn.disabled = false;
+      if(error){ console.error('updateUser error:', error); showSnack('Could not update password: ' + error.message); return; }
+      showSnack('Password updated');
+      passwordRecovery = false;
+      closeModal();
+    });
   }
 
   let authTimer = null;
 
-  function requireAuthOnFirstVisit(){
-    console.log('requireAuthOnFirstVisit called, logged in:', isUserLoggedIn());
-    if(!isUserLoggedIn()){
+  async function requireAuthOnFirstVisit(){
+    const { data } = await supabase.auth.getSession();
+    if(!data?.session && !authTimer){
       authTimer = setTimeout(() => {
-        console.log('Auth timer triggered, showing modal');
-        showAuthModal(true);
-      }, 5000); // 5 seconds delay for testing
-    } else {
-      setupUserSessionKeepAlive();
+        authTimer = null;
+        // Don't cover a modal the visitor opened (or followed a link to).
+        if(!isUserLoggedIn() && !router.current.params.modal) openModal('login', { replace: true });
+      }, 5000);
     }
   }
 
@@ -170,25 +294,6 @@
         notes: ''
       });
     }
-    if(!ls.get('products')){
-      const seed = [
-        {name:'Shiva Marble Idol', material:'Marble', dimensions:'24in H x 12in W x 10in D', price:12000, categories:['God Idols','Marble'], image:''},
-        {name:'Ganesha Sandstone Idol', material:'Sandstone', dimensions:'18in H x 10in W x 8in D', price:8000, categories:['God Idols','Sandstone'], image:''},
-        {name:'Buddha Granite Bust', material:'Granite', dimensions:'16in H x 10in W x 8in D', price:9500, categories:['Busts','Granite'], image:''},
-        {name:'Nandi Stone Sculpture', material:'Stone', dimensions:'14in H x 18in W x 12in D', price:11000, categories:['Animals','Stone'], image:''},
-        {name:'Radha Krishna Marble Pair', material:'Marble', dimensions:'22in H x 16in W x 10in D', price:20000, categories:['God Idols','Marble'], image:''},
-        {name:'Abstract Marble Art Piece', material:'Marble', dimensions:'20in H x 10in W x 6in D', price:15000, categories:['Abstract','Marble'], image:''},
-        {name:'Elephant Sandstone Figurine', material:'Sandstone', dimensions:'12in H x 16in W x 8in D', price:7000, categories:['Animals','Sandstone'], image:''},
-        {name:'Durga Marble Idol', material:'Marble', dimensions:'26in H x 16in W x 10in D', price:22000, categories:['God Idols','Marble'], image:''},
-      ].map(p=>({
-        id: generateId('prod'),
-        description: `${p.name} handcrafted in ${p.material}.` ,
-        ...p
-      }));
-      ls.set('products', seed);
-    }
-    if(!ls.get('orders')){ ls.set('orders', []); }
-    if(!ls.get('users')){ ls.set('users', []); }
   }
 
   // ------------------ DOM Helpers ------------------
@@ -211,213 +316,1014 @@
   }
 
   // ------------------ Navigation ------------------
+  function showView(view){
+    qsa('.view').forEach(v=>v.classList.remove('active'));
+    qs(`#${view}`).classList.add('active');
+    qsa('.bottom-nav .nav-item').forEach(b=>b.classList.toggle('active', b.dataset.view===view));
+  }
   function setupNav(){
     qsa('.bottom-nav .nav-item').forEach(btn=>{
-      btn.addEventListener('click', ()=>{
-        const view = btn.dataset.view;
-        qsa('.view').forEach(v=>v.classList.remove('active'));
-        qs(`#${view}`).classList.add('active');
-        qsa('.bottom-nav .nav-item').forEach(b=>b.classList.remove('active'));
-        btn.classList.add('active');
-      });
+      btn.addEventListener('click', ()=> router.go(routeForView(btn.dataset.view)));
     });
   }
 
   // ------------------ Products Rendering ------------------
-  function buildProductCard(p){
+  const CARD_IMAGE = { sizes: '(max-width: 479px) 100vw, (max-width: 839px) 50vw, 25vw', placeholder: 'https://via.placeholder.com/800x600?text=Statue' };
+  // A card starts on the first option (variants.js) matching the active facets
+  // and has a picker when there's more than one.
+  function pickOption(p){
+    return p.options.find(o=> optionMatches(o, facets)) || p.options[0];
+  }
+  // The product as the chosen option; `image`/`heightIn` follow it too.
+  function optionView(p, option){
+    const view = withOption(p, option);
+    return { ...view, image: view.images[0] || '', heightIn: option.heightIn };
+  }
+  function variantPicker(p, selected, attrs=''){
+    if(p.options.length < 2) return '';
+    return `<select class="variant-picker" aria-label="Material and size" ${attrs}>
+      ${p.options.map(o=> `<option value="${escapeHtml(o.id)}" ${o.id===selected.id ? 'selected' : ''}>${escapeHtml(optionLabel(o, getSizeUnit()))} – ${currency(o.price)}</option>`).join('')}
+    </select>`;
+  }
+  function whatsappLink(v){
     const cfg = ls.get('appConfig', {});
     const waNumber = cfg.whatsappNumber || '';
-    const waText = encodeURIComponent(`Hello, I’m interested in ${p.name} priced at ${currency(p.price)}. Material: ${p.material}, Dimensions: ${p.dimensions}.`);
-    const waLink = `https://wa.me/${waNumber.replace(/\D/g,'')}?text=${waText}`;
+    const waText = encodeURIComponent(`Hello, I’m interested in ${v.name} priced at ${currency(v.price)}. Material: ${v.material}, Dimensions: ${sizeLabel(v)}.`);
+    return `https://wa.me/${waNumber.replace(/\D/g,'')}?text=${waText}`;
+  }
+  // WhatsApp and Add to Cart clicks feed the admin's product funnel. A beacon
+  // still goes out when the click navigates away from the page.
+  function trackClick(productId, kind){
+    const body = new Blob([JSON.stringify({ productId, kind })], { type: 'application/json' });
+    try{ if(navigator.sendBeacon?.('/.netlify/functions/trackEvent', body)) return; } catch(_){}
+    fetch('/.netlify/functions/trackEvent', { method: 'POST', body, keepalive: true }).catch(()=>{});
+  }
+
+  // `opts.terms` (id -> matched words, from search) highlights the match.
+  function buildProductCard(p, opts={}){
+    const terms = opts.terms?.get(p.id);
+    const excerpt = terms ? snippet(p.description, terms) : '';
+    let option = pickOption(p);
+    const v = optionView(p, option);
 
     const cell = document.createElement('div');
     cell.className = 'mdl-cell mdl-cell--6-col mdl-cell--4-col-tablet mdl-cell--3-col-desktop';
 
     cell.innerHTML = `
       <div class="mdl-card mdl-shadow--2dp product-card">
-        <div class="mdl-card__media">
-          <span class="price-badge">${currency(p.price)}</span>
-          <span class="material-chip">${p.material}</span>
-          <img src="${p.image || 'https://via.placeholder.com/800x600?text=Statue'}" alt="${p.name}">
-        </div>
+        <a class="mdl-card__media product-link" href="${productPath(p.id, option.id)}">
+          <span class="price-badge">${currency(v.price)}</span>
+          <span class="material-chip">${escapeHtml(v.material)}</span>
+          ${stockBadge(p)}
+          <img ${imgAttrs(v.image, { ...CARD_IMAGE, alt: p.name })}>
+        </a>
         <div class="mdl-card__title">
-          <h2 class="mdl-card__title-text">${p.name}</h2>
+          <h2 class="mdl-card__title-text"><a class="product-link" href="${productPath(p.id, option.id)}">${highlight(p.name, terms)}</a></h2>
         </div>
         <div class="mdl-card__supporting-text">
+          ${variantPicker(p, option)}
           <div class="product-meta">
-            <span>${p.dimensions}</span>
-            <span>${(p.categories||[]).join(', ')}</span>
+            <span class="product-size">${escapeHtml(sizeLabel(v))}</span>
+            <span>${highlight((p.categories||[]).join(', '), terms)}</span>
           </div>
+          ${excerpt ? `<p class="search-snippet">${excerpt}</p>` : ''}
         </div>
         <div class="mdl-card__actions mdl-card--border product-actions">
-          <button class="mdl-button mdl-js-button mdl-button--raised mdl-button--colored" data-order="${p.id}">Order</button>
-          <a href="${waLink}" target="_blank" rel="noopener" class="mdl-button mdl-js-button">WhatsApp</a>
+          <button class="mdl-button mdl-js-button mdl-button--raised mdl-button--colored" data-add-cart="${p.id}" ${isSoldOut(p) ? 'disabled' : ''}>${isSoldOut(p) ? 'Sold out' : 'Add to Cart'}</button>
+          <a href="${whatsappLink(v)}" target="_blank" rel="noopener" class="mdl-button mdl-js-button" data-whatsapp>WhatsApp</a>
+          ${wishToggle(p)}
         </div>
       </div>
     `;
 
+    // Switching variants repaints the card in place.
+    qs('.variant-picker', cell)?.addEventListener('change', (e)=>{
+      option = findOption(p, e.target.value) || p.options[0];
+      const next = optionView(p, option);
+      qs('.price-badge', cell).textContent = currency(next.price);
+      qs('.material-chip', cell).textContent = next.material;
+      qs('.product-size', cell).textContent = sizeLabel(next);
+      setImg(qs('.mdl-card__media img', cell), next.image || CARD_IMAGE.placeholder, CARD_IMAGE);
+      qsa('.product-link', cell).forEach(a=> a.href = productPath(p.id, option.id));
+      qs('[data-whatsapp]', cell).href = whatsappLink(next);
+    });
+
     // Attach event after insert
     setTimeout(()=>{
-      const btn = cell.querySelector(`[data-order="${p.id}"]`);
-      btn && btn.addEventListener('click', ()=> openOrderForm(p.id));
+      const btn = cell.querySelector(`[data-add-cart="${p.id}"]`);
+      btn && btn.addEventListener('click', ()=>{ trackClick(p.id, 'order'); addToCart(p.id, option.id); });
+      qs('[data-whatsapp]', cell).addEventListener('click', ()=> trackClick(p.id, 'whatsapp'));
     });
 
     return cell;
   }
-  function renderProducts(list, container){
+  // Sold out and made to order get a badge on the card; stocked items don't.
+  function stockBadge(p){
+    if(isSoldOut(p)) return '<span class="stock-badge stock-badge--sold-out">Sold out</span>';
+    if(stockOf(p).madeToOrder) return '<span class="stock-badge">Made to order</span>';
+    return '';
+  }
+  function renderProducts(list, container, opts){
     container.innerHTML='';
     const frag = document.createDocumentFragment();
-    list.forEach(p=> frag.appendChild(buildProductCard(p)));
+    list.forEach(p=> frag.appendChild(buildProductCard(p, opts)));
     container.appendChild(frag);
   }
-  function loadProducts(){ return ls.get('products', []); }
+  function loadProducts(){ return catalog; }
+
+  // ------------------ Catalog (Supabase) ------------------
+  // The storefront reads the same `products` table the admin writes to. The last
+  // good response is cached so the grid still works when the network is down.
+  const CATALOG_CACHE_KEY = 'catalogCache';
+  let catalog = [];
+  let catalogState = 'loading'; // loading | ready | offline | error
+
+  function normalizeProduct(row){
+    const categories = Array.isArray(row.categories)
+      ? row.categories
+      : String(row.categories||'').split(',').map(s=>s.trim()).filter(Boolean);
+    // Rows cached before products had an image list still carry a single `image`.
+    const images = Array.isArray(row.images) ? row.images.filter(Boolean) : (row.image ? [row.image] : []);
+    const careNotes = row.care_notes ?? row.careNotes ?? '';
+    // Legacy rows without a structured size still get a height from the text.
+    const options = optionsOf({ ...row, images }).map(o=> ({ ...o, heightIn: heightInInches(o.size || (o.id ? null : parseDimensions(row.dimensions))) }));
+    const materials = [...new Set(options.map(o=> o.material).filter(Boolean))];
+    return { ...row, ...stockOf(row), id: String(row.id), price: Number(row.price)||0, categories, images, image: images[0] || '', careNotes, heightIn: options[0].heightIn, options, materials };
+  }
+  async function fetchCatalog(){
+    const { data, error } = await supabase.from('products').select('*').order('created_at', { ascending:false });
+    if(error) throw error;
+    return (data||[]).map(normalizeProduct);
+  }
+  async function refreshCatalog(){
+    catalogState = 'loading';
+    renderCatalog();
+    try{
+      catalog = await fetchCatalog();
+      ls.set(CATALOG_CACHE_KEY, { products: catalog, savedAt: Date.now() });
+      catalogState = 'ready';
+    } catch(err){
+      console.error('refreshCatalog error:', err);
+      const cached = ls.get(CATALOG_CACHE_KEY, null);
+      if(cached && Array.isArray(cached.products)){
+        catalog = cached.products.map(normalizeProduct);
+        catalogState = 'offline';
+      } else {
+        catalog = [];
+        catalogState = 'error';
+      }
+    }
+    renderCatalog();
+  }
+
+  function catalogStatusCell(){
+    const cell = document.createElement('div');
+    cell.className = 'mdl-cell mdl-cell--12-col catalog-status';
+    if(catalogState==='loading'){
+      cell.innerHTML = '<p class="muted">Loading products…</p>';
+    } else if(catalogState==='error'){
+      cell.innerHTML = `
+        <p class="muted">We couldn’t load the catalog. Please check your connection.</p>
+        <button class="mdl-button mdl-js-button mdl-button--raised" data-retry-catalog>Retry</button>
+      `;
+    } else if(catalogState==='offline'){
+      const cached = ls.get(CATALOG_CACHE_KEY, {});
+      cell.innerHTML = `
+        <p class="muted">You’re offline. Showing the catalog saved ${cached.savedAt ? formatDate(cached.savedAt) : 'earlier'}.</p>
+        <button class="mdl-button mdl-js-button" data-retry-catalog>Retry</button>
+      `;
+    }
+    const retry = cell.querySelector('[data-retry-catalog]');
+    retry && retry.addEventListener('click', refreshCatalog);
+    return cell;
+  }
+  function renderCatalogInto(list, container, opts){
+    if(catalogState==='loading' || catalogState==='error'){
+      container.innerHTML = '';
+      container.appendChild(catalogStatusCell());
+      return;
+    }
+    renderProducts(list, container, opts);
+    if(catalogState==='offline') container.prepend(catalogStatusCell());
+  }
+  function renderHome(){
+    const chips = qs('#category-chips');
+    if(catalogState==='loading' || catalogState==='error'){
+      chips.innerHTML = catalogState==='loading' ? '<span class="muted">Loading categories…</span>' : '';
+    } else {
+      renderCategoryChips(loadProducts());
+    }
+    const base = categoryProducts();
+    const list = applyFacets(base, facets);
+    updateFacetPanel('home-facets', base, list.length);
+    renderCatalogInto(list, qs('#products-grid'));
+  }
+  function renderCatalog(){
+    renderHome();
+    renderSearchResults();
+    renderCart();
+    const [name, id] = router.current.path;
+    if(name==='product') renderProductDetail(id);
+    if(name==='wishlist') renderWishlist();
+  }
 
-  // Category chips
+  // Category chips. The selected chip is part of the route (#/?cat=Marble).
+  let activeCategory = '';
+  const sameCategory = (a, b) => a.toLowerCase()===b.toLowerCase();
+  function categoryProducts(){
+    if(!activeCategory) return loadProducts();
+    return loadProducts().filter(p=> (p.categories||[]).some(x=> sameCategory(x, activeCategory)));
+  }
   function renderCategoryChips(products){
     const set = new Set();
     products.forEach(p=> (p.categories||[]).forEach(c=> set.add(c)));
     const chips = qs('#category-chips');
     chips.innerHTML='';
     const allChip = document.createElement('button');
-    allChip.className='chip active';
+    allChip.className = 'chip' + (activeCategory ? '' : ' active');
     allChip.textContent='All';
-    allChip.addEventListener('click', ()=>{
-      qsa('#category-chips .chip').forEach(c=>c.classList.remove('active'));
-      allChip.classList.add('active');
-      renderProducts(loadProducts(), qs('#products-grid'));
-    });
+    allChip.addEventListener('click', ()=> router.update({ cat: null }));
     chips.appendChild(allChip);
 
     Array.from(set).sort().forEach(cat=>{
       const b = document.createElement('button');
-      b.className='chip'; b.textContent=cat;
-      b.addEventListener('click', ()=>{
-        qsa('#category-chips .chip').forEach(c=>c.classList.remove('active'));
-        b.classList.add('active');
-        const filtered = loadProducts().filter(p=> (p.categories||[]).some(x=> x.toLowerCase()===cat.toLowerCase()));
-        renderProducts(filtered, qs('#products-grid'));
-      });
+      b.className = 'chip' + (activeCategory && sameCategory(cat, activeCategory) ? ' active' : '');
+      b.textContent=cat;
+      b.addEventListener('click', ()=> router.update({ cat }));
       chips.appendChild(b);
     });
   }
 
+  // ------------------ Facets ------------------
+  // Material / price / height filters and sort order, shared by Home and Search
+  // and kept in the route (catalogFacets.js maps them to ?mat=&price=&height=&sort=).
+  const PRICE_STEP = 500;
+  let facets = emptyFacets();
+  const sameFacets = (a, b) => JSON.stringify(facetParams(a))===JSON.stringify(facetParams(b));
+
+  // Checkboxes, the sort and Clear go through the route; dragging a slider
+  // re-renders live and only lands in the route once released.
+  const commitFacets = (next) => router.update(facetParams(next));
+  function previewFacets(next){
+    facets = next;
+    renderHome();
+    renderSearchResults();
+  }
+
+  function buildFacetPanel(el){
+    el.innerHTML = `
+      <details class="facets">
+        <summary><i class="material-icons" aria-hidden="true">tune</i> Filters &amp; sort <span class="facet-summary muted"></span></summary>
+        <div class="facet-body">
+          <fieldset class="facet-group">
+            <legend>Material</legend>
+            <div class="facet-materials"></div>
+          </fieldset>
+          ${['price', 'height'].map(key=> `
+            <fieldset class="facet-group" data-range="${key}">
+              <legend>${key==='price' ? 'Price' : 'Height'} <span class="facet-range-label muted"></span></legend>
+              <input type="range" data-end="0" aria-label="Minimum ${key}">
+              <input type="range" data-end="1" aria-label="Maximum ${key}">
+            </fieldset>`).join('')}
+          <div class="facet-footer">
+            <label>Sort by
+              <select class="facet-sort">${SORT_OPTIONS.map(([v, label])=> `<option value="${v}">${label}</option>`).join('')}</select>
+            </label>
+            ${unitToggle()}
+            <button type="button" class="mdl-button mdl-js-button facet-clear">Clear filters</button>
+          </div>
+        </div>
+      </details>
+    `;
+    qs('.facet-materials', el).addEventListener('change', ()=>{
+      const materials = qsa('.facet-materials input:checked', el).map(i=> i.value);
+      commitFacets({ ...facets, materials });
+    });
+    qsa('[data-range]', el).forEach(group=>{
+      const key = group.dataset.range;
+      const [lo, hi] = qsa('input', group);
+      const read = (moved)=>{
+        // Thumbs can't cross: the one being dragged pushes the other along.
+        if(Number(lo.value) > Number(hi.value)){ if(moved===lo) hi.value = lo.value; else lo.value = hi.value; }
+        return [
+          Number(lo.value) > Number(lo.min) ? Number(lo.value) : null,
+          Number(hi.value) < Number(hi.max) ? Number(hi.value) : null
+        ];
+      };
+      [lo, hi].forEach(input=>{
+        input.addEventListener('input', ()=> previewFacets({ ...facets, [key]: read(input) }));
+        input.addEventListener('change', ()=> commitFacets({ ...facets, [key]: read(input) }));
+      });
+    });
+    qs('.facet-sort', el).addEventListener('change', (e)=> commitFacets({ ...facets, sort: e.target.value }));
+    qs('.facet-clear', el).addEventListener('click', ()=> commitFacets({ ...emptyFacets(), sort: facets.sort }));
+  }
+
+  // Refreshes counts, bounds and selections in place so a slider being dragged
+  // isn't rebuilt under the pointer. `base` is the list before facets apply.
+  function updateFacetPanel(id, base, shown){
+    const el = qs('#'+id);
+    if(!el.firstElementChild) buildFacetPanel(el);
+    const active = activeFacetCount(facets);
+    qs('.facet-summary', el).textContent = `${active ? `${active} active • ` : ''}${shown} statue(s)`;
+
+    qs('.facet-materials', el).innerHTML = materialCounts(base, facets).map(({ name, count })=>{
+      const checked = facets.materials.some(m=> m.toLowerCase()===name.toLowerCase());
+      return `<label class="facet-option${count || checked ? '' : ' empty'}">
+        <input type="checkbox" value="${escapeHtml(name)}" ${checked ? 'checked' : ''} ${count || checked ? '' : 'disabled'}>
+        ${escapeHtml(name)} <span class="muted">(${count})</span>
+      </label>`;
+    }).join('') || '<span class="muted">No materials yet</span>';
+
+    const all = loadProducts();
+    const ranges = {
+      price: { bounds: facetBounds(all, 'price', PRICE_STEP), step: PRICE_STEP, format: currency },
+      height: { bounds: facetBounds(all, 'heightIn', 1), step: 1, format: formatHeight }
+    };
+    Object.entries(ranges).forEach(([key, { bounds, step, format }])=>{
+      const group = qs(`[data-range="${key}"]`, el);
+      const [lo, hi] = facets[key];
+      qsa('input', group).forEach((input, end)=>{
+        Object.assign(input, { min: bounds.min, max: bounds.max, step, disabled: bounds.max===bounds.min });
+        if(document.activeElement!==input) input.value = end===0 ? (lo ?? bounds.min) : (hi ?? bounds.max);
+      });
+      qs('.facet-range-label', group).textContent = lo==null && hi==null
+        ? 'Any'
+        : `${format(lo ?? bounds.min)} – ${format(hi ?? bounds.max)}`;
+    });
+    qs('.facet-sort', el).value = facets.sort;
+    syncUnitToggles();
+  }
+
+  // ------------------ Sizes ------------------
+  // Products carry height/width/depth in inches or cm (dimensions.js); visitors
+  // pick which one to read, remembered per browser. Facet heights stay in inches.
+  const getSizeUnit = () => SIZE_UNITS.includes(ls.get('sizeUnit')) ? ls.get('sizeUnit') : 'in';
+  // Works for products and order snapshots; falls back to the legacy text.
+  function sizeLabel(p){
+    const size = sizeOf(p) || sizeOf(p.size);
+    return size ? formatSize(size, getSizeUnit()) : (p.dimensions || '');
+  }
+  const formatHeight = (inches) => getSizeUnit()==='cm' ? `${Math.round(inches * CM_PER_INCH)} cm` : `${inches} in`;
+  const unitToggle = () => `
+    <span class="unit-toggle" role="group" aria-label="Show sizes in">
+      ${SIZE_UNITS.map(u=> `<button type="button" data-size-unit="${u}" aria-pressed="${u===getSizeUnit()}">${u}</button>`).join('')}
+    </span>`;
+  function syncUnitToggles(){
+    qsa('[data-size-unit]').forEach(b=> b.setAttribute('aria-pressed', String(b.dataset.sizeUnit===getSizeUnit())));
+  }
+  function setupSizeUnits(){
+    document.addEventListener('click', (e)=>{
+      const btn = e.target.closest('[data-size-unit]');
+      if(!btn || btn.dataset.sizeUnit===getSizeUnit()) return;
+      ls.set('sizeUnit', btn.dataset.sizeUnit);
+      renderCatalog();
+      syncUnitToggles();
+    });
+  }
+
+  // ------------------ Product Detail ------------------
+  // Reachable at #/product/:id. Shows the full image list, description, care
+  // notes and products sharing categories with this one.
+  const DETAIL_SIZES = '(max-width: 839px) 100vw, 50vw';
+  const productPath = (id, variantId) => formatRoute({ path: ['product', id], params: { v: variantId || null } });
+
+  const CARE_NOTES = [
+    [/marble/i, 'Dust with a soft dry cloth. For deeper cleaning wipe with a damp cloth and a little pH-neutral soap, then dry. Avoid lemon, vinegar and other acidic cleaners, which etch marble, and wipe off kumkum, oil or turmeric promptly to prevent staining.'],
+    [/sandstone/i, 'Brush off dust with a soft brush. Sandstone is porous: avoid soaking it, oils and harsh chemicals. Clean with plain water only and let it dry fully in a ventilated place.'],
+    [/granite/i, 'Wipe with a damp cloth and mild soap, then dry. Granite is hard-wearing but should still be kept away from acidic or abrasive cleaners to preserve its polish.'],
+    [/./, 'Dust regularly with a soft dry cloth. Clean with plain water or a mild pH-neutral soap, avoid acidic or abrasive cleaners, and keep the piece on a stable, level surface.']
+  ];
+  const careNotesFor = (p) => p.careNotes || CARE_NOTES.find(([re])=> re.test(p.material||''))[1];
+
+  // Products ranked by how many categories they share with `p`.
+  function relatedProducts(p, limit=4){
+    const mine = new Set(p.categories||[]);
+    return loadProducts()
+      .filter(o=> o.id!==p.id)
+      .map(o=> ({ o, shared: (o.categories||[]).filter(c=> mine.has(c)).length }))
+      .filter(x=> x.shared > 0)
+      .sort((a,b)=> b.shared - a.shared)
+      .slice(0, limit)
+      .map(x=> x.o);
+  }
+
+  function renderProductDetail(id){
+    const container = qs('#product-detail');
+    const related = qs('#related-products');
+    related.innerHTML = '';
+    qs('#related-heading').hidden = true;
+    if(catalogState==='loading'){ container.innerHTML = '<p class="muted">Loading…</p>'; return; }
+    const p = loadProducts().find(x=> x.id===id);
+    if(!p){
+      container.innerHTML = '<p class="muted">This statue is no longer in our catalog.</p>';
+      return;
+    }
+    document.title = `${p.name} – ${qs('#site-title-text')?.textContent || ''}`;
+    // The chosen variant is in the route (#/product/12?v=ab12cd) so it can be shared.
+    const option = findOption(p, router.current.params.v) || p.options[0];
+    const v = optionView(p, option);
+    const images = v.images.length ? v.images : ['https://via.placeholder.com/800x600?text=Statue'];
+    container.innerHTML = `
+      <div class="mdl-card mdl-shadow--2dp product-detail">
+        <div class="product-gallery">
+          <div class="gallery-main" tabindex="0" role="button" aria-label="Zoom image">
+            <img ${imgAttrs(images[0], { alt: p.name, sizes: DETAIL_SIZES, eager: true })}>
+          </div>
+          ${images.length > 1 ? `<div class="gallery-thumbs">${images.map((src, i)=> `
+            <button class="gallery-thumb${i===0 ? ' active' : ''}" data-index="${i}" aria-label="Image ${i+1} of ${images.length}">
+              <img ${imgAttrs(src, { sizes: '72px' })}>
+            </button>`).join('')}</div>` : ''}
+        </div>
+        <div class="product-info">
+          <h2>${escapeHtml(p.name)}</h2>
+          <div class="product-info__price">${currency(v.price)}</div>
+          ${variantPicker(p, option)}
+          <dl class="product-specs">
+            <dt>Material</dt><dd>${escapeHtml(v.material)}</dd>
+            <dt>Dimensions</dt><dd>${escapeHtml(sizeLabel(v))} ${unitToggle()}</dd>
+            ${p.weight_kg ? `<dt>Weight</dt><dd>${Number(p.weight_kg)} kg</dd>` : ''}
+            <dt>Availability</dt><dd class="${isSoldOut(p) ? 'stock-out' : ''}">${escapeHtml(availabilityLabel(p))}</dd>
+            ${(p.categories||[]).length ? `<dt>Categories</dt><dd>${p.categories.map(escapeHtml).join(', ')}</dd>` : ''}
+          </dl>
+          <div class="product-actions">
+            <button class="mdl-button mdl-js-button mdl-button--raised mdl-button--colored" data-add-cart ${isSoldOut(p) ? 'disabled' : ''}>${isSoldOut(p) ? 'Sold out' : 'Add to Cart'}</button>
+            <a href="${whatsappLink(v)}" target="_blank" rel="noopener" class="mdl-button mdl-js-button" data-whatsapp>WhatsApp</a>
+            ${wishToggle(p)}
+          </div>
+          <h4>Description</h4>
+          <p class="product-description">${escapeHtml(p.description)}</p>
+          <h4>Care notes</h4>
+          <p class="product-description">${escapeHtml(careNotesFor(v))}</p>
+        </div>
+      </div>
+    `;
+    qs('[data-add-cart]', container).addEventListener('click', ()=>{ trackClick(p.id, 'order'); addToCart(p.id, option.id); });
+    qs('[data-whatsapp]', container).addEventListener('click', ()=> trackClick(p.id, 'whatsapp'));
+    qs('.variant-picker', container)?.addEventListener('change', (e)=> router.update({ v: e.target.value || null }, { replace: true }));
+    setupGallery(container, images);
+
+    const list = relatedProducts(p);
+    qs('#related-heading').hidden = list.length===0;
+    renderProducts(list, related);
+  }
+
+  // Click/Enter toggles zoom on the main image; while zoomed the pointer pans.
+  // Thumbnails and the arrow keys switch images.
+  function setupGallery(container, images){
+    const main = qs('.gallery-main', container);
+    const img = qs('img', main);
+    let index = 0;
+    const show = (i)=>{
+      index = (i + images.length) % images.length;
+      setImg(img, images[index], { sizes: DETAIL_SIZES });
+      main.classList.remove('zoomed');
+      qsa('.gallery-thumb', container).forEach(t=> t.classList.toggle('active', Number(t.dataset.index)===index));
+    };
+    main.addEventListener('click', (e)=>{
+      main.classList.toggle('zoomed');
+      panTo(e);
+    });
+    const panTo = (e)=>{
+      const r = main.getBoundingClientRect();
+      img.style.transformOrigin = `${((e.clientX - r.left) / r.width) * 100}% ${((e.clientY - r.top) / r.height) * 100}%`;
+    };
+    main.addEventListener('mousemove', (e)=>{ if(main.classList.contains('zoomed')) panTo(e); });
+    main.addEventListener('keydown', (e)=>{
+      if(e.key==='Enter' || e.key===' '){ e.preventDefault(); img.style.transformOrigin = 'center'; main.classList.toggle('zoomed'); }
+      if(e.key==='ArrowRight') show(index + 1);
+      if(e.key==='ArrowLeft') show(index - 1);
+    });
+    qsa('.gallery-thumb', container).forEach(t=> t.addEventListener('click', ()=> show(Number(t.dataset.index))));
+  }
+
+  // ------------------ Routing ------------------
+  // The view, search text, category chip and open modal live in the URL (see
+  // router.js), so refresh, Back and shared links land on the same screen:
+  //   #/?cat=Marble   #/search?q=ganesha   #/cart?modal=checkout   #/product/<id>
+  const DEFAULT_TITLE = document.title;
+  const VIEW_ROUTES = { home:'home-view', product:'product-view', search:'search-view', cart:'cart-view', wishlist:'wishlist-view', orders:'orders-view', profile:'profile-view' };
+  const router = createRouter(applyRoute);
+
+  // Tabs keep their own state in the link, so switching back to Search keeps the query.
+  function routeForView(view){
+    if(view==='home-view') return { path: [], params: { cat: activeCategory, ...facetParams(facets) } };
+    if(view==='search-view') return { path: ['search'], params: { q: qs('#search-input').value, ...facetParams(facets) } };
+    return { path: [Object.keys(VIEW_ROUTES).find(k=> VIEW_ROUTES[k]===view)] };
+  }
+
+  const MODALS = {
+    checkout: { open: openCheckout, close: ()=> showModal(false) },
+    commission: { open: openCommissionForm, close: ()=> showCommissionModal(false) },
+    login: { open: ()=>{ showAuthPanel('login'); showAuthModal(true); }, close: ()=> showAuthModal(false) },
+    signup: { open: ()=>{ showAuthPanel('signup'); showAuthModal(true); }, close: ()=> showAuthModal(false) },
+    reset: { open: ()=>{ if(!passwordRecovery) return false; showAuthPanel('reset'); showAuthModal(true); }, close: ()=> showAuthModal(false) }
+  };
+  let openModalName = null;
+  const openModal = (name, options) => router.update({ modal: name }, options);
+  const closeModal = () => router.close('modal');
+  // An opener returning false (e.g. checkout with an empty cart) drops the modal from the URL.
+  function syncModal(name){
+    if(name===openModalName) return;
+    if(openModalName) MODALS[openModalName].close();
+    openModalName = null;
+    if(!name) return;
+    if(!MODALS[name] || MODALS[name].open()===false){ closeModal(); return; }
+    openModalName = name;
+  }
+
+  function applyRoute({ path, params }){
+    const [name, id] = path;
+    const route = VIEW_ROUTES[name] ? name : 'home';
+    if(!qs(`#${VIEW_ROUTES[route]}`).classList.contains('active')) window.scrollTo(0, 0);
+    showView(VIEW_ROUTES[route]);
+    if(route==='product') renderProductDetail(id);
+    else document.title = DEFAULT_TITLE;
+    if(route==='wishlist') renderWishlist();
+
+    const next = facetsFromParams(params);
+    const faceted = (route==='home' || route==='search') && !sameFacets(next, facets);
+    if(faceted) facets = next;
+    if(route==='home' && (faceted || (params.cat||'')!==activeCategory)){
+      activeCategory = params.cat || '';
+      renderHome();
+    }
+    const input = qs('#search-input');
+    if(route==='search' && (faceted || (params.q||'')!==input.value)){
+      input.value = params.q || '';
+      input.parentElement.MaterialTextfield?.checkDirty();
+      renderSearchResults();
+    }
+    syncModal(params.modal);
+  }
+  function setupRouting(){
+    qs('#product-back-btn').addEventListener('click', ()=> router.back());
+    router.start();
+  }
+
   // ------------------ Search ------------------
+  // Ranked, typo-tolerant search with deity synonyms (searchIndex.js) over
+  // name, categories, materials (of every variant) and description. Returns `[{ item, score, terms }]`,
+  // best first; the index is rebuilt whenever the catalog is replaced.
+  const CATALOG_SEARCH_FIELDS = SEARCH_FIELDS.map(f=> f.key==='material' ? { ...f, key: 'materials' } : f);
+  let searchIndex = null;
+  let indexedCatalog = null;
   function searchProducts(query){
-    const q = (query||'').trim().toLowerCase();
-    if(!q) return loadProducts();
-    return loadProducts().filter(p=>{
-      const inName = p.name.toLowerCase().includes(q);
-      const inMaterial = (p.material||'').toLowerCase().includes(q);
-      const inCat = (p.categories||[]).some(c=> c.toLowerCase().includes(q));
-      return inName || inMaterial || inCat;
-    });
+    if(indexedCatalog!==loadProducts()){
+      indexedCatalog = loadProducts();
+      searchIndex = createSearchIndex(indexedCatalog, CATALOG_SEARCH_FIELDS);
+    }
+    return searchIndex.search(query);
   }
-  function setupSearch(){
+  function renderSearchResults(){
     const input = qs('#search-input');
     const results = qs('#search-results');
     const count = qs('#search-count');
-    const doSearch = debounce(()=>{
-      const list = searchProducts(input.value);
-      count.textContent = `${list.length} result(s)`;
-      renderProducts(list, results);
-    }, 250);
-    input.addEventListener('input', doSearch);
-    // initial render
-    renderProducts(loadProducts(), results);
-    count.textContent = `${loadProducts().length} result(s)`;
+    const hits = searchProducts(input.value);
+    const base = hits.map(h=> h.item);
+    const list = applyFacets(base, facets);
+    updateFacetPanel('search-facets', base, list.length);
+    count.textContent = (catalogState==='loading' || catalogState==='error') ? '' : `${list.length} result(s)`;
+    renderCatalogInto(list, results, { terms: new Map(hits.map(h=> [h.item.id, h.terms])) });
+  }
+  function setupSearch(){
+    const input = qs('#search-input');
+    input.addEventListener('input', debounce(()=>{
+      router.update({ q: input.value }, { replace: true });
+      renderSearchResults();
+    }, 250));
   }
 
   // ------------------ Orders ------------------
-  function getOrders(){ return ls.get('orders', []); }
   function getProfile(){ return ls.get('profile', {}); }
   function saveProfile(p){ ls.set('profile', p); }
-  // Ensure public user is reflected in admin users list
-  function upsertAdminUsers(name, email, phone, address){
-    const users = ls.get('users', []);
-    const idx = users.findIndex(u=> (u.phone||'') === (phone||'') || (u.email||'') === (email||''));
-    const userObj = { id: idx>=0 ? users[idx].id : generateId('user'), name, email, phone, address };
-    if(idx>=0) users[idx] = userObj; else users.push(userObj);
-    ls.set('users', users);
+  // Timeline of the order's progress through the pipeline. Steps the order
+  // skipped still show as done; a cancelled order ends at 'Cancelled'.
+  function buildOrderTimeline(o){
+    const current = normalizeStatus(o.status);
+    const at = {};
+    (o.history||[]).forEach(h=>{ at[normalizeStatus(h.status)] = h.at; });
+    const steps = current==='cancelled'
+      ? [...PIPELINE.filter(st=> at[st]), 'cancelled']
+      : PIPELINE;
+    const currentIdx = steps.indexOf(current);
+    const items = steps.map((st, i)=>{
+      const state = i < currentIdx ? 'done' : (i===currentIdx ? 'current' : 'upcoming');
+      return `
+        <li class="timeline-step ${state} ${st}">
+          <span class="status-dot ${st}"></span>
+          <span class="timeline-label">${STATUS_LABELS[st]}</span>
+          ${at[st] ? `<span class="timeline-time muted">${formatDate(at[st])}</span>` : ''}
+        </li>`;
+    }).join('');
+    return `<ol class="order-timeline" aria-label="Order progress">${items}</ol>`;
   }
 
-  function getStatusDot(status){
-    const span = document.createElement('span');
-    span.className = `status-dot ${status==='completed'?'completed':'pending'}`;
-    span.title = status==='completed' ? 'Completed' : 'Pending';
-    return span;
+  // Signed-in customers get every order on their account; guests see the
+  // orders placed from this browser (tracked by id).
+  async function fetchMyOrders(){
+    const ids = getMyOrderIds();
+    if(ids.length===0 && !isUserLoggedIn()) return [];
+    return listOrders({ ids });
   }
 
-  function renderOrders(){
+  async function renderOrders(){
+    renderCommissions();
     const container = qs('#orders-list');
-    container.innerHTML='';
-    const profile = getProfile();
-    const session = getUserSession();
-    const orders = getOrders();
+    container.innerHTML='<p class="muted">Loading your orders…</p>';
     let list = [];
-    if(session && session.uid){
-      list = orders.filter(o => o.userId === session.uid);
-    } else {
-      list = orders.filter(o=> (o.user?.phone||'') === (profile.phone||'') || (o.user?.email||'') === (profile.email||''));
+    try{
+      list = await fetchMyOrders();
+    } catch(err){
+      console.error('renderOrders error:', err);
+      container.innerHTML = '<p class="muted">We couldn’t load your orders. Please try again later.</p>';
+      return;
     }
+    container.innerHTML='';
     if(list.length===0){
       container.innerHTML = '<p class="muted">No orders yet. Place an order from Home.</p>';
       return;
     }
     list.sort((a,b)=> b.createdAt - a.createdAt);
     list.forEach(o=>{
+      const first = (o.items[0] || {}).productSnapshot || {};
       const card = document.createElement('div');
       card.className = 'mdl-card mdl-shadow--2dp order-card';
       card.innerHTML = `
         <div class="mdl-grid" style="padding: 8px;">
           <div class="mdl-cell mdl-cell--2-col mdl-cell--3-col-tablet mdl-cell--4-col-phone">
             <div class="mdl-card__media">
-              <img src="${o.productSnapshot.image || 'https://via.placeholder.com/300x200?text=Statue'}" alt="${o.productSnapshot.name}">
+              <img ${imgAttrs(first.image, { alt: first.name || 'Order', sizes: '200px', placeholder: 'https://via.placeholder.com/300x200?text=Statue' })}>
             </div>
           </div>
           <div class="mdl-cell mdl-cell--10-col mdl-cell--9-col-tablet mdl-cell--4-col-phone">
+            ${buildOrderItems(o)}
             <div class="order-details">
-              <div><strong>${o.productSnapshot.name}</strong></div>
-              <div>${currency(o.productSnapshot.price)}</div>
-              <div>${o.productSnapshot.material}</div>
-              <div>${o.productSnapshot.dimensions}</div>
               <div>Placed: ${formatDate(o.createdAt)}</div>
-              <div>Status: <span class="status-dot ${o.status==='completed'?'completed':'pending'}"></span> <span class="muted">${o.status==='completed'?'Order Confirmed':'Pending'}</span></div>
+              <div>Status: <span class="status-dot ${normalizeStatus(o.status)}"></span> <span class="muted">${STATUS_LABELS[normalizeStatus(o.status)]}</span></div>
+              <div class="mdl-cell--12-col order-payment">
+                <span>Payment: <strong>${PAYMENT_STATUS_LABELS[o.paymentStatus] || o.paymentStatus}</strong></span>
+                <span>Paid ${currency(o.amountPaid)}</span>
+                <span>Balance due ${currency(o.balanceDue)}</span>
+                ${o.balanceDue > 0 && o.status !== 'cancelled' ? `<button class="mdl-button mdl-js-button mdl-button--raised mdl-button--colored" data-pay="${o.id}">${o.amountPaid > 0 ? 'Pay balance' : 'Pay now'}</button>` : ''}
+                ${o.invoice ? `<button class="mdl-button mdl-js-button" data-invoice><i class="material-icons" aria-hidden="true">download</i> Invoice ${o.invoice.number}</button>` : ''}
+              </div>
               <div class="mdl-cell--12-col">Ship To: ${o.user.name}, ${o.user.address}, ${o.user.phone}${o.user.notes? ', Notes: '+o.user.notes : ''}</div>
+              ${o.shipment ? `<div class="mdl-cell--12-col order-shipment">${shipmentLine(o.shipment)}</div>` : ''}
             </div>
+            ${buildOrderTimeline(o)}
           </div>
         </div>
       `;
+      const payBtn = qs('[data-pay]', card);
+      payBtn && payBtn.addEventListener('click', ()=> payOrder(o, 'full', payBtn));
+      qs('[data-invoice]', card)?.addEventListener('click', ()=> downloadInvoice(o, ls.get('appConfig', {})).catch(err=>{
+        console.error('downloadInvoice error:', err);
+        showSnack('Could not download invoice: ' + err.message);
+      }));
       container.appendChild(card);
     });
   }
+  function buildOrderItems(o){
+    const rows = o.items.map(it=> `
+      <li>
+        <span><strong>${it.productSnapshot.name}</strong> × ${it.qty}<br><span class="muted">${it.productSnapshot.material} • ${escapeHtml(sizeLabel(it.productSnapshot))} • ${currency(it.productSnapshot.price)} each</span></span>
+        <span>${currency(it.subtotal)}</span>
+      </li>`).join('');
+    const shipping = o.shipping ? `<li><span>Shipping to ${escapeHtml(o.shipping.pin)} <span class="muted">(${escapeHtml(o.shipping.zone)}, freight + crating)</span></span><span>${currency(o.shipping.amount)}</span></li>` : '';
+    return `<ul class="order-items">${rows}${shipping}<li class="order-items__total"><span>Total</span><span>${currency(o.total)}</span></li></ul>`;
+  }
+  function shipmentLine(shipment){
+    const url = trackingLink(shipment);
+    const awb = escapeHtml(shipment.awb);
+    return `<i class="material-icons" aria-hidden="true">local_shipping</i> Shipped with ${escapeHtml(courierName(shipment.courier))} • AWB ${url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${awb} – track</a>` : awb}`;
+  }
+
+  // ------------------ Payments ------------------
+  // Resolves true once the payment is recorded; failures are reported here.
+  async function payOrder(order, kind, btn){
+    if(btn) btn.disabled = true;
+    try{
+      await payForOrder(order.id, {
+        kind,
+        shopName: qs('#site-title-text')?.textContent || undefined,
+        prefill: { name: order.user.name, contact: order.user.phone, email: order.user.email || undefined }
+      });
+      showSnack(kind==='deposit' ? 'Deposit received, thank you' : 'Payment received, thank you');
+      return true;
+    } catch(err){
+      if(!err.cancelled) console.error('payOrder error:', err);
+      showSnack(err.cancelled ? 'Payment not completed. You can pay from Orders.' : 'Payment failed: ' + err.message);
+      return false;
+    } finally {
+      if(btn) btn.disabled = false;
+      renderOrders();
+    }
+  }
+
+  // ------------------ Wishlist ------------------
+  // Saved product ids, newest first. Guests keep them in localStorage; signed-in
+  // customers also in profiles.wishlist, and a guest list is merged into the
+  // account on login. Share links carry the ids themselves
+  // (#/wishlist?shared=12,15&from=Asha), so nobody's account is read.
+  const WISHLIST_MAX = 100;
+  const getWishlist = () => ls.get('wishlist', []);
+  const isWished = (id) => getWishlist().includes(id);
+
+  const wishToggle = (p) => `
+    <button class="mdl-button mdl-js-button mdl-button--icon wish-toggle" data-wish="${p.id}" aria-pressed="${isWished(p.id)}" aria-label="Save ${escapeHtml(p.name)} to wishlist">
+      <i class="material-icons" aria-hidden="true">${isWished(p.id) ? 'favorite' : 'favorite_border'}</i>
+    </button>`;
+  function syncWishToggles(){
+    qsa('[data-wish]').forEach(b=>{
+      const on = isWished(b.dataset.wish);
+      b.setAttribute('aria-pressed', String(on));
+      qs('i', b).textContent = on ? 'favorite' : 'favorite_border';
+    });
+    const badge = qs('#wishlist-badge');
+    if(badge){ badge.textContent = getWishlist().length; badge.hidden = getWishlist().length===0; }
+  }
+
+  async function saveAccountWishlist(ids){
+    if(!currentUser) return;
+    const { error } = await supabase.from('profiles').update({ wishlist: ids, updated_at: new Date().toISOString() }).eq('id', currentUser.id);
+    if(error) throw error;
+  }
+  async function setWishlist(ids){
+    const list = [...new Set(ids)].slice(0, WISHLIST_MAX);
+    ls.set('wishlist', list);
+    syncWishToggles();
+    if(router.current.path[0]==='wishlist') renderWishlist();
+    try{ await saveAccountWishlist(list); }
+    catch(err){ console.error('saveAccountWishlist error:', err); showSnack('Saved on this device only; could not update your account'); }
+  }
+  function toggleWishlist(id){
+    const on = isWished(id);
+    setWishlist(on ? getWishlist().filter(x=> x!==id) : [id, ...getWishlist()]);
+    showSnack(on ? 'Removed from your wishlist' : 'Saved to your wishlist');
+  }
+  // On login: the account's list plus anything saved as a guest.
+  async function mergeAccountWishlist(user){
+    const { data, error } = await supabase.from('profiles').select('wishlist').eq('id', user.id).maybeSingle();
+    if(error){ console.error('fetch wishlist error:', error); return; }
+    const remote = data?.wishlist || [];
+    const merged = [...new Set([...getWishlist(), ...remote])].slice(0, WISHLIST_MAX);
+    ls.set('wishlist', merged);
+    syncWishToggles();
+    if(merged.length!==remote.length || merged.some((id, i)=> id!==remote[i])){
+      try{ await saveAccountWishlist(merged); } catch(err){ console.error('saveAccountWishlist error:', err); }
+    }
+  }
+
+  function wishlistShareLink(){
+    const from = (getProfile().name || '').trim().split(/\s+/)[0];
+    return `${location.origin}${location.pathname}${formatRoute({ path: ['wishlist'], params: { shared: getWishlist().join(','), from } })}`;
+  }
+  async function shareWishlist(){
+    if(!getWishlist().length){ showSnack('Save a few statues first'); return; }
+    const url = wishlistShareLink();
+    try{
+      if(navigator.share){ await navigator.share({ title: 'My wishlist', url }); return; }
+      await navigator.clipboard.writeText(url);
+      showSnack('Link copied – share it with anyone');
+    } catch(err){
+      if(err.name==='AbortError') return;
+      window.prompt('Copy this link to share your wishlist:', url);
+    }
+  }
+
+  // Renders your own list, or a shared one when the route has `shared`.
+  function renderWishlist(){
+    const grid = qs('#wishlist-grid');
+    if(!grid) return;
+    const { shared, from } = router.current.params;
+    const sharedIds = shared ? shared.split(',').filter(Boolean) : null;
+    const ids = sharedIds || getWishlist();
+    qs('#wishlist-title').textContent = sharedIds ? (from ? `${from}’s wishlist` : 'A shared wishlist') : 'Your Wishlist';
+    qs('#wishlist-share-btn').hidden = !!sharedIds;
+    qs('#wishlist-save-all-btn').hidden = !sharedIds;
+    qs('#wishlist-mine-btn').hidden = !sharedIds;
+
+    const products = loadProducts();
+    const list = ids.map(id=> products.find(p=> p.id===id)).filter(Boolean);
+    // Forget saved statues that have left the catalog.
+    if(!sharedIds && catalogState==='ready' && list.length!==ids.length) setWishlist(list.map(p=> p.id));
+    qs('#wishlist-count').textContent = catalogState==='loading' ? '' : `${list.length} statue(s)`;
+    if(catalogState==='ready' && !list.length){
+      grid.innerHTML = `<p class="muted">${sharedIds ? 'These statues are no longer in our catalog.' : 'Tap the heart on any statue to save it here for later.'}</p>`;
+      return;
+    }
+    renderCatalogInto(list, grid);
+  }
+  function setupWishlist(){
+    document.addEventListener('click', (e)=>{
+      const btn = e.target.closest('[data-wish]');
+      if(btn){ e.preventDefault(); toggleWishlist(btn.dataset.wish); }
+    });
+    qs('#wishlist-share-btn').addEventListener('click', shareWishlist);
+    qs('#wishlist-save-all-btn').addEventListener('click', ()=>{
+      const ids = (router.current.params.shared || '').split(',').filter(id=> loadProducts().some(p=> p.id===id));
+      setWishlist([...ids.filter(id=> !isWished(id)), ...getWishlist()]);
+      showSnack(`Saved ${ids.length} statue(s) to your wishlist`);
+      router.go({ path: ['wishlist'] }, { replace: true });
+    });
+    qs('#wishlist-mine-btn').addEventListener('click', ()=> router.go({ path: ['wishlist'] }));
+    syncWishToggles();
+  }
+
+  // ------------------ Cart ------------------
+  // The cart is kept in localStorage as [{ productId, variantId, qty }] (''
+  // is a product's default option); names and prices always come from the
+  // current catalog and are re-snapshotted server-side.
+  const CART_MAX_QTY = 20;
+  const getCart = () => ls.get('cart', []).map(l=> ({ ...l, variantId: l.variantId || '' }));
+  const sameLine = (l, productId, variantId) => l.productId===productId && l.variantId===(variantId || '');
+  // The most one cart line may hold: the cap, or the product's stock left after
+  // its other variants in the cart.
+  function lineLimit(productId, variantId){
+    const p = loadProducts().find(x=> x.id===productId);
+    if(!p) return CART_MAX_QTY;
+    const others = getCart().filter(l=> l.productId===productId && !sameLine(l, productId, variantId)).reduce((sum, l)=> sum + l.qty, 0);
+    return Math.max(0, Math.min(CART_MAX_QTY, maxOrderable(p) - others));
+  }
+  function saveCart(cart){
+    ls.set('cart', cart.filter(l=> l.qty > 0));
+    renderCart();
+  }
+  function addToCart(productId, variantId=''){
+    const cart = getCart();
+    const line = cart.find(l=> sameLine(l, productId, variantId));
+    const limit = lineLimit(productId, variantId);
+    if(limit===0){ showSnack('Sorry, this statue is sold out'); return; }
+    if(line){
+      if(line.qty >= limit){
+        showSnack(limit < CART_MAX_QTY ? `Only ${limit} in stock` : `You can order up to ${CART_MAX_QTY} of one statue`);
+        return;
+      }
+      line.qty += 1;
+    } else {
+      cart.push({ productId, variantId, qty: 1 });
+    }
+    saveCart(cart);
+    showSnack('Added to cart');
+  }
+  function setCartQty(productId, variantId, qty){
+    const cart = getCart();
+    const line = cart.find(l=> sameLine(l, productId, variantId));
+    if(!line) return;
+    line.qty = Math.max(0, Math.min(lineLimit(productId, variantId), qty));
+    saveCart(cart);
+  }
+  // Moves a line to another variant of its product, merging with a line that
+  // already has it.
+  function setCartVariant(productId, fromId, toId){
+    const cart = getCart();
+    const line = cart.find(l=> sameLine(l, productId, fromId));
+    if(!line || fromId===toId) return;
+    const into = cart.find(l=> sameLine(l, productId, toId));
+    if(into){ into.qty = Math.min(CART_MAX_QTY, into.qty + line.qty); line.qty = 0; }
+    else line.variantId = toId;
+    saveCart(cart);
+  }
+  // Cart lines joined with the catalog; `product` is the product as the line's
+  // variant. Lines whose product or variant has been removed are dropped once
+  // the catalog is known to be current.
+  function cartLines(){
+    const products = loadProducts();
+    const lines = getCart().map(l=> {
+      const base = products.find(p=> p.id===l.productId);
+      const option = base && findOption(base, l.variantId);
+      return { ...l, base, option, product: option ? optionView(base, option) : null };
+    });
+    if(catalogState==='ready' && lines.some(l=> !l.product)){
+      ls.set('cart', lines.filter(l=> l.product).map(({ productId, variantId, qty })=> ({ productId, variantId, qty })));
+    }
+    return lines.filter(l=> l.product);
+  }
+  const cartTotal = (lines) => lines.reduce((sum, l)=> sum + l.product.price * l.qty, 0);
+  function updateCartBadge(){
+    const badge = qs('#cart-badge');
+    if(!badge) return;
+    const count = getCart().reduce((sum, l)=> sum + l.qty, 0);
+    badge.textContent = count;
+    badge.hidden = count===0;
+  }
+  function renderCart(){
+    updateCartBadge();
+    const container = qs('#cart-list');
+    if(!container) return;
+    const lines = cartLines();
+    container.innerHTML = '';
+    if(catalogState==='loading' && getCart().length){
+      container.innerHTML = '<p class="muted">Loading your cart…</p>';
+      return;
+    }
+    qs('#cart-total').textContent = currency(cartTotal(lines));
+    qs('#checkout-btn').disabled = lines.length===0;
+    if(lines.length===0){
+      container.innerHTML = '<p class="muted">Your cart is empty. Add statues from Home.</p>';
+      return;
+    }
+    lines.forEach(({ product: p, variantId, qty })=>{
+      const row = document.createElement('div');
+      row.className = 'cart-line';
+      row.innerHTML = `
+        <img ${imgAttrs(p.image, { alt: p.name, sizes: '80px', placeholder: 'https://via.placeholder.com/80?text=Statue' })}>
+        <div class="cart-line__info">
+          <div><strong>${escapeHtml(p.name)}</strong></div>
+          <div class="muted">${escapeHtml(p.material)} • ${escapeHtml(sizeLabel(p))}</div>
+          <div>${currency(p.price)} each</div>
+          ${qty > lineLimit(p.id, variantId) ? `<div class="stock-out">${isSoldOut(p) ? 'Sold out' : `Only ${lineLimit(p.id, variantId)} left`}</div>` : ''}
+        </div>
+        <div class="cart-line__qty">
+          <button class="mdl-button mdl-js-button mdl-button--icon" data-qty="-1" aria-label="Decrease quantity"><i class="material-icons" aria-hidden="true">remove</i></button>
+          <span aria-live="polite">${qty}</span>
+          <button class="mdl-button mdl-js-button mdl-button--icon" data-qty="1" aria-label="Increase quantity" ${qty>=lineLimit(p.id, variantId)? 'disabled' : ''}><i class="material-icons" aria-hidden="true">add</i></button>
+        </div>
+        <div class="cart-line__subtotal">${currency(p.price * qty)}</div>
+        <button class="mdl-button mdl-js-button mdl-button--icon" data-remove aria-label="Remove ${escapeHtml(p.name)}"><i class="material-icons" aria-hidden="true">delete</i></button>
+      `;
+      qsa('[data-qty]', row).forEach(b=> b.addEventListener('click', ()=> setCartQty(p.id, variantId, qty + Number(b.dataset.qty))));
+      qs('[data-remove]', row).addEventListener('click', ()=> setCartQty(p.id, variantId, 0));
+      container.appendChild(row);
+    });
+  }
 
   // ------------------ Order Modal ------------------
-  let currentOrderProductId = null;
-  function openOrderForm(productId){
-    currentOrderProductId = productId;
-    const product = loadProducts().find(p=> p.id===productId);
-    if(!product) return;
+  function openCheckout(){
+    const lines = cartLines();
+    if(lines.length===0){ showSnack('Your cart is empty'); return false; }
+    const short = lines.find(({ product: p, variantId, qty })=> qty > lineLimit(p.id, variantId));
+    if(short){ showSnack(`${short.product.name} is ${isSoldOut(short.product) ? 'sold out' : `down to ${maxOrderable(short.product)} in stock`}; please update your cart`); return false; }
 
-    const prev = qs('#order-product-preview');
-    prev.innerHTML = `
-      <img src="${product.image || 'https://via.placeholder.com/80?text=Statue'}" alt="${product.name}">
-      <div>
-        <div><strong>${product.name}</strong></div>
-        <div>${currency(product.price)}</div>
-        <div>${product.material} • ${product.dimensions}</div>
-      </div>
-    `;
+    qs('input[name="order-pay-kind"][value="full"]').checked = true;
 
     // Prefill from profile
     const profile = getProfile();
     qs('#order-name').value = profile.name || '';
-    qs('#order-address').value = profile.address || '';
     qs('#order-phone').value = profile.phone || '';
     qs('#order-notes').value = '';
+    renderAddressPicker();
+    renderCheckoutItems();
 
     showModal(true);
   }
 
+  // Saved addresses to deliver to, default first, or a new one typed in.
+  function renderAddressPicker(){
+    const addresses = getAddresses();
+    const pick = qs('#order-address-pick');
+    pick.innerHTML = addresses.map(a=> `<option value="${escapeHtml(a.id)}">${escapeHtml(a.label ? `${a.label}: ` : '')}${escapeHtml(formatAddress(a))}</option>`).join('')
+      + '<option value="">A new address…</option>';
+    qs('#order-address-pick-wrap').hidden = !addresses.length;
+    pickCheckoutAddress(addresses[0]?.id || '');
+  }
+  function pickCheckoutAddress(id){
+    qs('#order-address-pick').value = id;
+    fillAddressFields('order', getAddresses().find(a=> a.id===id));
+    qs('#order-save-address-wrap').hidden = !!id || getAddresses().length >= MAX_ADDRESSES;
+  }
+
+  // The freight quote for the cart to the PIN in the order form; createOrder
+  // works it out again from the same rates, so this is only a preview.
+  function checkoutShipping(lines){
+    const pin = qs('#order-pin').value.trim();
+    return PIN_RE.test(pin) ? { pin, quote: quoteShipping(lines, pin, shippingConfigOf(ls.get('appConfig', {}))) } : { pin, quote: null };
+  }
+  function shippingRow({ pin, quote }){
+    if(quote) return `<li><span>Shipping to ${escapeHtml(quote.zone)}<br><span class="muted">Freight ${currency(quote.freight)} (${quote.chargeableKg} kg) • Crating ${currency(quote.crating)}</span></span><span>${currency(quote.amount)}</span></li>`;
+    const note = !pin ? 'Enter your PIN code for a shipping quote' : PIN_RE.test(pin) ? 'Sorry, we don’t ship to this PIN code yet' : 'PIN codes have 6 digits';
+    return `<li class="muted"><span>Shipping</span><span>${note}</span></li>`;
+  }
+
+  // Order summary with a variant picker on lines that have options; changing
+  // one updates the cart and redraws the summary, shipping and deposit.
+  function renderCheckoutItems(){
+    const lines = cartLines();
+    const shipping = checkoutShipping(lines);
+    const total = cartTotal(lines) + (shipping.quote ? shipping.quote.amount : 0);
+    const prev = qs('#order-product-preview');
+    prev.innerHTML = `
+      <ul class="order-items">
+        ${lines.map(({ base, option, product: p, qty }, i)=> `<li>
+          <span><strong>${escapeHtml(p.name)}</strong> × ${qty}${base.options.length > 1 ? `<br>${variantPicker(base, option, `data-line="${i}"`)}` : ''}</span>
+          <span>${currency(p.price * qty)}</span>
+        </li>`).join('')}
+        ${shippingRow(shipping)}
+        <li class="order-items__total"><span>Total${shipping.quote ? '' : ' (before shipping)'}</span><span>${currency(total)}</span></li>
+      </ul>
+    `;
+    qsa('[data-line]', prev).forEach(select=> select.addEventListener('change', ()=>{
+      const line = lines[Number(select.dataset.line)];
+      setCartVariant(line.productId, line.variantId, select.value);
+      renderCheckoutItems();
+    }));
+
+    const pct = depositPercentOf(ls.get('appConfig', {}));
+    qs('#order-pay-deposit').hidden = !pct;
+    qs('#order-pay-deposit-label').textContent = `Pay a ${pct}% advance deposit now (${currency(depositAmount(total, pct))}), balance before dispatch`;
+  }
+
   function showModal(show){
     const modal = qs('#order-modal');
     modal.classList.toggle('show', !!show);
@@ -428,56 +1334,302 @@
     }
   }
 
-  function submitOrder(){
-    if(!currentOrderProductId) return;
+  async function submitOrder(){
     const name = qs('#order-name').value.trim();
-    const address = qs('#order-address').value.trim();
     const phone = qs('#order-phone').value.trim();
     const notes = qs('#order-notes').value.trim();
+    const parts = readAddressFields('order');
 
-    if(!name || !address || !phone){ showSnack('Please fill all required fields'); return; }
-
-    const product = loadProducts().find(p=> p.id===currentOrderProductId);
-    if(!product){ showSnack('Product not found'); return; }
-
-    const session = getUserSession();
-    const order = {
-      id: generateId('ord'),
-      userId: session?.uid || null,
-      productId: product.id,
-      productSnapshot: {
-        name: product.name,
-        price: product.price,
-        image: product.image,
-        material: product.material,
-        dimensions: product.dimensions
-      },
-      user: { name, address, phone, email: profile.email||'', notes },
-      status: 'pending',
-      createdAt: Date.now()
-    };
+    if(!name || !phone){ showSnack('Please fill all required fields'); return; }
+    if(Object.keys(parts.errors).length){ showSnack(addressError(parts.errors)); return; }
 
-    const orders = getOrders();
-    orders.push(order);
-    ls.set('orders', orders);
+    const lines = cartLines();
+    if(lines.length===0){ showSnack('Your cart is empty'); return; }
+    if(!checkoutShipping(lines).quote){ showSnack('Sorry, we don’t ship to this PIN code yet'); return; }
 
-    // Update users list (by phone or email)
-    const users = ls.get('users', []);
     const profile = getProfile();
-    const existingIdx = users.findIndex(u=> (u.phone||'') === phone || (u.email||'') === (profile.email||''));
-    const userObj = { id: existingIdx>=0 ? users[existingIdx].id : generateId('user'), name, email: profile.email||'', phone, address };
-    if(existingIdx>=0) users[existingIdx] = userObj; else users.push(userObj);
-    ls.set('users', users);
+    const kind = qs('input[name="order-pay-kind"]:checked')?.value || 'full';
+    const submitBtn = qs('#submit-order-btn');
+    submitBtn.disabled = true;
+    let order;
+    try{
+      order = await placeOrder({
+        items: lines.map(({ productId, variantId, qty })=> ({ productId, ...(variantId ? { variantId } : {}), qty })),
+        customer: { name, phone, addressParts: parts.value, email: profile.email||'', notes }
+      });
+    } catch(err){
+      console.error('submitOrder error:', err);
+      showSnack('Could not place order: ' + err.message);
+      // Someone else got the last piece: reload stock so the cart shows it.
+      if(err.details?.soldOut) refreshCatalog();
+      return;
+    } finally {
+      submitBtn.disabled = false;
+    }
 
-    showModal(false);
+    saveCart([]);
+    // A new address goes into the book unless the customer opted out or already has it.
+    const book = getAddresses();
+    if(!qs('#order-address-pick').value && qs('#order-save-address').checked && book.length < MAX_ADDRESSES && !book.some(a=> addressKey(a)===addressKey(parts.value))){
+      saveAddresses([...book, { id: newAddressId(), label: '', ...parts.value }]).catch(err=> console.error('saveAddresses error:', err));
+    }
+    router.go({ path: ['orders'] }, { replace: true });
     showSnack('Order placed successfully');
+    payOrder(order, kind);
+  }
+
+  // ------------------ Commissions ------------------
+  const MAX_COMMISSION_PHOTOS = 3;
+  let commissionPhotos = [];
+
+  // Downscales a photo to a JPEG data URL so a few of them fit in one request.
+  function shrinkImage(file, maxSide=1600, quality=0.85){
+    return new Promise((resolve, reject)=>{
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onload = ()=>{
+        const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        resolve(canvas.toDataURL('image/jpeg', quality));
+      };
+      img.onerror = ()=>{ URL.revokeObjectURL(url); reject(new Error('Could not read image')); };
+      img.src = url;
+    });
+  }
+
+  function showCommissionModal(show){
+    const modal = qs('#commission-modal');
+    modal.classList.toggle('show', !!show);
+    modal.setAttribute('aria-hidden', show? 'false':'true');
+    if(show) setTimeout(()=> qs('#commission-subject').focus(), 100);
+  }
+  function renderCommissionPhotos(){
+    qs('#commission-photo-previews').innerHTML = commissionPhotos.map((src, i)=> `<img src="${src}" alt="Reference photo ${i+1}">`).join('');
+  }
+  function openCommissionForm(){
+    const profile = getProfile();
+    qs('#commission-form').reset();
+    qs('#commission-name').value = profile.name || '';
+    qs('#commission-phone').value = profile.phone || '';
+    qs('#commission-address').value = profile.address || '';
+    commissionPhotos = [];
+    renderCommissionPhotos();
+    showCommissionModal(true);
+  }
+
+  async function submitCommission(){
+    const subject = qs('#commission-subject').value.trim();
+    const material = qs('#commission-material').value;
+    const dimensions = qs('#commission-dimensions').value.trim();
+    const budget = qs('#commission-budget').value.trim();
+    const name = qs('#commission-name').value.trim();
+    const phone = qs('#commission-phone').value.trim();
+    const address = qs('#commission-address').value.trim();
+    if(!subject || !material || !dimensions || !name || !phone || !address){ showSnack('Please fill all required fields'); return; }
+
+    const profile = getProfile();
+    const btn = qs('#submit-commission-btn');
+    btn.disabled = true;
+    try{
+      await requestCommission({
+        subject, material, dimensions,
+        budget: budget ? Number(budget) : null,
+        referenceImages: commissionPhotos,
+        customer: { name, phone, address, email: profile.email||'' }
+      });
+    } catch(err){
+      console.error('submitCommission error:', err);
+      showSnack('Could not send request: ' + err.message);
+      return;
+    } finally {
+      btn.disabled = false;
+    }
+    router.go({ path: ['orders'] }, { replace: true });
+    showSnack('Request sent. We will reply with a quote soon.');
     renderOrders();
+  }
 
-    // switch to orders tab
-    qsa('.bottom-nav .nav-item').forEach(b=> b.classList.remove('active'));
-    qs('.bottom-nav [data-view="orders-view"]').classList.add('active');
-    qsa('.view').forEach(v=> v.classList.remove('active'));
-    qs('#orders-view').classList.add('active');
+  function setupCommissionForm(){
+    qs('#open-commission-btn').addEventListener('click', ()=> openModal('commission'));
+    qs('#commission-modal-close').addEventListener('click', closeModal);
+    qs('#submit-commission-btn').addEventListener('click', submitCommission);
+    qs('#commission-photos').addEventListener('change', async (e)=>{
+      const files = Array.from(e.target.files || []);
+      if(files.length > MAX_COMMISSION_PHOTOS) showSnack(`Only the first ${MAX_COMMISSION_PHOTOS} photos will be sent`);
+      try{
+        commissionPhotos = await Promise.all(files.slice(0, MAX_COMMISSION_PHOTOS).map(f=> shrinkImage(f)));
+      } catch(err){
+        console.error('shrinkImage error:', err);
+        showSnack('One of the photos could not be read');
+        commissionPhotos = [];
+      }
+      renderCommissionPhotos();
+    });
+  }
+
+  async function renderCommissions(){
+    const section = qs('#commissions-section');
+    const container = qs('#commissions-list');
+    let list = [];
+    try{
+      if(getMyCommissionIds().length || isUserLoggedIn()) list = await listCommissions({ mine: true });
+    } catch(err){
+      console.error('renderCommissions error:', err);
+    }
+    section.hidden = list.length===0;
+    container.innerHTML = '';
+    list.forEach(c=>{
+      const card = document.createElement('div');
+      card.className = 'mdl-card mdl-shadow--2dp order-card commission-card';
+      const q = c.quote;
+      card.innerHTML = `
+        <div><strong>${escapeHtml(c.subject)}</strong></div>
+        <div class="muted">${escapeHtml(c.material)} • ${escapeHtml(c.dimensions)}${c.budget ? ' • Budget ' + currency(c.budget) : ''}</div>
+        ${c.referenceImages.length ? `<div class="photo-previews">${c.referenceImages.map((src, i)=> `<img src="${escapeHtml(src)}" alt="Reference photo ${i+1}">`).join('')}</div>` : ''}
+        <div>Requested: ${formatDate(c.createdAt)} • <strong>${COMMISSION_STATUS_LABELS[c.status] || c.status}</strong></div>
+        ${q && c.status!=='declined' ? `
+          <div class="commission-quote">
+            <div>Quote: <strong>${currency(q.price)}</strong> plus shipping${q.leadTime ? ' • Ready in ' + escapeHtml(q.leadTime) : ''}</div>
+            ${q.message ? `<div class="muted">${escapeHtml(q.message)}</div>` : ''}
+            ${c.status==='quoted' ? '<button class="mdl-button mdl-js-button mdl-button--raised mdl-button--colored" data-accept>Accept &amp; place order</button>' : ''}
+          </div>` : ''}
+        ${c.status==='declined' && q && q.message ? `<div class="commission-quote muted">${escapeHtml(q.message)}</div>` : ''}
+      `;
+      const accept = qs('[data-accept]', card);
+      accept && accept.addEventListener('click', async ()=>{
+        accept.disabled = true;
+        try{
+          await acceptQuote(c.id);
+          showSnack('Quote accepted. Your order has been placed.');
+        } catch(err){
+          console.error('acceptQuote error:', err);
+          showSnack('Could not accept quote: ' + err.message);
+        }
+        renderOrders();
+      });
+      container.appendChild(card);
+    });
+  }
+
+  // ------------------ Addresses ------------------
+  // Address inputs come in sets named `<prefix>-line1/-line2/-pin/-city/-state`
+  // (profile, auth and order). Typing a PIN fills in the state from the bundled
+  // directory, and the city unless the customer has typed their own.
+  const ADDRESS_LABELS = { line1: 'Address line', line2: 'Area', city: 'City', state: 'State', pin: 'PIN code' };
+  const newAddressId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  function setField(el, value){
+    el.value = value || '';
+    el.closest('.mdl-textfield')?.classList.toggle('is-dirty', !!el.value);
+  }
+  function setupAddressFields(prefix){
+    const state = qs(`#${prefix}-state`);
+    const city = qs(`#${prefix}-city`);
+    state.innerHTML = '<option value="">Choose…</option>' + INDIAN_STATES.map(st=> `<option>${escapeHtml(st.name)}</option>`).join('');
+    city.addEventListener('input', ()=>{ delete city.dataset.autofilled; });
+    qs(`#${prefix}-pin`).addEventListener('input', (e)=>{
+      const found = lookupPin(e.target.value.trim());
+      if(found.state) state.value = found.state;
+      if(found.city && (!city.value.trim() || city.dataset.autofilled)){ setField(city, found.city); city.dataset.autofilled = '1'; }
+    });
+  }
+  const readAddressFields = (prefix) => readAddress(Object.fromEntries(ADDRESS_FIELDS.map(f=> [f, qs(`#${prefix}-${f}`).value])));
+  function fillAddressFields(prefix, a={}){
+    ADDRESS_FIELDS.forEach(f=> setField(qs(`#${prefix}-${f}`), a[f]));
+    delete qs(`#${prefix}-city`).dataset.autofilled;
+  }
+  function addressError(errors){
+    const [field, msg] = Object.entries(errors)[0];
+    return `${ADDRESS_LABELS[field] || field}: ${msg}`;
+  }
+
+  // The address book: saved on this device and, when signed in, on the
+  // account. The first entry is the default.
+  const getAddresses = () => getProfile().addresses || [];
+  async function saveAddresses(addresses){
+    const profile = { ...getProfile(), addresses, address: addresses.length ? formatAddress(addresses[0]) : '' };
+    await saveAccountProfile(profile);
+    saveProfile(profile);
+  }
+  // Addresses saved as a guest join the account's on login, skipping places it already has.
+  async function mergeAccountAddresses(guest){
+    const book = getAddresses();
+    const extra = guest.filter(a=> !book.some(b=> addressKey(b)===addressKey(a)));
+    if(!extra.length) return;
+    try{ await saveAddresses([...book, ...extra].slice(0, MAX_ADDRESSES)); }
+    catch(err){ console.error('saveAddresses error:', err); }
+  }
+
+  let editingAddressId = null; // '' while adding a new one
+  function renderAddressBook(){
+    const addresses = getAddresses();
+    const legacy = !addresses.length && getProfile().address;
+    qs('#profile-address-list').innerHTML = addresses.length ? addresses.map((a, i)=> `
+      <div class="address-card" data-address="${escapeHtml(a.id)}">
+        <div>
+          <strong>${escapeHtml(a.label || 'Address')}</strong>${i===0 ? ' <span class="address-default">Default</span>' : ''}
+          <div class="muted">${escapeHtml(formatAddress(a))}</div>
+        </div>
+        <div class="address-card__actions">
+          ${i>0 ? '<button type="button" class="mdl-button mdl-js-button" data-address-default>Make default</button>' : ''}
+          <button type="button" class="mdl-button mdl-js-button mdl-button--icon" data-address-edit aria-label="Edit address"><i class="material-icons">edit</i></button>
+          <button type="button" class="mdl-button mdl-js-button mdl-button--icon" data-address-delete aria-label="Delete address"><i class="material-icons">delete</i></button>
+        </div>
+      </div>`).join('')
+      : `<p class="muted">${legacy ? `Please add your address again with its PIN code: ${escapeHtml(legacy)}` : 'No saved addresses yet.'}</p>`;
+    qs('#profile-address-add').hidden = addresses.length >= MAX_ADDRESSES;
+  }
+  function openAddressEditor(id){
+    editingAddressId = id;
+    const a = getAddresses().find(x=> x.id===id) || {};
+    setField(qs('#profile-address-label'), a.label || (getAddresses().length ? '' : 'Home'));
+    fillAddressFields('profile', a);
+    qs('#profile-address-editor').hidden = false;
+    qs('#profile-line1').focus();
+  }
+  function closeAddressEditor(){
+    editingAddressId = null;
+    qs('#profile-address-editor').hidden = true;
+  }
+  async function updateAddressBook(next, message){
+    try{ await saveAddresses(next); }
+    catch(err){
+      console.error('saveAddresses error:', err);
+      showSnack('Could not save addresses to your account');
+      return false;
+    }
+    renderAddressBook();
+    updateProfileCompleteness();
+    showSnack(message);
+    return true;
+  }
+  function setupAddressBook(){
+    setupAddressFields('profile');
+    qs('#profile-address-add').addEventListener('click', ()=> openAddressEditor(''));
+    qs('#profile-address-cancel').addEventListener('click', closeAddressEditor);
+    qs('#profile-address-save').addEventListener('click', async ()=>{
+      const parts = readAddressFields('profile');
+      if(Object.keys(parts.errors).length){ showSnack(addressError(parts.errors)); return; }
+      const addresses = getAddresses();
+      const entry = { id: editingAddressId || newAddressId(), label: qs('#profile-address-label').value.trim().slice(0, 40), ...parts.value };
+      const dupe = addresses.find(a=> a.id!==entry.id && addressKey(a)===addressKey(entry));
+      if(dupe){ showSnack(`You already saved this address as ${dupe.label || 'another entry'}`); return; }
+      if(!editingAddressId && addresses.length >= MAX_ADDRESSES){ showSnack(`At most ${MAX_ADDRESSES} addresses`); return; }
+      const next = editingAddressId ? addresses.map(a=> a.id===entry.id ? entry : a) : [...addresses, entry];
+      if(await updateAddressBook(next, 'Address saved')) closeAddressEditor();
+    });
+    qs('#profile-address-list').addEventListener('click', (e)=>{
+      const card = e.target.closest('[data-address]');
+      if(!card) return;
+      const id = card.dataset.address;
+      const addresses = getAddresses();
+      if(e.target.closest('[data-address-edit]')) openAddressEditor(id);
+      else if(e.target.closest('[data-address-default]')) updateAddressBook([...addresses.filter(a=> a.id===id), ...addresses.filter(a=> a.id!==id)], 'Default address updated');
+      else if(e.target.closest('[data-address-delete]') && confirm('Delete this address?')) updateAddressBook(addresses.filter(a=> a.id!==id), 'Address deleted');
+    });
   }
 
   // ------------------ Profile ------------------
@@ -486,10 +1638,11 @@
     qs('#profile-name').value = p.name || '';
     qs('#profile-email').value = p.email || '';
     qs('#profile-phone').value = p.phone || '';
-    qs('#profile-address').value = p.address || '';
     qs('#profile-notes').value = p.notes || '';
     const btn = qs('#save-profile-btn');
     if(btn){ btn.textContent = (p && (p.name||p.email||p.phone||p.address)) ? 'Update Profile' : 'Save Profile'; }
+    closeAddressEditor();
+    renderAddressBook();
     updateProfileCompleteness();
   }
 
@@ -499,26 +1652,32 @@
     const name = qs('#profile-name').value.trim();
     const email = qs('#profile-email').value.trim();
     const phone = qs('#profile-phone').value.trim();
-    const address = qs('#profile-address').value.trim();
-    const valid = !!(name && validateEmail(email) && validatePhone(phone) && address);
+    const valid = !!(name && validateEmail(email) && validatePhone(phone) && getAddresses().length);
     qs('#profile-completeness').textContent = valid ? 'Profile complete' : 'Please complete required fields (Name, Email, Phone, Address).';
   }
   function setupProfileForm(){
-    ['#profile-name','#profile-email','#profile-phone','#profile-address'].forEach(sel=>{
+    setupAddressBook();
+    ['#profile-name','#profile-email','#profile-phone'].forEach(sel=>{
       qs(sel).addEventListener('input', updateProfileCompleteness);
     });
-    qs('#save-profile-btn').addEventListener('click', ()=>{
+    qs('#save-profile-btn').addEventListener('click', async ()=>{
       const name = qs('#profile-name').value.trim();
       const email = qs('#profile-email').value.trim();
       const phone = qs('#profile-phone').value.trim();
-      const address = qs('#profile-address').value.trim();
       const notes = qs('#profile-notes').value.trim();
-      if(!name || !validateEmail(email) || !validatePhone(phone) || !address){
-        showSnack('Please provide valid Name, Email, Phone and Address');
+      const { address, addresses = [] } = getProfile();
+      if(!name || !validateEmail(email) || !validatePhone(phone) || !addresses.length){
+        showSnack('Please provide valid Name, Email and Phone, and add an address');
+        return;
+      }
+      try{
+        await saveAccountProfile({ name, phone, address, addresses, notes });
+      } catch(err){
+        console.error('saveAccountProfile error:', err);
+        showSnack('Could not save profile to your account');
         return;
       }
-      saveProfile({ name, email, phone, address, notes });
-      upsertAdminUsers(name, email, phone, address);
+      saveProfile({ name, email, phone, address, addresses, notes });
       showSnack('Profile saved');
       renderOrders();
     });
@@ -528,25 +1687,38 @@
   function init(){
     seedIfNeeded();
     setHeaderBranding();
+    fetchAppConfig()
+      .then(()=>{ setHeaderBranding(); if(catalogState!=='loading') renderCatalog(); })
+      .catch(err=> console.error('fetchAppConfig error:', err));
     setupNav();
     wireAuthModal();
+    setupAuthListener();
     requireAuthOnFirstVisit();
 
-    const products = loadProducts();
-    renderProducts(products, qs('#products-grid'));
-    renderCategoryChips(products);
-
     setupSearch();
+    setupSizeUnits();
+    setupWishlist();
+    setupRouting();
+    refreshCatalog();
+    window.addEventListener('online', ()=>{ if(catalogState!=='ready') refreshCatalog(); });
 
     setupProfileForm();
     loadProfileIntoForm();
+    updateAccountUI();
 
-    renderOrders();
+    migrateLegacyOrders()
+      .catch(err=> console.error('migrateLegacyOrders error:', err))
+      .finally(renderOrders);
 
     // modal
-    qs('#order-modal-close').addEventListener('click', ()=> showModal(false));
+    qs('#order-modal-close').addEventListener('click', closeModal);
     qs('#submit-order-btn').addEventListener('click', submitOrder);
-    document.addEventListener('keydown', (e)=>{ if(e.key==='Escape') showModal(false); });
+    setupAddressFields('order');
+    qs('#order-pin').addEventListener('input', debounce(renderCheckoutItems, 300));
+    qs('#order-address-pick').addEventListener('change', (e)=>{ pickCheckoutAddress(e.target.value); renderCheckoutItems(); });
+    qs('#checkout-btn').addEventListener('click', ()=> openModal('checkout'));
+    setupCommissionForm();
+    document.addEventListener('keydown', (e)=>{ if(e.key==='Escape') closeModal(); });
   }
 
   document.addEventListener('DOMContentLoaded', init);
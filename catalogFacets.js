@@ -0,0 +1,115 @@
+// catalogFacets.js
+// Combinable catalog filters used by the storefront's Home and Search views:
+// materials (any of), a price range, a height range and a sort order. Ranges
+// are `[min, max]` with `null` for an open end.
+
+export const SORT_OPTIONS = [
+  ['', 'Recommended'],
+  ['newest', 'Newest first'],
+  ['price-asc', 'Price: low to high'],
+  ['price-desc', 'Price: high to low']
+];
+
+export function emptyFacets(){
+  return { materials: [], price: [null, null], height: [null, null], sort: '' };
+}
+
+export function activeFacetCount(f){
+  return (f.materials.length ? 1 : 0)
+    + (f.price.some(v => v != null) ? 1 : 0)
+    + (f.height.some(v => v != null) ? 1 : 0);
+}
+
+// ---- Filtering ------------------------------------------------------------
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+const inRange = (v, [lo, hi]) => (lo == null || (v != null && v >= lo)) && (hi == null || (v != null && v <= hi));
+
+// Options must carry `material`, `price` and `heightIn` (inches, null when
+// unknown; see dimensions.js). `except` skips one facet, which is how the
+// counts for that facet are computed.
+export function optionMatches(o, f, except){
+  if(except !== 'materials' && f.materials.length && !f.materials.some(m => sameText(m, o.material))) return false;
+  if(except !== 'price' && !inRange(o.price, f.price)) return false;
+  if(except !== 'height' && !inRange(o.heightIn, f.height)) return false;
+  return true;
+}
+
+// A product with variants (`options`, see variants.js) matches when any one
+// of them matches every facet; a plain product is its own only option.
+const optionList = (p) => (p.options && p.options.length ? p.options : [p]);
+
+export function matchesFacets(p, f, except){
+  return optionList(p).some(o => optionMatches(o, f, except));
+}
+
+export function sortProducts(list, sort){
+  const out = list.slice();
+  if(sort === 'price-asc') out.sort((a, b) => a.price - b.price);
+  else if(sort === 'price-desc') out.sort((a, b) => b.price - a.price);
+  else if(sort === 'newest') out.sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+  return out;
+}
+
+export function applyFacets(products, f){
+  return sortProducts(products.filter(p => matchesFacets(p, f)), f.sort);
+}
+
+// Every material in `products` (plus any selected one no longer present) with
+// the number of products it would match given the other active facets.
+export function materialCounts(products, f){
+  const counts = new Map();
+  const add = (name, n) => {
+    const key = String(name || '').trim().toLowerCase();
+    if(!key) return;
+    const entry = counts.get(key) || { name: String(name).trim(), count: 0 };
+    entry.count += n;
+    counts.set(key, entry);
+  };
+  products.forEach(p => {
+    const byMaterial = new Map();
+    optionList(p).forEach(o => {
+      const key = String(o.material || '').trim().toLowerCase();
+      byMaterial.set(key, { name: o.material, hit: byMaterial.get(key)?.hit || optionMatches(o, f, 'materials') });
+    });
+    byMaterial.forEach(({ name, hit }) => add(name, hit ? 1 : 0));
+  });
+  f.materials.forEach(m => add(m, 0));
+  return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Slider bounds for `key` ('price' or 'heightIn'), widened to whole steps.
+export function facetBounds(products, key, step){
+  const values = products.flatMap(p => optionList(p).map(o => o[key])).filter(v => Number.isFinite(v));
+  if(!values.length) return { min: 0, max: 0 };
+  return {
+    min: Math.floor(Math.min(...values) / step) * step,
+    max: Math.ceil(Math.max(...values) / step) * step
+  };
+}
+
+// ---- URL params (see router.js) --------------------------------------------
+// ?mat=Marble,Granite&price=-15000&height=20-&sort=price-asc
+const rangeParam = ([lo, hi]) => (lo == null && hi == null ? null : `${lo ?? ''}-${hi ?? ''}`);
+function parseRange(v){
+  const m = /^(\d*(?:\.\d+)?)-(\d*(?:\.\d+)?)$/.exec(v || '');
+  if(!m) return [null, null];
+  return [m[1] ? Number(m[1]) : null, m[2] ? Number(m[2]) : null];
+}
+
+export function facetParams(f){
+  return {
+    mat: f.materials.join(',') || null,
+    price: rangeParam(f.price),
+    height: rangeParam(f.height),
+    sort: f.sort || null
+  };
+}
+
+export function facetsFromParams(params){
+  return {
+    materials: (params.mat || '').split(',').map(s => s.trim()).filter(Boolean),
+    price: parseRange(params.price),
+    height: parseRange(params.height),
+    sort: SORT_OPTIONS.some(([v]) => v === params.sort) ? params.sort : ''
+  };
+}
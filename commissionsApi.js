@@ -0,0 +1,54 @@
+// commissionsApi.js
+// Bespoke commission requests behind the createCommission/listCommissions/
+// quoteCommission/acceptQuote functions. Shared by the storefront and the admin.
+import { callFunction } from './api.js';
+import { rememberOrderIds } from './ordersApi.js';
+
+const MY_COMMISSIONS_KEY = 'myCommissionIds';
+
+export const COMMISSION_STATUS_LABELS = {
+  new: 'Awaiting quote',
+  quoted: 'Quote ready',
+  accepted: 'Accepted',
+  declined: 'Declined'
+};
+
+// Ids of requests made from this browser, so guests can follow them.
+export function getMyCommissionIds(){
+  try { return JSON.parse(localStorage.getItem(MY_COMMISSIONS_KEY)) ?? []; } catch(_) { return []; }
+}
+function rememberCommissionId(id){
+  const ids = new Set(getMyCommissionIds());
+  ids.add(id);
+  localStorage.setItem(MY_COMMISSIONS_KEY, JSON.stringify(Array.from(ids)));
+}
+export function forgetMyCommissionIds(){ localStorage.removeItem(MY_COMMISSIONS_KEY); }
+
+export async function listCommissions({ mine = false } = {}){
+  const ids = mine ? getMyCommissionIds() : [];
+  const query = ids.length ? { ids: ids.join(',') } : undefined;
+  const { commissions } = await callFunction('listCommissions', { method: 'GET', query });
+  return commissions || [];
+}
+
+export async function requestCommission(request){
+  const { commission } = await callFunction('createCommission', { body: request });
+  rememberCommissionId(commission.id);
+  return commission;
+}
+
+export async function sendQuote(id, { price, leadTime, message }){
+  const { commission } = await callFunction('quoteCommission', { body: { id, price, leadTime, message } });
+  return commission;
+}
+
+export async function declineCommission(id, message){
+  const { commission } = await callFunction('quoteCommission', { body: { id, decline: true, message } });
+  return commission;
+}
+
+export async function acceptQuote(id){
+  const { commission, order } = await callFunction('acceptQuote', { body: { id } });
+  rememberOrderIds([order.id]);
+  return { commission, order };
+}
@@ -0,0 +1,58 @@
+// csv.js
+// Minimal RFC 4180 CSV reading and writing for the admin's imports and exports.
+
+// Rows of cells from CSV text: quoted fields may hold commas, newlines and
+// doubled quotes; a UTF-8 BOM and a trailing newline are ignored.
+export function parseCsv(text){
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for(let i = 0; i < src.length; i++){
+    const c = src[i];
+    if(quoted){
+      if(c === '"' && src[i + 1] === '"'){ cell += '"'; i++; }
+      else if(c === '"') quoted = false;
+      else cell += c;
+    } else if(c === '"' && cell === ''){
+      quoted = true;
+    } else if(c === ','){
+      row.push(cell); cell = '';
+    } else if(c === '\n' || c === '\r'){
+      if(c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if(cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+// Spreadsheet apps run cells starting with these as formulas.
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+function csvCell(v){
+  let s = v == null ? '' : String(v);
+  if(typeof v === 'string' && FORMULA_RE.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// CSV text (CRLF line ends, BOM so Excel reads UTF-8) from rows of values.
+export function toCsv(rows){
+  return '\uFEFF' + rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Saves `text` as a file through a temporary link.
+export function downloadText(text, filename, type = 'text/csv'){
+  const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
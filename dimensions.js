@@ -0,0 +1,104 @@
+// dimensions.js
+// Structured product sizes: `{ height, width, depth, unit }` with unit 'in' or
+// 'cm', plus an optional weight in kg. Shared by the storefront, the admin and
+// the product functions (which also keep the `dimensions` text label in sync).
+
+export const SIZE_UNITS = ['in', 'cm'];
+export const CM_PER_INCH = 2.54;
+const AXES = ['height', 'width', 'depth'];
+
+export function convertLength(value, from, to){
+  if(value == null || from === to) return value;
+  return from === 'in' ? value * CM_PER_INCH : value / CM_PER_INCH;
+}
+
+// Rounded for display: whole numbers in cm, halves in inches.
+function roundFor(value, unit){
+  return unit === 'cm' ? Math.round(value) : Math.round(value * 2) / 2;
+}
+
+// The structured size of a product row (snake_case) or client product
+// (camelCase), or null when it only has a free-text `dimensions`.
+export function sizeOf(p){
+  if(!p) return null;
+  const unit = p.dimensionUnit || p.dimension_unit || p.unit;
+  const size = { height: Number(p.height), width: Number(p.width), depth: Number(p.depth), unit };
+  if(!SIZE_UNITS.includes(unit) || AXES.some(k => !(size[k] > 0))) return null;
+  return size;
+}
+
+// "24 × 12 × 10 in (H × W × D)", converted to `unit` when given; `axes: false`
+// leaves off the "(H × W × D)" for tight spots like the variant picker.
+export function formatSize(size, unit = size.unit, { axes = true } = {}){
+  const [h, w, d] = AXES.map(k => roundFor(convertLength(size[k], size.unit, unit), unit));
+  return `${h} × ${w} × ${d} ${unit}` + (axes ? ' (H × W × D)' : '');
+}
+
+export function heightInInches(size){
+  return size && size.height > 0 ? Math.round(convertLength(size.height, size.unit, 'in') * 10) / 10 : null;
+}
+
+// ---- Parsing legacy free text ----------------------------------------------
+// Handles "24in H x 12in W x 10in D", "60 x 30 x 20 cm", "Height: 2 ft" and the
+// like. Labelled parts (H/W/D) win, otherwise they're read in H × W × D order.
+// A part without a unit takes the last unit in the string, then inches. Feet
+// become inches and millimetres become centimetres.
+const PART_RE = /(\d+(?:\.\d+)?)\s*(cm|centimet(?:er|re)s?|mm|ft|feet|foot|inches|inch|in\b|"|')?/i;
+const UNIT_RE = /\d\s*(cm|centimet(?:er|re)s?|mm|ft|feet|foot|inches|inch|in\b|"|')/gi;
+const LABELS = {
+  height: /\b(?:h|ht|height|tall|high)\b/i,
+  width: /\b(?:w|wd|width|wide)\b/i,
+  depth: /\b(?:d|dp|depth|deep|l|length|long)\b/i
+};
+const TO_BASE = [
+  [/^(?:cm|centimet(?:er|re)s?)$/i, 'cm', 1],
+  [/^mm$/i, 'cm', 0.1],
+  [/^(?:ft|feet|foot|')$/i, 'in', 12],
+  [/^(?:in|inch|inches|")$/i, 'in', 1]
+];
+const baseUnit = (unit) => TO_BASE.find(([re]) => re.test(unit)) || [null, 'in', 1];
+
+export function parseDimensions(text){
+  const str = String(text || '');
+  const parts = str.split(/\s*(?:×|\*|,|;|\bx\b|(?<=\d)x(?=\d))\s*/i).map(s => s.trim()).filter(s => PART_RE.test(s));
+  if(!parts.length) return null;
+  const units = [...str.matchAll(UNIT_RE)];
+  const fallback = units.length ? units[units.length - 1][1] : 'in';
+  const [, unit] = baseUnit(fallback);
+
+  const unlabelled = parts.filter(s => !Object.values(LABELS).some(re => re.test(s)));
+  const size = { unit };
+  for(const axis of AXES){
+    const part = parts.find(s => LABELS[axis].test(s)) || unlabelled.shift();
+    if(!part){ size[axis] = null; continue; }
+    const [, num, partUnit] = PART_RE.exec(part);
+    const [, base, factor] = baseUnit(partUnit || fallback);
+    size[axis] = Math.round(convertLength(Number(num) * factor, base, unit) * 10) / 10;
+  }
+  return size;
+}
+
+// ---- Form / payload validation ---------------------------------------------
+// Both return `{ value, errors }` from raw form/payload values; used by the
+// admin forms and by validateProduct().
+const num = (v) => (v === '' || v == null ? NaN : Number(v));
+
+export function readSize({ height, width, depth, dimensionUnit }){
+  const errors = {};
+  const value = { unit: dimensionUnit };
+  if(!SIZE_UNITS.includes(dimensionUnit)) errors.dimensionUnit = `Must be one of: ${SIZE_UNITS.join(', ')}`;
+  Object.entries({ height, width, depth }).forEach(([axis, raw])=>{
+    const v = num(raw);
+    if(!(v > 0 && v < 10000)) errors[axis] = 'Must be a positive number';
+    else value[axis] = Math.round(v * 10) / 10;
+  });
+  return { value, errors };
+}
+
+// Weight is optional: blank reads as null.
+export function readWeight(raw){
+  if(raw === '' || raw == null) return { value: null, errors: {} };
+  const v = num(raw);
+  if(!(v > 0 && v < 100000)) return { value: null, errors: { weightKg: 'Must be a positive number of kg' } };
+  return { value: Math.round(v * 100) / 100, errors: {} };
+}
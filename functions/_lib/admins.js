@@ -0,0 +1,49 @@
+// functions/_lib/admins.js
+// Helpers for managing the shop's named admins. An admin is any Supabase Auth
+// user whose app_metadata.role is one of ADMIN_ROLES.
+import { HttpError } from './http.js';
+import { adminRole, ADMIN_ROLES } from './auth.js';
+import { dbError } from './supabaseAdmin.js';
+
+const PAGE_SIZE = 1000;
+
+export async function listAllUsers(db){
+  const users = [];
+  for(let page = 1; ; page++){
+    const { data, error } = await db.auth.admin.listUsers({ page, perPage: PAGE_SIZE });
+    if(error) throw dbError(error, 'Failed to list users');
+    users.push(...data.users);
+    if(data.users.length < PAGE_SIZE) return users;
+  }
+}
+
+export function toAdminRecord(user){
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.user_metadata?.name || '',
+    role: adminRole(user),
+    lastSignInAt: user.last_sign_in_at ? Date.parse(user.last_sign_in_at) : null,
+    invited: !user.last_sign_in_at
+  };
+}
+
+export function validateRole(role, { allowNone = false } = {}){
+  if(allowNone && role === null) return null;
+  if(!ADMIN_ROLES.includes(role)) throw new HttpError(422, `Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+  return role;
+}
+
+// Sets (or with `null`, revokes) a user's admin role, refusing to leave the
+// shop without an owner.
+export async function setRole(db, user, role){
+  if(adminRole(user) === 'owner' && role !== 'owner'){
+    const owners = (await listAllUsers(db)).filter(u => adminRole(u) === 'owner');
+    if(owners.length <= 1) throw new HttpError(409, 'The shop must keep at least one owner');
+  }
+  const { data, error } = await db.auth.admin.updateUserById(user.id, {
+    app_metadata: { ...user.app_metadata, role }
+  });
+  if(error) throw dbError(error, 'Failed to update admin role');
+  return data.user;
+}
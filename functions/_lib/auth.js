@@ -0,0 +1,42 @@
+// functions/_lib/auth.js
+// Caller identification for functions. The browser sends the Supabase access
+// token as `Authorization: Bearer <jwt>`; we verify it with Supabase and read the
+// role from app_metadata, which only the service role can write.
+import { getAdminClient } from './supabaseAdmin.js';
+import { HttpError } from './http.js';
+
+// owner: everything. staff: catalog and orders, but no deletes, settings or team changes.
+export const ADMIN_ROLES = ['owner', 'staff'];
+
+function bearerToken(event){
+  const header = event.headers?.authorization || event.headers?.Authorization || '';
+  const m = /^Bearer\s+(.+)$/i.exec(header);
+  return m ? m[1].trim() : null;
+}
+
+export async function getCaller(event){
+  const token = bearerToken(event);
+  if(!token) return null;
+  const { data, error } = await getAdminClient().auth.getUser(token);
+  if(error || !data?.user) return null;
+  return data.user;
+}
+
+export function adminRole(user){
+  const role = user?.app_metadata?.role;
+  return ADMIN_ROLES.includes(role) ? role : null;
+}
+
+export function isAdmin(user){
+  return !!adminRole(user);
+}
+
+// Resolves with the caller if they hold one of `roles`; otherwise 401/403.
+export async function requireAdmin(event, { roles = ADMIN_ROLES } = {}){
+  const user = await getCaller(event);
+  if(!user) throw new HttpError(401, 'Sign in required');
+  const role = adminRole(user);
+  if(!role) throw new HttpError(403, 'Admin access required');
+  if(!roles.includes(role)) throw new HttpError(403, `This action requires the ${roles.join(' or ')} role`);
+  return user;
+}
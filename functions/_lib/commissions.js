@@ -0,0 +1,65 @@
+// functions/_lib/commissions.js
+// Commission request row <-> API shape mapping and payload validation. API shape:
+// { id, userId, user, subject, material, dimensions, budget, referenceImages,
+//   status, quote, orderId, createdAt, updatedAt }.
+import { HttpError } from './http.js';
+
+export const COMMISSION_STATUSES = ['new', 'quoted', 'accepted', 'declined'];
+export const MAX_REFERENCE_IMAGES = 3;
+const MAX_IMAGE = 1.5 * 1024 * 1024; // keeps three photos under the 6 MB function payload limit
+
+const text = (v, max = 2000) => (typeof v === 'string' ? v.trim().slice(0, max) : '');
+const isImageRef = (v) => /^https?:\/\//i.test(v) || /^data:image\/[a-z0-9.+-]+;base64,/i.test(v);
+
+export function toClientCommission(row){
+  return {
+    id: row.id,
+    userId: row.user_id,
+    user: row.customer,
+    subject: row.subject,
+    material: row.material,
+    dimensions: row.dimensions,
+    budget: row.budget != null ? Number(row.budget) : null,
+    referenceImages: Array.isArray(row.reference_images) ? row.reference_images : [],
+    status: row.status,
+    quote: row.quote || null,
+    orderId: row.order_id || null,
+    createdAt: Date.parse(row.created_at),
+    updatedAt: Date.parse(row.updated_at)
+  };
+}
+
+// Returns the request fields for insert, or throws a 422 listing every problem.
+export function validateCommission(input){
+  const errors = {};
+  const out = {
+    subject: text(input.subject, 5000),
+    material: text(input.material, 200),
+    dimensions: text(input.dimensions, 200)
+  };
+  for(const key of ['subject', 'material', 'dimensions']){
+    if(!out[key]) errors[key] = 'Required';
+  }
+  if(input.budget != null && input.budget !== ''){
+    const budget = Number(input.budget);
+    if(!Number.isFinite(budget) || budget <= 0) errors.budget = 'Must be a positive number';
+    else out.budget = Math.round(budget * 100) / 100;
+  }
+  const images = Array.isArray(input.referenceImages) ? input.referenceImages.map(v => String(v || '').trim()).filter(Boolean) : [];
+  if(images.length > MAX_REFERENCE_IMAGES) errors.referenceImages = `At most ${MAX_REFERENCE_IMAGES} photos`;
+  else if(images.some(v => !isImageRef(v))) errors.referenceImages = 'Photos must be image uploads or http(s) URLs';
+  else if(images.some(v => v.length > MAX_IMAGE)) errors.referenceImages = 'A photo is too large';
+  else out.reference_images = images;
+  if(Object.keys(errors).length) throw new HttpError(422, 'Invalid commission request', errors);
+  return out;
+}
+
+export function validateQuote(input){
+  const price = Number(input.price);
+  const errors = {};
+  if(!Number.isFinite(price) || price <= 0) errors.price = 'Must be a positive number';
+  const message = text(input.message, 2000);
+  const leadTime = text(input.leadTime, 100);
+  if(Object.keys(errors).length) throw new HttpError(422, 'Invalid quote', errors);
+  return { price: Math.round(price * 100) / 100, leadTime, message };
+}
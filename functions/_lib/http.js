@@ -0,0 +1,50 @@
+// functions/_lib/http.js
+// Small helpers shared by every Netlify function: JSON responses, body parsing
+// and a wrapper that turns thrown HttpErrors into `{ error }` responses (the
+// shape admin.js reads).
+
+export class HttpError extends Error {
+  constructor(statusCode, message, details){
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+export function json(statusCode, body){
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    body: JSON.stringify(body)
+  };
+}
+
+export function parseJson(event){
+  if(!event.body) return {};
+  try {
+    const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+    const v = JSON.parse(raw);
+    if(!v || typeof v !== 'object' || Array.isArray(v)) throw new Error('not an object');
+    return v;
+  } catch(_) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+}
+
+export function withHandler(methods, fn){
+  return async (event, context) => {
+    if(!methods.includes(event.httpMethod)){
+      return { ...json(405, { error: 'Method not allowed' }), headers: { 'Content-Type': 'application/json', Allow: methods.join(', ') } };
+    }
+    try {
+      return await fn(event, context);
+    } catch(err) {
+      if(err instanceof HttpError){
+        return json(err.statusCode, { error: err.message, ...(err.details ? { details: err.details } : {}) });
+      }
+      console.error(err);
+      return json(500, { error: 'Internal server error' });
+    }
+  };
+}
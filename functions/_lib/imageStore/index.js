@@ -0,0 +1,17 @@
+// functions/_lib/imageStore/index.js
+// Image storage plugs in behind one small interface:
+//   put({ path, body, contentType }) → { url }   (`body` is a Buffer; `url` is
+//                                                 public and never changes)
+// IMAGE_STORE picks the adapter: 'supabase' (the default, Supabase Storage) or
+// 'local' for development without a storage bucket.
+import { HttpError } from '../http.js';
+import supabase from './supabase.js';
+import local from './local.js';
+
+const STORES = { supabase, local };
+
+export function getImageStore(name = process.env.IMAGE_STORE || 'supabase'){
+  const store = STORES[name];
+  if(!store) throw new HttpError(500, `Unknown image store "${name}"`);
+  return store;
+}
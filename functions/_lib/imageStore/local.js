@@ -0,0 +1,20 @@
+// functions/_lib/imageStore/local.js
+// Development stand-in (IMAGE_STORE=local): writes into uploads/ in the site
+// folder, which `netlify dev` serves as static files. Not for production —
+// deployed functions can't write to the published site.
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+
+const ROOT = join(process.cwd(), 'uploads');
+
+export default {
+  name: 'local',
+
+  async put({ path, body }){
+    const file = join(ROOT, path);
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(file, body);
+    const site = (process.env.URL || 'http://localhost:8888').replace(/\/$/, '');
+    return { url: `${site}/uploads/${path}` };
+  }
+};
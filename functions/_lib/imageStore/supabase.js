@@ -0,0 +1,19 @@
+// functions/_lib/imageStore/supabase.js
+// Supabase Storage. Files go to the public bucket IMAGE_BUCKET ('images' by
+// default, created by migration 0014) with the service role; anyone can read.
+import { getAdminClient } from '../supabaseAdmin.js';
+import { HttpError } from '../http.js';
+
+export default {
+  name: 'supabase',
+
+  async put({ path, body, contentType }){
+    const bucket = getAdminClient().storage.from(process.env.IMAGE_BUCKET || 'images');
+    const { error } = await bucket.upload(path, body, { contentType, cacheControl: '31536000', upsert: false });
+    if(error){
+      console.error('imageStore upload failed', path, error);
+      throw new HttpError(502, 'Could not store the image');
+    }
+    return { url: bucket.getPublicUrl(path).data.publicUrl };
+  }
+};
@@ -0,0 +1,110 @@
+// functions/_lib/notifications/index.js
+// Order notifications (templates in notifications.js) go out through one
+// small interface per channel:
+//   send({ to, subject, body }) → { messageId }   (`to` is an email address or
+//                                                  a phone number in 91XXXXXXXXXX
+//                                                  form; throws if not accepted)
+// EMAIL_TRANSPORT ('resend') and WHATSAPP_TRANSPORT ('cloud') pick the
+// adapters; 'mock', which only logs, has to be set explicitly too. A channel
+// with no transport set is skipped. Every attempt is recorded in
+// notification_log.
+import { HttpError } from '../http.js';
+import { loadPrivateSettings } from '../settings.js';
+import { templatesOf, templateKey, renderTemplate, orderVars, customerReachable, NOTIFY_AUDIENCES } from '../../../notifications.js';
+import mock from './mock.js';
+import resend from './resend.js';
+import whatsappCloud from './whatsappCloud.js';
+
+const TRANSPORTS = {
+  email: { resend, mock },
+  whatsapp: { cloud: whatsappCloud, mock }
+};
+const TRANSPORT_ENV = { email: 'EMAIL_TRANSPORT', whatsapp: 'WHATSAPP_TRANSPORT' };
+
+// null when the channel has no transport configured.
+export function getTransport(channel, name = process.env[TRANSPORT_ENV[channel]]){
+  if(!name) return null;
+  const transport = TRANSPORTS[channel]?.[name];
+  if(!transport) throw new HttpError(500, `Unknown ${channel} transport "${name}"`);
+  return transport;
+}
+
+// Indian numbers without a country code get 91; '' when it isn't a number.
+export function whatsappAddress(phone){
+  let digits = String(phone || '').replace(/\D/g, '');
+  if(digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+  if(digits.length === 10) digits = `91${digits}`;
+  return digits.length >= 11 && digits.length <= 15 ? digits : '';
+}
+
+function recipient(channel, audience, order, config){
+  if(channel === 'email') return audience === 'owner' ? config.ownerEmail || '' : order.user?.email || '';
+  return whatsappAddress(audience === 'owner' ? config.whatsappNumber : order.user?.phone);
+}
+
+async function deliver(channel, to, subject, body){
+  if(!to) return { status: 'skipped', error: 'No recipient' };
+  let transport;
+  try{
+    transport = getTransport(channel);
+    if(!transport) return { status: 'skipped', error: 'Transport not configured' };
+    const { messageId } = await transport.send({ to, subject, body });
+    return { status: 'sent', provider: transport.name, providerMessageId: messageId || null };
+  } catch(err){
+    console.error(`notify: ${channel} to ${to} failed:`, err);
+    return { status: 'failed', provider: transport?.name || null, error: String(err.message || err).slice(0, 500) };
+  }
+}
+
+// Sends the customer's and the owner's messages for `event` (a NOTIFY_EVENTS
+// key) about `order` (API shape) and logs each one; the customer's are held
+// until they are reachable (see notifications.js). Never throws: a message
+// that can't be sent must not fail the order change that triggered it.
+export async function notifyOrder(db, event, order, config){
+  try{
+    if(!config){
+      const { data, error } = await db.from('app_settings').select('config').eq('id', 1).maybeSingle();
+      if(error) throw error;
+      config = data?.config || {};
+    }
+    // The owner's email and the edited templates aren't in the public config.
+    config = { ...config, ...(await loadPrivateSettings(db)) };
+    const templates = templatesOf(config);
+    const vars = orderVars(order, config);
+    const jobs = [];
+    const held = !customerReachable(order);
+    NOTIFY_AUDIENCES.forEach(audience => {
+      const template = templates[templateKey(event, audience)];
+      (template?.channels || []).forEach(channel => {
+        const subject = channel === 'email' ? renderTemplate(template.subject, vars) : '';
+        const body = renderTemplate(template.body, vars).trim();
+        const to = recipient(channel, audience, order, config);
+        const sending = audience === 'customer' && held
+          ? Promise.resolve({ status: 'skipped', error: 'Held until the order is confirmed or paid' })
+          : deliver(channel, to, subject, body);
+        jobs.push(sending.then(result => ({
+          order_id: order.id,
+          event,
+          audience,
+          channel,
+          recipient: to,
+          subject,
+          body,
+          status: result.status,
+          provider: result.provider || null,
+          provider_message_id: result.providerMessageId || null,
+          error: result.error || null
+        })));
+      });
+    });
+    const rows = await Promise.all(jobs);
+    if(rows.length){
+      const { error } = await db.from('notification_log').insert(rows);
+      if(error) console.error('notify: could not log', event, 'for order', order.id, error);
+    }
+    return rows;
+  } catch(err){
+    console.error('notify:', event, 'for order', order?.id, 'failed:', err);
+    return [];
+  }
+}
@@ -0,0 +1,16 @@
+// functions/_lib/notifications/mock.js
+// Offline stand-in for both channels (EMAIL_TRANSPORT / WHATSAPP_TRANSPORT=mock,
+// only when set): prints the message to the function log instead of sending it.
+// A recipient containing "fail", or a number ending in 0000, simulates a
+// rejected message so the delivery log can be tested.
+import crypto from 'node:crypto';
+
+export default {
+  name: 'mock',
+
+  async send({ to, subject, body }){
+    if(/fail/i.test(to) || /0000$/.test(to)) throw new Error(`Mock transport rejected ${to}`);
+    console.log(`[notify:mock] to ${to}${subject ? ` — ${subject}` : ''}\n${body}`);
+    return { messageId: `mock_${crypto.randomUUID()}` };
+  }
+};
@@ -0,0 +1,25 @@
+// functions/_lib/notifications/resend.js
+// Email through Resend (EMAIL_TRANSPORT=resend). Needs RESEND_API_KEY and
+// NOTIFY_EMAIL_FROM, e.g. "Gatimaan creation <orders@example.com>", on a
+// domain verified with Resend. Messages go out as plain text.
+import { HttpError } from '../http.js';
+
+const API = 'https://api.resend.com';
+
+export default {
+  name: 'resend',
+
+  async send({ to, subject, body }){
+    const key = process.env.RESEND_API_KEY;
+    const from = process.env.NOTIFY_EMAIL_FROM;
+    if(!key || !from) throw new HttpError(500, 'Resend is not configured');
+    const response = await fetch(`${API}/emails`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+      body: JSON.stringify({ from, to: [to], subject, text: body })
+    });
+    const data = await response.json().catch(() => ({}));
+    if(!response.ok) throw new HttpError(502, `Resend: ${data.message || `HTTP ${response.status}`}`);
+    return { messageId: data.id };
+  }
+};
@@ -0,0 +1,43 @@
+// functions/_lib/notifications/whatsappCloud.js
+// WhatsApp Business messages through Meta's Cloud API (WHATSAPP_TRANSPORT=cloud).
+// Needs WHATSAPP_TOKEN and WHATSAPP_PHONE_NUMBER_ID. WhatsApp only delivers
+// free-form text inside the 24-hour window after the customer last wrote to
+// the shop; outside it, set WHATSAPP_TEMPLATE to an approved template with a
+// single body parameter ({{1}}) and the message is sent as that parameter.
+import { HttpError } from '../http.js';
+
+const API = 'https://graph.facebook.com/v20.0';
+
+function message(to, body){
+  const template = process.env.WHATSAPP_TEMPLATE;
+  if(!template) return { messaging_product: 'whatsapp', to, type: 'text', text: { body, preview_url: true } };
+  return {
+    messaging_product: 'whatsapp',
+    to,
+    type: 'template',
+    template: {
+      name: template,
+      language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+      // Template parameters may not contain newlines.
+      components: [{ type: 'body', parameters: [{ type: 'text', text: body.replace(/\s*\n+\s*/g, ' • ') }] }]
+    }
+  };
+}
+
+export default {
+  name: 'whatsapp-cloud',
+
+  async send({ to, body }){
+    const token = process.env.WHATSAPP_TOKEN;
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    if(!token || !phoneNumberId) throw new HttpError(500, 'WhatsApp is not configured');
+    const response = await fetch(`${API}/${phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(message(to, body))
+    });
+    const data = await response.json().catch(() => ({}));
+    if(!response.ok) throw new HttpError(502, `WhatsApp: ${data.error?.message || `HTTP ${response.status}`}`);
+    return { messageId: data.messages?.[0]?.id };
+  }
+};
@@ -0,0 +1,179 @@
+// functions/_lib/orders.js
+// Order row <-> API shape mapping and payload validation. The API returns the
+// camelCase shape the browser code works with:
+// { id, userId, items: [{ productId, variantId?, qty, productSnapshot, subtotal }], total,
+//   user, status, history, paymentStatus, amountPaid, balanceDue, payments,
+//   invoice, shipping, shipment, createdAt }.
+import { HttpError } from './http.js';
+import { ORDER_STATUSES, normalizeStatus } from '../../orderStatus.js';
+import { sizeOf } from '../../dimensions.js';
+import { COURIERS } from '../../shipping.js';
+import { readAddress, formatAddress } from '../../addresses.js';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+export const isUuid = (v) => UUID_RE.test(String(v || ''));
+
+const text = (v, max = 2000) => (typeof v === 'string' ? v.trim().slice(0, max) : '');
+
+export function toClientOrder(row){
+  return {
+    id: row.id,
+    legacyId: row.legacy_id || null,
+    userId: row.user_id,
+    items: Array.isArray(row.items) ? row.items : [],
+    total: Number(row.total) || 0,
+    user: row.customer,
+    status: row.status,
+    history: Array.isArray(row.history) ? row.history : [],
+    paymentStatus: row.payment_status || 'unpaid',
+    amountPaid: Number(row.amount_paid) || 0,
+    balanceDue: row.balance_due != null ? Number(row.balance_due) : Number(row.total) || 0,
+    payments: (Array.isArray(row.payments) ? row.payments : []).filter(p => p.status === 'captured').map(p => ({
+      provider: p.provider, paymentId: p.paymentId, kind: p.kind, amount: p.amount, paidAt: p.paidAt
+    })),
+    invoice: row.invoice || null,
+    shipping: row.shipping || null,
+    shipment: row.shipment || null,
+    createdAt: Date.parse(row.created_at),
+    updatedAt: Date.parse(row.updated_at)
+  };
+}
+
+// `addressParts` is the structured address (see addresses.js); `address` is
+// then its one-line form. Orders from before it only have the free text.
+export function validateCustomer(input){
+  const c = input && typeof input === 'object' ? input : {};
+  const customer = {
+    name: text(c.name, 200),
+    address: text(c.address),
+    phone: text(c.phone, 40),
+    email: text(c.email, 320),
+    notes: text(c.notes)
+  };
+  const errors = {};
+  if(c.addressParts != null){
+    const parts = readAddress(c.addressParts);
+    Object.entries(parts.errors).forEach(([k, msg]) => { errors[`address.${k}`] = msg; });
+    customer.addressParts = parts.value;
+    customer.address = formatAddress(parts.value);
+  }
+  if(!customer.name) errors.name = 'Required';
+  if(!customer.address) errors.address = 'Required';
+  if(!/^\+?\d[\d\s-]{6,18}$/.test(customer.phone)) errors.phone = 'Invalid phone number';
+  if(customer.email && !/.+@.+\..+/.test(customer.email)) errors.email = 'Invalid email';
+  if(Object.keys(errors).length) throw new HttpError(422, 'Invalid customer details', errors);
+  return customer;
+}
+
+// `variant` names the option picked when the product has several (see
+// variants.js); pass the product through withOption() first.
+export function snapshotOf(product, variant){
+  return {
+    name: product.name,
+    price: Number(product.price) || 0,
+    image: (product.images || [])[0] || '',
+    material: product.material || '',
+    dimensions: product.dimensions || '',
+    ...(sizeOf(product) ? { size: sizeOf(product) } : {}),
+    ...(product.hsn ? { hsn: product.hsn } : {}),
+    ...(variant ? { variant } : {})
+  };
+}
+
+export const MAX_LINES = 50;
+export const MAX_QTY = 20;
+
+// Normalises the requested cart lines: integer quantities within limits and
+// one line per product variant ('' is the product's default option). Prices
+// are not taken from the client.
+// products.id is a bigint; anything else can't name a product.
+export const PRODUCT_ID_RE = /^\d{1,18}$/;
+
+export function validateItems(input){
+  if(!Array.isArray(input) || input.length === 0) throw new HttpError(422, 'Order must contain at least one item');
+  const byLine = new Map();
+  for(const line of input){
+    const productId = line && line.productId != null ? String(line.productId).trim() : '';
+    const variantId = line && line.variantId != null ? String(line.variantId).trim() : '';
+    const qty = Number(line?.qty);
+    if(!productId || !Number.isInteger(qty) || qty < 1) throw new HttpError(422, 'Each item needs a productId and a whole-number qty');
+    const key = JSON.stringify([productId, variantId]);
+    const prev = byLine.get(key);
+    byLine.set(key, { productId, variantId, qty: (prev ? prev.qty : 0) + qty });
+  }
+  if(byLine.size > MAX_LINES) throw new HttpError(422, `At most ${MAX_LINES} different products per order`);
+  return Array.from(byLine.values(), (line) => {
+    if(line.qty > MAX_QTY) throw new HttpError(422, `At most ${MAX_QTY} of any one product per order`);
+    return line;
+  });
+}
+
+export function lineItem(productId, qty, productSnapshot, variantId = ''){
+  const item = { productId, qty, productSnapshot, subtotal: Math.round(productSnapshot.price * qty * 100) / 100 };
+  return variantId ? { ...item, variantId } : item;
+}
+
+// Stock held by an order nobody has paid towards or confirmed is returned
+// after RESERVATION_HOURS (see releaseReservations.js), and a buyer may only
+// have MAX_UNPAID_ORDERS such orders open at once.
+export const RESERVATION_HOURS = 48;
+export const MAX_UNPAID_ORDERS = 3;
+
+// Lines whose stock was reserved when the order was placed (`reserved` is the
+// quantity taken), in the shape reserve_stock()/release_stock() expect.
+export function reservedLines(items){
+  return (items || []).filter(it => it.reserved > 0).map(it => ({ productId: it.productId, qty: it.reserved }));
+}
+
+export const itemsTotal = (items) => Math.round(items.reduce((sum, it) => sum + it.subtotal, 0) * 100) / 100;
+
+// Legacy orders reference products that only ever existed in one browser's
+// localStorage, so their snapshot's description is taken as-is (after shape
+// checks). Its price is the browser's word only and is never kept.
+export function validateLegacySnapshot(input){
+  const s = input && typeof input === 'object' ? input : {};
+  const snapshot = {
+    name: text(s.name, 300),
+    price: 0,
+    image: /^https?:\/\//i.test(s.image || '') ? s.image : '',
+    material: text(s.material, 200),
+    dimensions: text(s.dimensions, 200)
+  };
+  if(!snapshot.name) throw new HttpError(422, 'Invalid product snapshot');
+  return snapshot;
+}
+
+// The courier details entered when an order ships.
+export function validateShipment(input){
+  const s = input && typeof input === 'object' ? input : {};
+  const shipment = { courier: text(s.courier, 40), awb: text(s.awb, 40) };
+  const trackingUrl = text(s.trackingUrl, 500);
+  const errors = {};
+  if(!COURIERS.some(c => c.id === shipment.courier)) errors.courier = `Must be one of: ${COURIERS.map(c => c.id).join(', ')}`;
+  if(!/^[A-Za-z0-9-]{4,40}$/.test(shipment.awb)) errors.awb = 'Enter the AWB (letters, digits or dashes)';
+  if(trackingUrl && !/^https:\/\//i.test(trackingUrl)) errors.trackingUrl = 'Must be an https URL';
+  if(Object.keys(errors).length) throw new HttpError(422, 'Invalid shipment details', errors);
+  return { ...shipment, ...(trackingUrl ? { trackingUrl } : {}), shippedAt: new Date().toISOString() };
+}
+
+export function validateStatus(status){
+  if(!ORDER_STATUSES.includes(status)) throw new HttpError(422, `Status must be one of: ${ORDER_STATUSES.join(', ')}`);
+  return status;
+}
+
+// Who made a status change, as recorded in the order history.
+export function actorOf(user){
+  if(!user) return null;
+  return {
+    id: user.id,
+    name: user.user_metadata?.name || user.email,
+    email: user.email,
+    role: user.app_metadata?.role || null
+  };
+}
+
+export function historyEntry(status, user, note){
+  return { status, at: new Date().toISOString(), by: actorOf(user), ...(note ? { note } : {}) };
+}
+
+export { normalizeStatus };
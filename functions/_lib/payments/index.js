@@ -0,0 +1,26 @@
+// functions/_lib/payments/index.js
+// Payment gateways plug in behind one small interface:
+//   createPayment({ amount, currency, receipt, notes })
+//     → { providerOrderId, checkout }   (`checkout` is handed to the browser
+//                                         to open the gateway's widget)
+//   verifyPayment({ providerOrderId, response })
+//     → { paymentId }                   (`response` is what the widget
+//                                         returned; throws HttpError(400) if
+//                                         it does not check out)
+// Amounts are in rupees. PAYMENT_PROVIDER picks the adapter and must be set:
+// there is no default, and the mock provider, which accepts any payment it is
+// told about, only works while PAYMENT_PROVIDER=mock (so attempts started on
+// it can't be verified on a live site either).
+import { HttpError } from '../http.js';
+import razorpay from './razorpay.js';
+import mock from './mock.js';
+
+const PROVIDERS = { razorpay, mock };
+
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER){
+  if(!name) throw new HttpError(500, 'Payments are not configured');
+  if(name === 'mock' && process.env.PAYMENT_PROVIDER !== 'mock') throw new HttpError(500, 'The mock payment provider is disabled');
+  const provider = PROVIDERS[name];
+  if(!provider) throw new HttpError(500, `Unknown payment provider "${name}"`);
+  return provider;
+}
@@ -0,0 +1,25 @@
+// functions/_lib/payments/mock.js
+// Offline stand-in for a gateway, only when PAYMENT_PROVIDER=mock is set. The
+// browser "pays" by confirming a dialog and reports { mock_order_id,
+// mock_payment_id, status }; a status of 'failed' simulates a declined payment.
+// Never enable this on a live site: it accepts any payment it is told about.
+import crypto from 'node:crypto';
+import { HttpError } from '../http.js';
+
+export default {
+  name: 'mock',
+
+  async createPayment({ amount, currency }){
+    const providerOrderId = `mock_order_${crypto.randomUUID()}`;
+    return {
+      providerOrderId,
+      checkout: { provider: 'mock', orderId: providerOrderId, amount: Math.round(amount * 100), currency }
+    };
+  },
+
+  async verifyPayment({ providerOrderId, response }){
+    if(response?.mock_order_id !== providerOrderId) throw new HttpError(400, 'Payment does not match this order');
+    if(response?.status !== 'paid') throw new HttpError(400, 'Payment was declined');
+    return { paymentId: String(response.mock_payment_id || `mock_pay_${crypto.randomUUID()}`) };
+  }
+};
@@ -0,0 +1,51 @@
+// functions/_lib/payments/razorpay.js
+// Razorpay's order → checkout → signature-verify flow. Needs RAZORPAY_KEY_ID
+// and RAZORPAY_KEY_SECRET; amounts go to Razorpay in paise.
+import crypto from 'node:crypto';
+import { HttpError } from '../http.js';
+
+const API = 'https://api.razorpay.com/v1';
+
+function credentials(){
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  if(!keyId || !keySecret) throw new HttpError(500, 'Razorpay is not configured');
+  return { keyId, keySecret };
+}
+
+export default {
+  name: 'razorpay',
+
+  async createPayment({ amount, currency, receipt, notes }){
+    const { keyId, keySecret } = credentials();
+    const response = await fetch(`${API}/orders`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`
+      },
+      body: JSON.stringify({ amount: Math.round(amount * 100), currency, receipt, notes })
+    });
+    const data = await response.json().catch(() => ({}));
+    if(!response.ok){
+      console.error('razorpay createPayment error:', data);
+      throw new HttpError(502, 'Payment gateway is unavailable, please try again');
+    }
+    return {
+      providerOrderId: data.id,
+      checkout: { provider: 'razorpay', key: keyId, orderId: data.id, amount: data.amount, currency: data.currency }
+    };
+  },
+
+  async verifyPayment({ providerOrderId, response }){
+    const { keySecret } = credentials();
+    const paymentId = String(response?.razorpay_payment_id || '');
+    const signature = String(response?.razorpay_signature || '');
+    if(!paymentId || response?.razorpay_order_id !== providerOrderId) throw new HttpError(400, 'Payment does not match this order');
+    const expected = crypto.createHmac('sha256', keySecret).update(`${providerOrderId}|${paymentId}`).digest('hex');
+    if(signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))){
+      throw new HttpError(400, 'Payment signature is invalid');
+    }
+    return { paymentId };
+  }
+};
@@ -0,0 +1,119 @@
+// functions/_lib/products.js
+// Payload validation for product writes. Mirrors the required fields enforced
+// by saveProductFromForm() in admin.js so the API can't be used to bypass them.
+import { HttpError } from './http.js';
+import { HSN_RE } from './settings.js';
+import { readSize, readWeight, formatSize } from '../../dimensions.js';
+import { MAX_VARIANTS, readVariant } from '../../variants.js';
+
+const MAX_TEXT = 5000;
+const MAX_IMAGES = 8;
+const MAX_UPLOADS = 4 * 1024 * 1024; // data URLs from the admin upload field, all images together
+
+const text = (v) => (typeof v === 'string' ? v.trim() : '');
+
+function parseCategories(v){
+  const list = Array.isArray(v) ? v : String(v ?? '').split(',');
+  return [...new Set(list.map(c => String(c).trim()).filter(Boolean))];
+}
+
+function isImageRef(v){
+  return /^https?:\/\//i.test(v) || /^data:image\/[a-z0-9.+-]+;base64,/i.test(v);
+}
+
+// Returns a clean row for insert/update, or throws a 422 listing every problem.
+// With `partial`, only the keys present in `input` are validated and returned.
+export function validateProduct(input, { partial = false } = {}){
+  const errors = {};
+  const out = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(input, k);
+  const want = (k) => !partial || has(k);
+
+  for(const key of ['name', 'description', 'material']){
+    if(!want(key)) continue;
+    const v = text(input[key]);
+    if(!v) errors[key] = 'Required';
+    else if(v.length > MAX_TEXT) errors[key] = 'Too long';
+    else out[key] = v;
+  }
+  if(want('price')){
+    const price = Number(input.price);
+    if(!Number.isFinite(price) || price <= 0) errors.price = 'Must be a positive number';
+    else out.price = Math.round(price * 100) / 100;
+  }
+  // Height, width, depth and unit travel together; the `dimensions` text is
+  // derived from them so older readers (order snapshots, cached catalogs) keep working.
+  if(!partial || ['height', 'width', 'depth', 'dimensionUnit'].some(has)){
+    const size = readSize(input);
+    Object.assign(errors, size.errors);
+    if(!Object.keys(size.errors).length){
+      const { height, width, depth, unit } = size.value;
+      Object.assign(out, { height, width, depth, dimension_unit: unit, dimensions: formatSize(size.value) });
+    }
+  }
+  if(has('weightKg')){
+    const weight = readWeight(input.weightKg);
+    Object.assign(errors, weight.errors);
+    out.weight_kg = weight.value;
+  }
+  if(has('stock')){
+    const stock = Number(input.stock);
+    if(!Number.isInteger(stock) || stock < 0 || stock > 100000) errors.stock = 'Must be a whole number, 0 or more';
+    else out.stock = stock;
+  }
+  if(has('madeToOrder')) out.made_to_order = input.madeToOrder === true;
+  if(has('leadTimeDays')){
+    const days = input.leadTimeDays === '' || input.leadTimeDays == null ? null : Number(input.leadTimeDays);
+    if(days !== null && (!Number.isInteger(days) || days < 1 || days > 365)) errors.leadTimeDays = 'Must be 1 to 365 days';
+    else out.lead_time_days = days;
+  }
+  if(has('categories')) out.categories = parseCategories(input.categories);
+  else if(!partial) out.categories = [];
+  if(has('hsn')){
+    const hsn = text(input.hsn);
+    if(hsn && !HSN_RE.test(hsn)) errors.hsn = 'HSN codes have 4, 6 or 8 digits';
+    else out.hsn = hsn;
+  }
+  if(has('careNotes')){
+    const care = text(input.careNotes);
+    if(care.length > MAX_TEXT) errors.careNotes = 'Too long';
+    else out.care_notes = care;
+  }
+  // `images` is ordered; the first one is the cover.
+  if(has('images')){
+    const images = (Array.isArray(input.images) ? input.images : []).map(text).filter(Boolean);
+    const uploads = images.filter(v => v.startsWith('data:')).reduce((n, v) => n + v.length, 0);
+    if(images.length > MAX_IMAGES) errors.images = `At most ${MAX_IMAGES} images`;
+    else if(images.some(v => !isImageRef(v))) errors.images = 'Each image must be an http(s) URL or an image data URL';
+    else if(uploads > MAX_UPLOADS) errors.images = 'Uploaded images are too large';
+    else out.images = images;
+  }
+  // Other materials/sizes of the same piece (see variants.js). Errors are
+  // keyed by row, e.g. `variants.2.price`.
+  if(has('variants')){
+    const list = Array.isArray(input.variants) ? input.variants : [];
+    if(list.length > MAX_VARIANTS) errors.variants = `At most ${MAX_VARIANTS} variants`;
+    else {
+      const variants = list.map((raw, i) => {
+        const v = readVariant(raw);
+        Object.entries(v.errors).forEach(([k, msg]) => { errors[`variants.${i}.${k}`] = msg; });
+        if(v.value.image && !isImageRef(v.value.image)) errors[`variants.${i}.image`] = 'Must be an http(s) URL or an image data URL';
+        return v.value;
+      });
+      if(new Set(variants.map(v => v.id)).size !== variants.length) errors.variants = 'Variant ids must be unique';
+      const uploads = [...(out.images || []), ...variants.map(v => v.image)].filter(v => v.startsWith('data:')).reduce((n, v) => n + v.length, 0);
+      if(uploads > MAX_UPLOADS) errors.variants = 'Uploaded images are too large';
+      out.variants = variants;
+    }
+  }
+
+  if(Object.keys(errors).length) throw new HttpError(422, 'Invalid product', errors);
+  if(partial && Object.keys(out).length === 0) throw new HttpError(422, 'No fields to update');
+  return out;
+}
+
+export function requireId(input){
+  const id = input.id;
+  if(id === undefined || id === null || String(id).trim() === '') throw new HttpError(422, 'Product id is required');
+  return String(id).trim();
+}
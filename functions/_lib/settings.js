@@ -0,0 +1,136 @@
+// functions/_lib/settings.js
+// Shop-wide settings (the `appConfig` object both apps read) are stored as a
+// single JSON row in app_settings. Only known keys are accepted. The
+// PRIVATE_SETTINGS keys go to private_settings instead, which only the
+// functions can read.
+import { HttpError } from './http.js';
+import { dbError } from './supabaseAdmin.js';
+import { GSTIN_RE } from '../../indianStates.js';
+import { NOTIFY_EVENTS, NOTIFY_AUDIENCES, NOTIFY_CHANNELS } from '../../notifications.js';
+
+const MAX_LOGO = 2 * 1024 * 1024;
+export const HSN_RE = /^(\d{4}|\d{6}|\d{8})$/;
+
+export const PRIVATE_SETTINGS = ['ownerEmail', 'notificationTemplates'];
+
+const plain = (max) => (v) => {
+  const s = String(v ?? '').trim();
+  if(s.length > max) return [null, `At most ${max} characters`];
+  return [s];
+};
+
+const FIELDS = {
+  tagline(v){
+    const s = String(v ?? '').trim();
+    if(s.length > 200) return [null, 'At most 200 characters'];
+    return [s];
+  },
+  whatsappNumber(v){
+    const s = String(v ?? '').trim();
+    if(s && !/^\+?\d[\d\s-]{6,18}$/.test(s)) return [null, 'Invalid phone number'];
+    return [s];
+  },
+  depositPercent(v){
+    const n = Number(v);
+    if(!Number.isInteger(n) || n < 0 || n > 90) return [null, 'Must be a whole number from 0 to 90'];
+    return [n];
+  },
+  businessName: plain(200),
+  businessAddress: plain(500),
+  gstin(v){
+    const s = String(v ?? '').trim().toUpperCase();
+    if(s && !GSTIN_RE.test(s)) return [null, 'Invalid GSTIN'];
+    return [s];
+  },
+  gstRate(v){
+    const n = Number(v);
+    if(!Number.isFinite(n) || n < 0 || n > 28) return [null, 'Must be a percentage from 0 to 28'];
+    return [n];
+  },
+  defaultHsn(v){
+    const s = String(v ?? '').trim();
+    if(s && !HSN_RE.test(s)) return [null, 'HSN codes have 4, 6 or 8 digits'];
+    return [s];
+  },
+  invoicePrefix(v){
+    const s = String(v ?? '').trim().toUpperCase();
+    if(s && !/^[A-Z0-9-]{1,6}$/.test(s)) return [null, 'Up to 6 letters, digits or dashes'];
+    return [s];
+  },
+  // Zones and crating tiers for shipping.js, replaced as a whole.
+  shipping(v){
+    const s = v && typeof v === 'object' ? v : {};
+    const zones = Array.isArray(s.zones) ? s.zones : [];
+    const crating = Array.isArray(s.crating) ? s.crating : [];
+    if(!zones.length || zones.length > 40) return [null, 'Between 1 and 40 shipping zones'];
+    if(crating.length > 10) return [null, 'At most 10 crating tiers'];
+    const amount = (n) => n !== '' && n != null && Number(n) >= 0 && Number(n) < 1e6;
+    const out = { zones: [], crating: [] };
+    for(const z of zones){
+      const name = String(z?.name ?? '').trim().slice(0, 60);
+      const prefixes = (Array.isArray(z?.prefixes) ? z.prefixes : []).map(p => String(p).trim()).filter(Boolean);
+      if(!name) return [null, 'Every zone needs a name'];
+      if(!prefixes.length || prefixes.some(p => !/^[1-9]\d{0,5}$/.test(p))) return [null, `${name}: PIN prefixes are 1 to 6 digits`];
+      if(!amount(z.base) || !amount(z.perKg)) return [null, `${name}: rates must be 0 or more`];
+      out.zones.push({ name, prefixes, base: Number(z.base), perKg: Number(z.perKg) });
+    }
+    for(const t of crating){
+      const upToIn = t?.upToIn === '' || t?.upToIn == null ? null : Number(t.upToIn);
+      if(upToIn !== null && !(upToIn > 0)) return [null, 'Crating heights must be positive'];
+      if(!amount(t?.fee)) return [null, 'Crating fees must be 0 or more'];
+      out.crating.push({ upToIn, fee: Number(t.fee) });
+    }
+    out.crating.sort((a, b) => (a.upToIn ?? Infinity) - (b.upToIn ?? Infinity));
+    return [out];
+  },
+  ownerEmail(v){
+    const s = String(v ?? '').trim();
+    if(s && (s.length > 320 || !/.+@.+\..+/.test(s))) return [null, 'Invalid email'];
+    return [s];
+  },
+  // Edited order notifications (see notifications.js), replaced as a whole;
+  // templates left out use the defaults. A template with no channels is off.
+  notificationTemplates(v){
+    const input = v && typeof v === 'object' && !Array.isArray(v) ? v : {};
+    const out = {};
+    for(const [key, t] of Object.entries(input)){
+      const [event, audience] = key.split('.');
+      if(!NOTIFY_EVENTS[event] || !NOTIFY_AUDIENCES.includes(audience)) return [null, `Unknown notification "${key}"`];
+      const channels = Array.isArray(t?.channels) ? t.channels : [];
+      if(channels.some(c => !NOTIFY_CHANNELS.includes(c))) return [null, `${key}: unknown channel`];
+      const subject = String(t?.subject ?? '').trim();
+      const body = String(t?.body ?? '').trim();
+      if(subject.length > 200) return [null, `${key}: subject is at most 200 characters`];
+      if(body.length > 2000) return [null, `${key}: message is at most 2000 characters`];
+      if(channels.length && !body) return [null, `${key}: message is required`];
+      out[key] = { channels: NOTIFY_CHANNELS.filter(c => channels.includes(c)), subject, body };
+    }
+    return [out];
+  },
+  logo(v){
+    const s = String(v ?? '').trim();
+    if(s && !/^https?:\/\//i.test(s) && !/^data:image\/[a-z0-9.+-]+;base64,/i.test(s)) return [null, 'Must be an http(s) URL or an image data URL'];
+    if(s.length > MAX_LOGO) return [null, 'Logo is too large'];
+    return [s];
+  }
+};
+
+export async function loadPrivateSettings(db){
+  const { data, error } = await db.from('private_settings').select('config').eq('id', 1).maybeSingle();
+  if(error) throw dbError(error, 'Failed to load settings');
+  return data?.config || {};
+}
+
+// Returns the subset of `input` that is a known, valid setting; throws 422 otherwise.
+export function validateSettings(input){
+  const out = {};
+  const errors = {};
+  for(const [key, value] of Object.entries(input)){
+    const check = FIELDS[key];
+    if(!check) continue;
+    const [clean, problem] = check(value);
+    if(problem) errors[key] = problem; else out[key] = clean;
+  }
+  if(Object.keys(errors).length) throw new HttpError(422, 'Invalid settings', errors);
+  return out;
+}
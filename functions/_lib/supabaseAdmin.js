@@ -0,0 +1,24 @@
+// functions/_lib/supabaseAdmin.js
+// Supabase client with the service_role key. It bypasses RLS, so it must only
+// ever be imported from functions/ — never from browser code.
+import { createClient } from '@supabase/supabase-js';
+import { HttpError } from './http.js';
+
+let client = null;
+
+export function getAdminClient(){
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if(!url || !key) throw new HttpError(500, 'Server is missing Supabase configuration');
+  if(!client){
+    client = createClient(url, key, { auth: { persistSession: false, autoRefreshToken: false } });
+  }
+  return client;
+}
+
+// Supabase returns PostgREST errors as plain objects; surface them as 500s
+// without leaking query details to the caller.
+export function dbError(error, message = 'Database request failed'){
+  console.error(message, error);
+  return new HttpError(500, message);
+}
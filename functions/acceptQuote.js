@@ -0,0 +1,74 @@
+// POST /.netlify/functions/acceptQuote — accept a commission quote, turning it into an order.
+// Body: { id }. As with orders, knowing the request id is the proof of having
+// made it. The order has one line whose snapshot describes the commissioned
+// piece at the quoted price. Freight is quoted as in createOrder, sizing the
+// piece from the requested dimensions; a request with no PIN code in a
+// shipping zone gets no freight line, and the shop settles it with the buyer.
+// The owner is notified of the new order like any other.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { getCaller, isAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { isUuid, toClientOrder, lineItem, itemsTotal, historyEntry } from './_lib/orders.js';
+import { toClientCommission } from './_lib/commissions.js';
+import { notifyOrder } from './_lib/notifications/index.js';
+import { quoteShipping, shippingConfigOf } from '../shipping.js';
+import { parseDimensions } from '../dimensions.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  const caller = await getCaller(event);
+  const body = parseJson(event);
+  if(!isUuid(body.id)) throw new HttpError(422, 'Commission id is required');
+  const db = getAdminClient();
+
+  const { data: commission, error: readError } = await db.from('commissions').select('*').eq('id', body.id).maybeSingle();
+  if(readError) throw dbError(readError, 'Failed to load commission request');
+  if(!commission) throw new HttpError(404, 'Commission request not found');
+  if(commission.status !== 'quoted') throw new HttpError(409, 'There is no open quote to accept');
+
+  const { data: settings, error: settingsError } = await db.from('app_settings').select('config').eq('id', 1).maybeSingle();
+  if(settingsError) throw dbError(settingsError, 'Failed to load settings');
+  const pin = commission.customer?.addressParts?.pin;
+  const piece = parseDimensions(commission.dimensions) || {};
+  const shipping = pin ? quoteShipping([{ product: piece, qty: 1 }], pin, shippingConfigOf(settings?.config)) : null;
+
+  // Claim the request first so a double click can't create two orders.
+  const at = new Date().toISOString();
+  const { data: claimed, error: claimError } = await db
+    .from('commissions')
+    .update({ status: 'accepted', updated_at: at })
+    .eq('id', commission.id)
+    .eq('status', 'quoted')
+    .select('id');
+  if(claimError) throw dbError(claimError, 'Failed to accept quote');
+  if(!claimed || claimed.length === 0) throw new HttpError(409, 'Quote was changed meanwhile; reload and try again');
+
+  const photo = (commission.reference_images || []).find(v => /^https?:\/\//i.test(v)) || '';
+  const items = [lineItem(null, 1, {
+    name: `Commission: ${commission.subject.slice(0, 120)}`,
+    price: Number(commission.quote.price),
+    image: photo,
+    material: commission.material,
+    dimensions: commission.dimensions
+  })];
+  const customer = caller && !isAdmin(caller) ? caller : null;
+  const { data: order, error: orderError } = await db.from('orders').insert({
+    user_id: commission.user_id || (customer ? customer.id : null),
+    customer: commission.customer,
+    items,
+    total: itemsTotal(items) + (shipping?.amount || 0),
+    ...(shipping ? { shipping } : {}),
+    status: 'pending',
+    history: [historyEntry('pending', customer, 'Commission quote accepted')]
+  }).select().single();
+  if(orderError){
+    await db.from('commissions').update({ status: 'quoted', updated_at: new Date().toISOString() }).eq('id', commission.id);
+    throw dbError(orderError, 'Failed to create order');
+  }
+
+  const { data, error } = await db.from('commissions').update({ order_id: order.id }).eq('id', commission.id).select().single();
+  if(error) throw dbError(error, 'Failed to link order');
+
+  const clientOrder = toClientOrder(order);
+  await notifyOrder(db, 'placed', clientOrder, settings?.config || {});
+  return json(201, { message: 'Quote accepted', commission: toClientCommission(data), order: clientOrder });
+});
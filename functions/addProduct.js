@@ -0,0 +1,15 @@
+// POST /.netlify/functions/addProduct — create a catalog product (admins only).
+import { withHandler, json, parseJson } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { validateProduct } from './_lib/products.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  await requireAdmin(event);
+  const product = validateProduct(parseJson(event));
+
+  const { data, error } = await getAdminClient().from('products').insert(product).select().single();
+  if(error) throw dbError(error, 'Failed to add product');
+
+  return json(201, { message: 'Product added', product: data });
+});
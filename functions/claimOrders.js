@@ -0,0 +1,27 @@
+// POST /.netlify/functions/claimOrders — attach guest orders to the caller's account.
+// Body: { ids: [uuid, ...] }. Only orders with no owner yet are claimed.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { getCaller } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { isUuid } from './_lib/orders.js';
+
+const MAX_IDS = 200;
+
+export const handler = withHandler(['POST'], async (event) => {
+  const caller = await getCaller(event);
+  if(!caller) throw new HttpError(401, 'Sign in required');
+  const body = parseJson(event);
+  const ids = (Array.isArray(body.ids) ? body.ids : []).filter(isUuid);
+  if(ids.length > MAX_IDS) throw new HttpError(422, `At most ${MAX_IDS} ids per request`);
+  if(ids.length === 0) return json(200, { claimed: 0 });
+
+  const { data, error } = await getAdminClient()
+    .from('orders')
+    .update({ user_id: caller.id, updated_at: new Date().toISOString() })
+    .in('id', ids)
+    .is('user_id', null)
+    .select('id');
+  if(error) throw dbError(error, 'Failed to claim orders');
+
+  return json(200, { claimed: (data || []).length });
+});
@@ -0,0 +1,21 @@
+// POST /.netlify/functions/createCommission — request a bespoke piece (public).
+// Body: { subject, material, dimensions, budget?, referenceImages?, customer }.
+// Guests keep the returned id to follow the request, as with orders.
+import { withHandler, json, parseJson } from './_lib/http.js';
+import { getCaller, isAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { validateCustomer } from './_lib/orders.js';
+import { toClientCommission, validateCommission } from './_lib/commissions.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  const caller = await getCaller(event);
+  const body = parseJson(event);
+  const customer = validateCustomer(body.customer);
+  const request = validateCommission(body);
+
+  const row = { ...request, customer, user_id: caller && !isAdmin(caller) ? caller.id : null };
+  const { data, error } = await getAdminClient().from('commissions').insert(row).select().single();
+  if(error) throw dbError(error, 'Failed to save commission request');
+
+  return json(201, { message: 'Commission request sent', commission: toClientCommission(data) });
+});
@@ -0,0 +1,141 @@
+// POST /.netlify/functions/createOrder — place an order (public).
+// Body: { items: [{ productId, variantId?, qty }], customer }, the customer with a
+// structured `addressParts`. Each line's snapshot and subtotal are built from the
+// products table, never from the client, and so is the freight to the address's
+// PIN code (see shipping.js), which is added to the total. The shop owner is
+// notified (see functions/_lib/notifications/); the customer only once the
+// order is confirmed or paid.
+// Stock of products that aren't made to order is reserved before the insert, for
+// at most MAX_UNPAID_ORDERS unpaid orders per phone or email, and given back if
+// the order is still unpaid after RESERVATION_HOURS (releaseReservations.js). The one
+// exception is `legacyId` imports of orders that predate this API, sent by the
+// browser that stored them (or the admin page): idempotent on legacy_id, priced
+// from the catalog, never the browser, and always pending unless an admin
+// imports them.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { getCaller, isAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { toClientOrder, validateCustomer, validateItems, lineItem, itemsTotal, snapshotOf, validateLegacySnapshot, historyEntry, normalizeStatus, reservedLines, MAX_UNPAID_ORDERS, PRODUCT_ID_RE } from './_lib/orders.js';
+import { stockOf, maxOrderable } from '../inventory.js';
+import { hasVariants, findOption, withOption, optionLabel } from '../variants.js';
+import { quoteShipping, shippingConfigOf } from '../shipping.js';
+import { notifyOrder } from './_lib/notifications/index.js';
+
+const LEGACY_EPOCH = Date.UTC(2020, 0, 1);
+
+// Pending, unpaid orders holding stock for this phone number or email.
+async function unpaidOrderCount(db, customer){
+  const keys = [['customer->>phone', customer.phone], ['customer->>email', customer.email]].filter(([, v]) => v);
+  let count = 0;
+  for(const [column, value] of keys){
+    const { count: n, error } = await db.from('orders').select('id', { count: 'exact', head: true })
+      .eq('status', 'pending').eq('payment_status', 'unpaid').eq(column, value);
+    if(error) throw dbError(error, 'Failed to check open orders');
+    count = Math.max(count, n || 0);
+  }
+  return count;
+}
+
+export const handler = withHandler(['POST'], async (event) => {
+  const caller = await getCaller(event);
+  const admin = isAdmin(caller);
+  const body = parseJson(event);
+  const customer = validateCustomer(body.customer);
+  const db = getAdminClient();
+
+  const row = {
+    user_id: caller && !admin ? caller.id : null,
+    customer,
+    status: 'pending'
+  };
+
+  const legacyId = typeof body.legacyId === 'string' ? body.legacyId.trim().slice(0, 100) : '';
+  if(legacyId){
+    row.legacy_id = legacyId;
+    // The browser's snapshot is kept for its description only; the price is the
+    // catalog's, or 0 when the product never made it into the products table.
+    const productId = body.productId != null ? String(body.productId).slice(0, 100) : null;
+    const { data: product, error: productError } = PRODUCT_ID_RE.test(productId || '')
+      ? await db.from('products').select('*').eq('id', productId).maybeSingle()
+      : { data: null, error: null };
+    if(productError) throw dbError(productError, 'Failed to look up product');
+    const snapshot = product ? snapshotOf(product) : validateLegacySnapshot(body.productSnapshot);
+    row.items = [lineItem(product ? String(product.id) : productId, 1, snapshot)];
+    row.total = itemsTotal(row.items);
+    const ts = Number(body.createdAt);
+    if(ts > LEGACY_EPOCH && ts <= Date.now()) row.created_at = new Date(ts).toISOString();
+    if(admin && body.status) row.status = normalizeStatus(body.status);
+    row.history = [{ status: row.status, at: row.created_at || new Date().toISOString(), by: null, note: 'Imported from browser storage' }];
+
+    const { data, error } = await db.from('orders').upsert(row, { onConflict: 'legacy_id', ignoreDuplicates: true }).select();
+    if(error) throw dbError(error, 'Failed to import order');
+    if(!data || data.length === 0) return json(200, { message: 'Order was already imported', order: null });
+    return json(200, { message: 'Order imported', order: toClientOrder(data[0]) });
+  }
+
+  if(!customer.addressParts) throw new HttpError(422, 'Invalid customer details', { address: 'Address line, city, state and PIN code are required' });
+  const requested = validateItems(body.items);
+  // Ids that aren't numbers (a stale cart, say) are reported missing below.
+  const ids = requested.map(l => l.productId).filter(id => PRODUCT_ID_RE.test(id));
+  const { data: products, error: productError } = ids.length
+    ? await db.from('products').select('*').in('id', ids)
+    : { data: [], error: null };
+  if(productError) throw dbError(productError, 'Failed to look up products');
+  const byId = new Map((products || []).map(p => [String(p.id), p]));
+  const missing = requested.filter(l => !byId.has(l.productId) || !findOption(byId.get(l.productId), l.variantId)).map(l => l.productId);
+  if(missing.length) throw new HttpError(404, 'Some products are no longer available', { missing });
+  // Stock is per product, shared by its variants.
+  const qtyByProduct = new Map();
+  requested.forEach(l => qtyByProduct.set(l.productId, (qtyByProduct.get(l.productId) || 0) + l.qty));
+  const soldOut = [...qtyByProduct].filter(([id, qty]) => qty > maxOrderable(byId.get(id))).map(([id]) => id);
+  if(soldOut.length) throw new HttpError(409, 'Some items are sold out or not available in that quantity', { soldOut });
+
+  const { data: settings, error: settingsError } = await db.from('app_settings').select('config').eq('id', 1).maybeSingle();
+  if(settingsError) throw dbError(settingsError, 'Failed to load settings');
+  const lines = requested.map(l => {
+    const product = byId.get(l.productId);
+    return { product: withOption(product, findOption(product, l.variantId)), qty: l.qty };
+  });
+  row.shipping = quoteShipping(lines, customer.addressParts.pin, shippingConfigOf(settings?.config));
+  if(!row.shipping) throw new HttpError(422, 'We don’t ship to this PIN code yet', { 'address.pin': 'Not in any shipping zone' });
+
+  row.items = requested.map(l => {
+    const product = byId.get(l.productId);
+    const option = findOption(product, l.variantId);
+    const variant = hasVariants(product) ? { id: option.id, label: optionLabel(option) } : null;
+    const item = lineItem(l.productId, l.qty, snapshotOf(withOption(product, option), variant), l.variantId);
+    return stockOf(product).madeToOrder ? item : { ...item, reserved: l.qty };
+  });
+  row.total = itemsTotal(row.items) + row.shipping.amount;
+  row.history = [historyEntry('pending', caller && !admin ? caller : null)];
+
+  // reserve_stock() fails as a whole if another order got there first.
+  const reserved = reservedLines(row.items);
+  if(reserved.length && !admin){
+    const open = await unpaidOrderCount(db, customer);
+    if(open >= MAX_UNPAID_ORDERS){
+      throw new HttpError(429, 'You already have unpaid orders waiting; please pay for or cancel one of them first');
+    }
+  }
+  if(reserved.length){
+    const { error: stockError } = await db.rpc('reserve_stock', { p_lines: reserved });
+    if(stockError?.code === 'P0001'){
+      const id = /out of stock: (\S+)/.exec(stockError.message || '')?.[1];
+      throw new HttpError(409, 'Some items just sold out', { soldOut: id ? [id] : [] });
+    }
+    if(stockError) throw dbError(stockError, 'Failed to reserve stock');
+  }
+
+  const { data, error } = await db.from('orders').insert(row).select().single();
+  if(error){
+    if(reserved.length){
+      const { error: releaseError } = await db.rpc('release_stock', { p_lines: reserved });
+      if(releaseError) console.error('createOrder: could not release stock', reserved, releaseError);
+    }
+    throw dbError(error, 'Failed to place order');
+  }
+
+  const order = toClientOrder(data);
+  await notifyOrder(db, 'placed', order, settings?.config || {});
+  return json(201, { message: 'Order placed', order });
+});
@@ -0,0 +1,62 @@
+// POST /.netlify/functions/createPayment — start paying for an order.
+// Body: { orderId, kind: 'full' | 'deposit' }. 'full' pays whatever is still
+// due; 'deposit' is only offered as the first payment and is the shop's
+// depositPercent of the total. As with listOrders, knowing the order id is the
+// proof of having placed it. Returns the provider's `checkout` parameters.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { isUuid } from './_lib/orders.js';
+import { getPaymentProvider } from './_lib/payments/index.js';
+import { depositPercentOf, depositAmount, balanceDue } from '../paymentTerms.js';
+
+const KINDS = ['full', 'deposit'];
+
+export const handler = withHandler(['POST'], async (event) => {
+  const body = parseJson(event);
+  if(!isUuid(body.orderId)) throw new HttpError(422, 'Order id is required');
+  const kind = KINDS.includes(body.kind) ? body.kind : 'full';
+  const db = getAdminClient();
+
+  const { data: order, error: readError } = await db.from('orders').select('id, status, total, amount_paid, payments, updated_at').eq('id', body.orderId).maybeSingle();
+  if(readError) throw dbError(readError, 'Failed to load order');
+  if(!order) throw new HttpError(404, 'Order not found');
+  if(order.status === 'cancelled') throw new HttpError(409, 'This order was cancelled');
+
+  const total = Number(order.total) || 0;
+  const paid = Number(order.amount_paid) || 0;
+  const due = balanceDue(total, paid);
+  if(due <= 0) throw new HttpError(409, 'This order is already paid in full');
+
+  let amount = due;
+  if(kind === 'deposit'){
+    if(paid > 0) throw new HttpError(409, 'The deposit for this order has already been paid');
+    const { data: settings, error: settingsError } = await db.from('app_settings').select('config').eq('id', 1).maybeSingle();
+    if(settingsError) throw dbError(settingsError, 'Failed to load settings');
+    const percent = depositPercentOf(settings?.config);
+    if(!percent) throw new HttpError(409, 'Deposits are not accepted at the moment');
+    amount = depositAmount(total, percent);
+  }
+
+  const provider = getPaymentProvider();
+  const { providerOrderId, checkout } = await provider.createPayment({
+    amount,
+    currency: 'INR',
+    receipt: order.id,
+    notes: { orderId: order.id, kind }
+  });
+
+  const payments = [...(order.payments || []), {
+    provider: provider.name, providerOrderId, kind, amount, status: 'created', createdAt: new Date().toISOString()
+  }];
+  // Guard on updated_at so a concurrent attempt isn't dropped from the list.
+  const { data, error } = await db
+    .from('orders')
+    .update({ payments, updated_at: new Date().toISOString() })
+    .eq('id', order.id)
+    .eq('updated_at', order.updated_at)
+    .select('id');
+  if(error) throw dbError(error, 'Failed to record payment');
+  if(!data || data.length === 0) throw new HttpError(409, 'Order was changed meanwhile; please try again');
+
+  return json(201, { payment: { kind, amount, checkout } });
+});
@@ -0,0 +1,17 @@
+// POST /.netlify/functions/deleteProduct — remove a product (owners only).
+// Orders keep their own productSnapshot, so history is unaffected.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { requireId } from './_lib/products.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  await requireAdmin(event, { roles: ['owner'] });
+  const id = requireId(parseJson(event));
+
+  const { data, error } = await getAdminClient().from('products').delete().eq('id', id).select('id');
+  if(error) throw dbError(error, 'Failed to delete product');
+  if(!data || data.length === 0) throw new HttpError(404, 'Product not found');
+
+  return json(200, { message: 'Product deleted', id });
+});
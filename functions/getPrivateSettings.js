@@ -0,0 +1,11 @@
+// GET /.netlify/functions/getPrivateSettings — the settings kept out of the public appConfig (owners only).
+import { withHandler, json } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient } from './_lib/supabaseAdmin.js';
+import { loadPrivateSettings } from './_lib/settings.js';
+
+export const handler = withHandler(['GET'], async (event) => {
+  await requireAdmin(event, { roles: ['owner'] });
+  const privateSettings = await loadPrivateSettings(getAdminClient());
+  return json(200, { privateSettings });
+});
@@ -0,0 +1,84 @@
+// POST /.netlify/functions/importProducts — create or update many products at once (admins only).
+// Body: { products: [{ id?, ...fields }], dryRun? }, fields as for addProduct.
+// A row with an `id`, or whose name matches an existing product (ignoring
+// case), updates that product with just the fields given; any other row
+// creates one and needs every required field. Nothing is written unless every
+// row is valid, nothing at all on a dry run, and the rows are saved in one
+// transaction (import_products(), migration 0022), all or none. New rows with
+// no stock and no made-to-order flag are made to order, as migration 0012 did
+// for uncounted products. An update's stock is only written when it differs
+// from the catalog's, and only over the count read here, so pieces orders
+// reserve meanwhile aren't put back on sale. Rows are numbered from 1.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { validateProduct } from './_lib/products.js';
+
+const MAX_ROWS = 500;
+const nameKey = (v) => String(v ?? '').trim().toLowerCase();
+
+export const handler = withHandler(['POST'], async (event) => {
+  await requireAdmin(event);
+  const body = parseJson(event);
+  const rows = Array.isArray(body.products) ? body.products : [];
+  if(!rows.length) throw new HttpError(422, 'No products to import');
+  if(rows.length > MAX_ROWS) throw new HttpError(422, `At most ${MAX_ROWS} products per import`);
+  const db = getAdminClient();
+
+  const { data: existing, error: readError } = await db.from('products').select('id, name, stock');
+  if(readError) throw dbError(readError, 'Failed to load products');
+  const byId = new Map(existing.map(p => [String(p.id), p]));
+  const byName = new Map(existing.map(p => [nameKey(p.name), p]));
+
+  const creates = [];
+  const updates = [];
+  const errors = [];
+  const seen = new Map(); // product id or new name -> first row using it
+  rows.forEach((input, i) => {
+    const row = i + 1;
+    const { id: rawId, ...fields } = input && typeof input === 'object' ? input : {};
+    const id = rawId != null && String(rawId).trim() ? String(rawId).trim() : '';
+    const target = id ? byId.get(id) : byName.get(nameKey(fields.name));
+    if(id && !target){ errors.push({ row, errors: { id: 'No product with this id' } }); return; }
+    const key = target ? `id:${target.id}` : `name:${nameKey(fields.name)}`;
+    if(seen.has(key)){ errors.push({ row, errors: { name: `Same product as row ${seen.get(key)}` } }); return; }
+    seen.set(key, row);
+    try{
+      const product = validateProduct(fields, { partial: !!target });
+      if(target){
+        if(product.stock === target.stock) delete product.stock;
+        updates.push({ row, id: String(target.id), name: product.name || target.name, product, expectedStock: target.stock });
+      }
+      else {
+        if(!product.stock && product.made_to_order === undefined) product.made_to_order = true;
+        creates.push({ row, name: product.name, product });
+      }
+    } catch(err){
+      if(!(err instanceof HttpError)) throw err;
+      errors.push({ row, errors: err.details || { row: err.message } });
+    }
+  });
+
+  const report = {
+    creates: creates.map(({ row, name, product }) => ({ row, name, madeToOrder: !!product.made_to_order })),
+    updates: updates.map(({ row, id, name }) => ({ row, id, name })),
+    errors
+  };
+  if(body.dryRun) return json(200, { message: 'Dry run: nothing was saved', dryRun: true, ...report });
+  if(errors.length) throw new HttpError(422, `${errors.length} row(s) need fixing before importing`, report);
+
+  const { error } = await db.rpc('import_products', {
+    p_creates: creates.map(c => c.product),
+    p_updates: updates.map(({ row, id, product, expectedStock }) => ({ row, id, product, ...('stock' in product ? { expectedStock } : {}) }))
+  });
+  if(error?.code === 'P0001'){
+    const row = Number(/changed meanwhile: (\d+)/.exec(error.message || '')?.[1]) || null;
+    throw new HttpError(409, `Row ${row} changed while importing (an order took stock, or it was deleted); nothing was saved`, {
+      ...report,
+      errors: [{ row, errors: { row: 'Changed while importing; check it and import again' } }]
+    });
+  }
+  if(error) throw dbError(error, 'Failed to import products; nothing was saved');
+
+  return json(200, { message: `Imported ${creates.length} new and ${updates.length} updated product(s)`, dryRun: false, ...report });
+});
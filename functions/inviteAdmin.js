@@ -0,0 +1,33 @@
+// POST /.netlify/functions/inviteAdmin — add a named admin (owners only).
+// Body: { email, name, role }. New addresses get a Supabase invite email;
+// existing users are simply granted the role.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { listAllUsers, toAdminRecord, validateRole, setRole } from './_lib/admins.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  await requireAdmin(event, { roles: ['owner'] });
+  const body = parseJson(event);
+  const email = String(body.email || '').trim().toLowerCase();
+  const name = String(body.name || '').trim().slice(0, 200);
+  if(!/.+@.+\..+/.test(email)) throw new HttpError(422, 'A valid email is required');
+  if(!name) throw new HttpError(422, 'Name is required');
+  const role = validateRole(body.role);
+  const db = getAdminClient();
+
+  let user = (await listAllUsers(db)).find(u => (u.email || '').toLowerCase() === email);
+  if(!user){
+    const redirectTo = event.headers?.origin ? `${event.headers.origin}/admin.html` : undefined;
+    const { data, error } = await db.auth.admin.inviteUserByEmail(email, { data: { name }, redirectTo });
+    if(error) throw dbError(error, 'Failed to send invite');
+    user = data.user;
+  } else if(!user.user_metadata?.name){
+    const { data, error } = await db.auth.admin.updateUserById(user.id, { user_metadata: { ...user.user_metadata, name } });
+    if(error) throw dbError(error, 'Failed to update admin');
+    user = data.user;
+  }
+
+  const updated = await setRole(db, user, role);
+  return json(200, { message: `${name} added as ${role}`, admin: toAdminRecord(updated) });
+});
@@ -0,0 +1,40 @@
+// POST /.netlify/functions/issueInvoice — give an order its GST tax invoice number (admins only).
+// Body: { id }. Numbering and storage happen in the issue_invoice() SQL
+// function; issuing twice returns the invoice already on the order. The
+// seller details and tax settings in force today are frozen on the invoice.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { toClientOrder, isUuid } from './_lib/orders.js';
+import { DEFAULT_GST_RATE, DEFAULT_HSN } from '../invoiceTerms.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  await requireAdmin(event);
+  const body = parseJson(event);
+  if(!isUuid(body.id)) throw new HttpError(422, 'Order id is required');
+  const db = getAdminClient();
+
+  const { data: order, error: readError } = await db.from('orders').select('status, invoice').eq('id', body.id).maybeSingle();
+  if(readError) throw dbError(readError, 'Failed to load order');
+  if(!order) throw new HttpError(404, 'Order not found');
+  if(!order.invoice && order.status === 'cancelled') throw new HttpError(409, 'Cancelled orders cannot be invoiced');
+
+  const { data: settings, error: settingsError } = await db.from('app_settings').select('config').eq('id', 1).maybeSingle();
+  if(settingsError) throw dbError(settingsError, 'Failed to load settings');
+  const cfg = settings?.config || {};
+  if(!order.invoice && (!cfg.businessName || !cfg.gstin)){
+    throw new HttpError(409, 'Set the business name and GSTIN in Settings before issuing invoices');
+  }
+
+  const details = {
+    seller: { name: cfg.businessName, gstin: cfg.gstin, address: cfg.businessAddress || '' },
+    gstRate: cfg.gstRate ?? DEFAULT_GST_RATE,
+    hsn: cfg.defaultHsn || DEFAULT_HSN
+  };
+  const { error } = await db.rpc('issue_invoice', { p_order_id: body.id, p_prefix: cfg.invoicePrefix || 'INV', p_details: details });
+  if(error) throw dbError(error, 'Failed to issue invoice');
+
+  const { data, error: reloadError } = await db.from('orders').select('*').eq('id', body.id).single();
+  if(reloadError) throw dbError(reloadError, 'Failed to load order');
+  return json(200, { message: `Invoice ${data.invoice.number} issued`, order: toClientOrder(data) });
+});
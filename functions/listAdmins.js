@@ -0,0 +1,12 @@
+// GET /.netlify/functions/listAdmins — the shop's named admins and their roles (owners only).
+import { withHandler, json } from './_lib/http.js';
+import { requireAdmin, adminRole } from './_lib/auth.js';
+import { getAdminClient } from './_lib/supabaseAdmin.js';
+import { listAllUsers, toAdminRecord } from './_lib/admins.js';
+
+export const handler = withHandler(['GET'], async (event) => {
+  await requireAdmin(event, { roles: ['owner'] });
+  const users = await listAllUsers(getAdminClient());
+  const admins = users.filter(adminRole).map(toAdminRecord).sort((a, b) => a.email.localeCompare(b.email));
+  return json(200, { admins });
+});
@@ -0,0 +1,31 @@
+// GET /.netlify/functions/listCommissions
+// Same visibility rules as listOrders: admins see the whole queue, customers
+// their own requests, and anyone the requests named in `?ids=`.
+import { withHandler, json, HttpError } from './_lib/http.js';
+import { getCaller, isAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { isUuid } from './_lib/orders.js';
+import { toClientCommission } from './_lib/commissions.js';
+
+const MAX_IDS = 200;
+
+export const handler = withHandler(['GET'], async (event) => {
+  const caller = await getCaller(event);
+  const params = event.queryStringParameters || {};
+  let query = getAdminClient().from('commissions').select('*').order('created_at', { ascending: false });
+
+  if(!isAdmin(caller)){
+    const ids = String(params.ids || '').split(',').map(s => s.trim()).filter(isUuid);
+    if(ids.length > MAX_IDS) throw new HttpError(422, `At most ${MAX_IDS} ids per request`);
+    if(caller){
+      query = ids.length ? query.or(`user_id.eq.${caller.id},id.in.(${ids.join(',')})`) : query.eq('user_id', caller.id);
+    } else {
+      if(ids.length === 0) return json(200, { commissions: [] });
+      query = query.in('id', ids);
+    }
+  }
+
+  const { data, error } = await query;
+  if(error) throw dbError(error, 'Failed to load commission requests');
+  return json(200, { commissions: (data || []).map(toClientCommission) });
+});
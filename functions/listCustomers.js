@@ -0,0 +1,17 @@
+// GET /.netlify/functions/listCustomers — registered customer profiles (admins only).
+import { withHandler, json } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+
+export const handler = withHandler(['GET'], async (event) => {
+  await requireAdmin(event);
+  const { data, error } = await getAdminClient()
+    .from('profiles')
+    .select('id, name, email, phone, address, created_at')
+    .order('created_at', { ascending: false });
+  if(error) throw dbError(error, 'Failed to load customers');
+
+  return json(200, {
+    customers: (data || []).map(p => ({ id: p.id, name: p.name, email: p.email, phone: p.phone, address: p.address, createdAt: Date.parse(p.created_at) }))
+  });
+});
@@ -0,0 +1,49 @@
+// GET /.netlify/functions/listNotifications — the notification delivery log (admins only).
+// Newest first, at most 200 entries. Optional filters: `?orderId=<uuid>`,
+// `?status=sent|failed|skipped` and `?channel=email|whatsapp`.
+import { withHandler, json, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { isUuid } from './_lib/orders.js';
+import { NOTIFY_CHANNELS } from '../notifications.js';
+
+const LIMIT = 200;
+const STATUSES = ['sent', 'failed', 'skipped'];
+
+export const handler = withHandler(['GET'], async (event) => {
+  await requireAdmin(event);
+  const params = event.queryStringParameters || {};
+  let query = getAdminClient().from('notification_log').select('*').order('created_at', { ascending: false }).limit(LIMIT);
+  if(params.orderId){
+    if(!isUuid(params.orderId)) throw new HttpError(422, 'Invalid order id');
+    query = query.eq('order_id', params.orderId);
+  }
+  if(params.status){
+    if(!STATUSES.includes(params.status)) throw new HttpError(422, 'Invalid status');
+    query = query.eq('status', params.status);
+  }
+  if(params.channel){
+    if(!NOTIFY_CHANNELS.includes(params.channel)) throw new HttpError(422, 'Invalid channel');
+    query = query.eq('channel', params.channel);
+  }
+
+  const { data, error } = await query;
+  if(error) throw dbError(error, 'Failed to load notifications');
+  return json(200, {
+    notifications: (data || []).map(n => ({
+      id: n.id,
+      orderId: n.order_id,
+      event: n.event,
+      audience: n.audience,
+      channel: n.channel,
+      recipient: n.recipient,
+      subject: n.subject,
+      body: n.body,
+      status: n.status,
+      provider: n.provider,
+      providerMessageId: n.provider_message_id,
+      error: n.error,
+      createdAt: Date.parse(n.created_at)
+    }))
+  });
+});
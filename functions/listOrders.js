@@ -0,0 +1,32 @@
+// GET /.netlify/functions/listOrders
+// Admins get every order. Signed-in customers get the orders on their account.
+// Guests (and customers, for orders not yet claimed) name the orders they want
+// with `?ids=<uuid>,<uuid>`; order ids are random UUIDs handed out by
+// createOrder, so knowing one is the proof of having placed it.
+import { withHandler, json, HttpError } from './_lib/http.js';
+import { getCaller, isAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { toClientOrder, isUuid } from './_lib/orders.js';
+
+const MAX_IDS = 200;
+
+export const handler = withHandler(['GET'], async (event) => {
+  const caller = await getCaller(event);
+  const params = event.queryStringParameters || {};
+  let query = getAdminClient().from('orders').select('*').order('created_at', { ascending: false });
+
+  if(!isAdmin(caller)){
+    const ids = String(params.ids || '').split(',').map(s => s.trim()).filter(isUuid);
+    if(ids.length > MAX_IDS) throw new HttpError(422, `At most ${MAX_IDS} ids per request`);
+    if(caller){
+      query = ids.length ? query.or(`user_id.eq.${caller.id},id.in.(${ids.join(',')})`) : query.eq('user_id', caller.id);
+    } else {
+      if(ids.length === 0) return json(200, { orders: [] });
+      query = query.in('id', ids);
+    }
+  }
+
+  const { data, error } = await query;
+  if(error) throw dbError(error, 'Failed to load orders');
+  return json(200, { orders: (data || []).map(toClientOrder) });
+});
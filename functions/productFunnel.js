@@ -0,0 +1,26 @@
+// GET /.netlify/functions/productFunnel — storefront clicks per product (admins only).
+// Optional `?from=<ISO date>&to=<ISO date>` bound the range (to is exclusive).
+// Returns { counts: [{ productId, whatsapp, order }] }.
+import { withHandler, json, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+
+function dateParam(v, name){
+  if(!v) return null;
+  const ts = Date.parse(v);
+  if(Number.isNaN(ts)) throw new HttpError(422, `Invalid ${name} date`);
+  return new Date(ts).toISOString();
+}
+
+export const handler = withHandler(['GET'], async (event) => {
+  await requireAdmin(event);
+  const params = event.queryStringParameters || {};
+  const { data, error } = await getAdminClient().rpc('product_event_counts', {
+    p_from: dateParam(params.from, 'from'),
+    p_to: dateParam(params.to, 'to')
+  });
+  if(error) throw dbError(error, 'Failed to load product clicks');
+  return json(200, {
+    counts: (data || []).map(r => ({ productId: String(r.product_id), whatsapp: Number(r.whatsapp) || 0, order: Number(r.order_clicks) || 0 }))
+  });
+});
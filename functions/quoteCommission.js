@@ -0,0 +1,38 @@
+// POST /.netlify/functions/quoteCommission — reply to a commission request (admins only).
+// Body: { id, price, leadTime?, message? } sends (or revises) a quote;
+// { id, decline: true, message? } turns the request down.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { isUuid, actorOf } from './_lib/orders.js';
+import { toClientCommission, validateQuote } from './_lib/commissions.js';
+
+const OPEN = ['new', 'quoted'];
+
+export const handler = withHandler(['POST'], async (event) => {
+  const user = await requireAdmin(event);
+  const body = parseJson(event);
+  if(!isUuid(body.id)) throw new HttpError(422, 'Commission id is required');
+  const db = getAdminClient();
+
+  const { data: current, error: readError } = await db.from('commissions').select('status').eq('id', body.id).maybeSingle();
+  if(readError) throw dbError(readError, 'Failed to load commission request');
+  if(!current) throw new HttpError(404, 'Commission request not found');
+  if(!OPEN.includes(current.status)) throw new HttpError(409, `This request is already ${current.status}`);
+
+  const at = new Date().toISOString();
+  const changes = body.decline
+    ? { status: 'declined', quote: { message: typeof body.message === 'string' ? body.message.trim().slice(0, 2000) : '', by: actorOf(user), at } }
+    : { status: 'quoted', quote: { ...validateQuote(body), by: actorOf(user), at } };
+
+  const { data, error } = await db
+    .from('commissions')
+    .update({ ...changes, updated_at: at })
+    .eq('id', body.id)
+    .in('status', OPEN)
+    .select();
+  if(error) throw dbError(error, 'Failed to update commission request');
+  if(!data || data.length === 0) throw new HttpError(409, 'Request was changed by someone else; reload and try again');
+
+  return json(200, { message: body.decline ? 'Request declined' : 'Quote sent', commission: toClientCommission(data[0]) });
+});
@@ -0,0 +1,57 @@
+// Scheduled (hourly, see netlify.toml): cancels orders that still hold stock
+// RESERVATION_HOURS after being placed with nothing paid and no confirmation,
+// and puts that stock back. Without it, unpaid orders from anyone could keep
+// the in-stock catalog "Sold out" indefinitely. Orders arranged offline should
+// be confirmed by an admin before then.
+import { getAdminClient } from './_lib/supabaseAdmin.js';
+import { toClientOrder, historyEntry, reservedLines, RESERVATION_HOURS } from './_lib/orders.js';
+import { notifyOrder } from './_lib/notifications/index.js';
+
+const BATCH = 100;
+
+// Made-to-order orders match the query too but hold no stock; they are left
+// alone and paged past, so however many pile up they can't starve the rest.
+export const handler = async () => {
+  const db = getAdminClient();
+  const cutoff = new Date(Date.now() - RESERVATION_HOURS * 60 * 60 * 1000).toISOString();
+  let released = 0;
+  let kept = 0; // rows left in the result set, which the next page starts after
+  for(;;){
+    const { data: orders, error } = await db
+      .from('orders')
+      .select('*')
+      .eq('status', 'pending')
+      .eq('payment_status', 'unpaid')
+      .lt('created_at', cutoff)
+      .order('created_at')
+      .order('id')
+      .range(kept, kept + BATCH - 1);
+    if(error){
+      console.error('releaseReservations: could not load orders', error);
+      return { statusCode: 500 };
+    }
+
+    for(const order of orders || []){
+      const reserved = reservedLines(order.items);
+      if(!reserved.length){ kept++; continue; }
+      const history = [...(order.history || []), historyEntry('cancelled', null, `Unpaid after ${RESERVATION_HOURS} hours; reserved stock released`)];
+      // Guarded like updateOrderStatus: a payment or status change in between wins.
+      const { data, error: updateError } = await db
+        .from('orders')
+        .update({ status: 'cancelled', history, updated_at: new Date().toISOString() })
+        .eq('id', order.id)
+        .eq('status', 'pending')
+        .eq('payment_status', 'unpaid')
+        .select();
+      if(updateError){ console.error('releaseReservations: could not cancel order', order.id, updateError); kept++; continue; }
+      if(!data || data.length === 0) continue;
+      const { error: stockError } = await db.rpc('release_stock', { p_lines: reserved });
+      if(stockError) console.error('releaseReservations: could not release stock for order', order.id, stockError);
+      await notifyOrder(db, 'cancelled', toClientOrder(data[0]));
+      released++;
+    }
+    if(!orders || orders.length < BATCH) break;
+  }
+  console.log(`releaseReservations: cancelled ${released} unpaid order(s)`);
+  return { statusCode: 200 };
+};
@@ -0,0 +1,21 @@
+// POST /.netlify/functions/setAdminRole — change or revoke an admin's role (owners only).
+// Body: { userId, role } where role is 'owner', 'staff' or null to revoke access.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { toAdminRecord, validateRole, setRole } from './_lib/admins.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  await requireAdmin(event, { roles: ['owner'] });
+  const body = parseJson(event);
+  const role = validateRole(body.role ?? null, { allowNone: true });
+  if(!body.userId) throw new HttpError(422, 'userId is required');
+  const db = getAdminClient();
+
+  const { data, error } = await db.auth.admin.getUserById(String(body.userId));
+  if(error && error.status !== 404) throw dbError(error, 'Failed to load admin');
+  if(!data?.user) throw new HttpError(404, 'User not found');
+
+  const updated = await setRole(db, data.user, role);
+  return json(200, { message: role ? 'Role updated' : 'Admin access removed', admin: toAdminRecord(updated) });
+});
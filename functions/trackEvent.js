@@ -0,0 +1,43 @@
+// POST /.netlify/functions/trackEvent — record a storefront click (public).
+// Body: { productId, kind } with kind 'whatsapp' (the WhatsApp button) or
+// 'order' (Add to Cart). Sent with navigator.sendBeacon, so the response is
+// never read. A visitor's repeat clicks on the same product and button within
+// DEDUPE_MINUTES count once, so reloads and scripts can't pad the funnel.
+import crypto from 'node:crypto';
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { PRODUCT_ID_RE } from './_lib/orders.js';
+import { FUNNEL_EVENTS } from '../analytics.js';
+
+const DEDUPE_MINUTES = 30;
+
+// Keyed and salted with the day, so the stored hash can't be turned back into an IP.
+function visitorOf(event){
+  const headers = event.headers || {};
+  const ip = headers['x-nf-client-connection-ip'] || String(headers['x-forwarded-for'] || '').split(',')[0].trim();
+  const day = new Date().toISOString().slice(0, 10);
+  return crypto.createHmac('sha256', process.env.SUPABASE_SERVICE_ROLE_KEY || '')
+    .update(`${day}|${ip}|${headers['user-agent'] || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+export const handler = withHandler(['POST'], async (event) => {
+  const body = parseJson(event);
+  const productId = String(body.productId ?? '');
+  if(!PRODUCT_ID_RE.test(productId)) throw new HttpError(422, 'Invalid product id');
+  if(!FUNNEL_EVENTS.includes(body.kind)) throw new HttpError(422, 'Invalid event');
+
+  const db = getAdminClient();
+  const visitor = visitorOf(event);
+  const since = new Date(Date.now() - DEDUPE_MINUTES * 60 * 1000).toISOString();
+  const { count, error: readError } = await db.from('product_events').select('id', { count: 'exact', head: true })
+    .eq('visitor', visitor).eq('product_id', productId).eq('kind', body.kind).gte('created_at', since);
+  if(readError) throw dbError(readError, 'Failed to record event');
+  if(count) return json(200, { message: 'Already recorded' });
+
+  const { error } = await db.from('product_events').insert({ product_id: productId, kind: body.kind, visitor });
+  if(error?.code === '23503') throw new HttpError(404, 'Product not found');
+  if(error) throw dbError(error, 'Failed to record event');
+  return json(200, { message: 'Recorded' });
+});
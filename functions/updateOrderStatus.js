@@ -0,0 +1,51 @@
+// POST /.netlify/functions/updateOrderStatus — move an order along its lifecycle (admins only).
+// Body: { id, status, note?, shipment? }. Only transitions allowed by orderStatus.js are
+// accepted; each one is timestamped and attributed in the order's history.
+// Shipping needs `shipment: { courier, awb, trackingUrl? }` for the customer's
+// tracking link. Cancelling puts the stock reserved by the order back. Each
+// change is sent to the customer as the status's notification.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { toClientOrder, validateStatus, validateShipment, isUuid, historyEntry, reservedLines } from './_lib/orders.js';
+import { canTransition, STATUS_LABELS } from '../orderStatus.js';
+import { notifyOrder } from './_lib/notifications/index.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  const user = await requireAdmin(event);
+  const body = parseJson(event);
+  if(!isUuid(body.id)) throw new HttpError(422, 'Order id is required');
+  const status = validateStatus(body.status);
+  const note = typeof body.note === 'string' ? body.note.trim().slice(0, 500) : '';
+  const shipment = status === 'shipped' ? validateShipment(body.shipment) : null;
+  const db = getAdminClient();
+
+  const { data: order, error: readError } = await db.from('orders').select('status, history').eq('id', body.id).maybeSingle();
+  if(readError) throw dbError(readError, 'Failed to load order');
+  if(!order) throw new HttpError(404, 'Order not found');
+  if(!canTransition(order.status, status)){
+    throw new HttpError(409, `Cannot change a ${STATUS_LABELS[order.status] || order.status} order to ${STATUS_LABELS[status]}`);
+  }
+
+  const history = [...(order.history || []), historyEntry(status, user, note)];
+  // Guard on the status we read so two admins can't both apply a transition from it.
+  const { data, error } = await db
+    .from('orders')
+    .update({ status, history, ...(shipment ? { shipment } : {}), updated_at: new Date().toISOString() })
+    .eq('id', body.id)
+    .eq('status', order.status)
+    .select();
+  if(error) throw dbError(error, 'Failed to update order');
+  if(!data || data.length === 0) throw new HttpError(409, 'Order was changed by someone else; reload and try again');
+
+  // The status guard above means only one request gets here per cancellation.
+  const reserved = status === 'cancelled' ? reservedLines(data[0].items) : [];
+  if(reserved.length){
+    const { error: stockError } = await db.rpc('release_stock', { p_lines: reserved });
+    if(stockError) console.error('updateOrderStatus: could not release stock for order', body.id, stockError);
+  }
+
+  const updated = toClientOrder(data[0]);
+  await notifyOrder(db, status, updated);
+  return json(200, { message: `Order marked ${STATUS_LABELS[status]}`, order: updated });
+});
@@ -0,0 +1,33 @@
+// POST /.netlify/functions/updateProduct — patch an existing product (admins only).
+// `stock` is an absolute count that orders take from meanwhile (reserve_stock),
+// so it comes with `expectedStock`, the count the admin changed, and is only
+// written if that is still the count.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { validateProduct, requireId } from './_lib/products.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  await requireAdmin(event);
+  const body = parseJson(event);
+  const id = requireId(body);
+  const { id: _ignored, expectedStock, ...fields } = body;
+  const updates = validateProduct(fields, { partial: true });
+  const db = getAdminClient();
+
+  let query = db.from('products').update(updates).eq('id', id);
+  if('stock' in updates && expectedStock != null){
+    if(!Number.isInteger(expectedStock)) throw new HttpError(422, 'Invalid product', { expectedStock: 'Must be a whole number' });
+    query = query.eq('stock', expectedStock);
+  }
+  const { data, error } = await query.select();
+  if(error) throw dbError(error, 'Failed to update product');
+  if(!data || data.length === 0){
+    const { data: exists, error: readError } = await db.from('products').select('id').eq('id', id).maybeSingle();
+    if(readError) throw dbError(readError, 'Failed to update product');
+    if(!exists) throw new HttpError(404, 'Product not found');
+    throw new HttpError(409, 'Stock changed since you opened this product (an order came in); reload and try again');
+  }
+
+  return json(200, { message: 'Product updated', product: data[0] });
+});
@@ -0,0 +1,31 @@
+// POST /.netlify/functions/updateSettings — merge changes into the shop settings (owners only).
+// Public settings go to app_settings, PRIVATE_SETTINGS to private_settings.
+import { withHandler, json, parseJson } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { validateSettings, loadPrivateSettings, PRIVATE_SETTINGS } from './_lib/settings.js';
+
+export const handler = withHandler(['POST'], async (event) => {
+  const user = await requireAdmin(event, { roles: ['owner'] });
+  const changes = validateSettings(parseJson(event));
+  const db = getAdminClient();
+  const isPrivate = ([key]) => PRIVATE_SETTINGS.includes(key);
+  const publicChanges = Object.fromEntries(Object.entries(changes).filter(entry => !isPrivate(entry)));
+  const privateChanges = Object.fromEntries(Object.entries(changes).filter(isPrivate));
+  const stamp = { updated_at: new Date().toISOString(), updated_by: user.id };
+
+  const { data: current, error: readError } = await db.from('app_settings').select('config').eq('id', 1).maybeSingle();
+  if(readError) throw dbError(readError, 'Failed to load settings');
+  const config = { ...(current?.config || {}), ...publicChanges };
+  const { error } = await db.from('app_settings').upsert({ id: 1, config, ...stamp });
+  if(error) throw dbError(error, 'Failed to save settings');
+
+  let privateSettings = await loadPrivateSettings(db);
+  if(Object.keys(privateChanges).length){
+    privateSettings = { ...privateSettings, ...privateChanges };
+    const { error: privateError } = await db.from('private_settings').upsert({ id: 1, config: privateSettings, ...stamp });
+    if(privateError) throw dbError(privateError, 'Failed to save settings');
+  }
+
+  return json(200, { message: 'Settings saved', config, privateSettings });
+});
@@ -0,0 +1,43 @@
+// POST /.netlify/functions/uploadImage — store a resized image and its thumbnail (admins only).
+// Body: { folder: 'products' | 'branding', full, thumb }, both image data URLs
+// already resized in the browser (see images.js). Returns { url, thumbUrl };
+// the thumbnail sits next to the image as `<uuid>.thumb.<ext>`. Branding
+// (the logo) is owner-only, like the other settings.
+import crypto from 'node:crypto';
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { getImageStore } from './_lib/imageStore/index.js';
+
+const FOLDERS = ['products', 'branding'];
+const TYPES = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png' };
+const MAX_FULL = 1.5 * 1024 * 1024;
+const MAX_THUMB = 200 * 1024;
+
+function decode(dataUrl, max, field){
+  const m = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  if(!m || !TYPES[m[1]]) throw new HttpError(422, 'Invalid image', { [field]: 'Must be a WebP, JPEG or PNG data URL' });
+  const body = Buffer.from(m[2], 'base64');
+  if(body.length > max) throw new HttpError(422, 'Image is too large', { [field]: `At most ${Math.round(max / 1024)} KB after resizing` });
+  return { contentType: m[1], body };
+}
+
+export const handler = withHandler(['POST'], async (event) => {
+  const body = parseJson(event);
+  const folder = FOLDERS.includes(body.folder) ? body.folder : null;
+  if(!folder) throw new HttpError(422, `Folder must be one of: ${FOLDERS.join(', ')}`);
+  await requireAdmin(event, folder === 'branding' ? { roles: ['owner'] } : {});
+
+  const full = decode(body.full, MAX_FULL, 'full');
+  const thumb = decode(body.thumb, MAX_THUMB, 'thumb');
+  if(full.contentType !== thumb.contentType) throw new HttpError(422, 'Image and thumbnail must have the same type');
+
+  const store = getImageStore();
+  const name = `${folder}/${crypto.randomUUID()}`;
+  const ext = TYPES[full.contentType];
+  const [stored, storedThumb] = await Promise.all([
+    store.put({ path: `${name}.${ext}`, ...full }),
+    store.put({ path: `${name}.thumb.${ext}`, ...thumb })
+  ]);
+
+  return json(201, { message: 'Image uploaded', url: stored.url, thumbUrl: storedThumb.url });
+});
@@ -0,0 +1,75 @@
+// POST /.netlify/functions/verifyPayment — confirm a payment started with createPayment.
+// Body: { orderId, providerOrderId, response } where `response` is what the
+// provider's checkout widget returned. Only a verified payment moves the
+// order's amount paid and sends the `paid` notification; verifying the same
+// payment twice is a no-op. A payment that completes after the order was
+// cancelled (by an admin, or releaseReservations.js) isn't counted: it is
+// marked `refund_due`, the owner is told, and the buyer gets a 409.
+import { withHandler, json, parseJson, HttpError } from './_lib/http.js';
+import { getAdminClient, dbError } from './_lib/supabaseAdmin.js';
+import { toClientOrder, isUuid } from './_lib/orders.js';
+import { getPaymentProvider } from './_lib/payments/index.js';
+import { paymentStatusOf } from '../paymentTerms.js';
+import { notifyOrder } from './_lib/notifications/index.js';
+
+const ATTEMPTS = 3;
+const REFUND_MESSAGE = 'This order was cancelled before your payment went through; the shop will refund it';
+
+export const handler = withHandler(['POST'], async (event) => {
+  const body = parseJson(event);
+  if(!isUuid(body.orderId)) throw new HttpError(422, 'Order id is required');
+  const providerOrderId = String(body.providerOrderId || '');
+  const db = getAdminClient();
+  let verified = null;
+
+  // The order may change underneath us (status updates, other payments), so
+  // the write is guarded on updated_at and retried against a fresh read.
+  for(let i = 0; i < ATTEMPTS; i++){
+    const { data: order, error: readError } = await db.from('orders').select('*').eq('id', body.orderId).maybeSingle();
+    if(readError) throw dbError(readError, 'Failed to load order');
+    if(!order) throw new HttpError(404, 'Order not found');
+
+    const payments = order.payments || [];
+    const attempt = payments.find(p => p.providerOrderId === providerOrderId);
+    if(!attempt) throw new HttpError(404, 'Payment not found for this order');
+    if(attempt.status === 'captured') return json(200, { message: 'Payment already recorded', order: toClientOrder(order) });
+    if(attempt.status === 'refund_due') throw new HttpError(409, REFUND_MESSAGE);
+
+    verified = verified || await getPaymentProvider(attempt.provider).verifyPayment({ providerOrderId, response: body.response });
+
+    const now = new Date().toISOString();
+    if(order.status === 'cancelled'){
+      const flagged = payments.map(p => p === attempt ? { ...p, status: 'refund_due', paymentId: verified.paymentId, paidAt: now } : p);
+      const { data, error } = await db
+        .from('orders')
+        .update({ payments: flagged, updated_at: now })
+        .eq('id', order.id)
+        .eq('updated_at', order.updated_at)
+        .select();
+      if(error) throw dbError(error, 'Failed to record payment');
+      if(!data || !data.length) continue;
+      console.error('verifyPayment: payment', verified.paymentId, 'arrived for cancelled order', order.id);
+      await notifyOrder(db, 'refund', toClientOrder(data[0]));
+      throw new HttpError(409, REFUND_MESSAGE);
+    }
+
+    const total = Number(order.total) || 0;
+    const paid = Math.min(total, Math.round(((Number(order.amount_paid) || 0) + attempt.amount) * 100) / 100);
+    const updated = payments.map(p => p === attempt ? { ...p, status: 'captured', paymentId: verified.paymentId, paidAt: now } : p);
+    const { data, error } = await db
+      .from('orders')
+      .update({ payments: updated, amount_paid: paid, payment_status: paymentStatusOf(total, paid), updated_at: now })
+      .eq('id', order.id)
+      .eq('updated_at', order.updated_at)
+      .select();
+    if(error) throw dbError(error, 'Failed to record payment');
+    if(data && data.length){
+      const paidOrder = toClientOrder(data[0]);
+      await notifyOrder(db, 'paid', paidOrder);
+      return json(200, { message: 'Payment received', order: paidOrder });
+    }
+  }
+
+  console.error('verifyPayment: gave up recording', providerOrderId, 'for order', body.orderId);
+  throw new HttpError(409, 'Payment received but the order is busy; please reload shortly');
+});
@@ -0,0 +1,65 @@
+// images.js
+// Catalog images in object storage (see functions/uploadImage.js). Every upload
+// is stored twice: the full image and a small thumbnail beside it, named
+// `<uuid>.webp` and `<uuid>.thumb.webp`. Pages render `<img>` tags with both in
+// `srcset` so cards fetch the thumbnail, and lazy-load anything off screen.
+// URLs from elsewhere (pasted links, older data URLs) are used as they are.
+
+export const FULL_SIDE = 1600;
+export const THUMB_SIDE = 480;
+const STORED_RE = /\/[0-9a-f-]{36}\.(webp|jpe?g|png)$/i;
+
+// The thumbnail URL for an uploaded image, or null for any other URL.
+export function thumbOf(src){
+  const m = STORED_RE.exec(String(src || ''));
+  return m ? src.replace(/\.(webp|jpe?g|png)$/i, `.thumb.${m[1]}`) : null;
+}
+
+const escapeAttr = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// `src`, `srcset`/`sizes` and loading attributes for an <img>. `sizes` is how
+// wide the image is shown (CSS); `eager` is for the one image above the fold.
+export function imgAttrs(src, { alt = '', sizes = '100vw', eager = false, placeholder = '' } = {}){
+  const url = src || placeholder;
+  const thumb = thumbOf(url);
+  return [
+    `src="${escapeAttr(thumb && !eager ? thumb : url)}"`,
+    thumb ? `srcset="${escapeAttr(thumb)} ${THUMB_SIDE}w, ${escapeAttr(url)} ${FULL_SIDE}w" sizes="${escapeAttr(sizes)}"` : '',
+    `alt="${escapeAttr(alt)}"`,
+    eager ? 'fetchpriority="high"' : 'loading="lazy"',
+    'decoding="async"'
+  ].filter(Boolean).join(' ');
+}
+
+// Points an existing <img> at another image, keeping srcset in step.
+export function setImg(img, src, { sizes } = {}){
+  const thumb = thumbOf(src);
+  if(thumb){
+    img.srcset = `${thumb} ${THUMB_SIDE}w, ${src} ${FULL_SIDE}w`;
+    if(sizes) img.sizes = sizes;
+  } else {
+    img.removeAttribute('srcset');
+  }
+  img.src = src;
+}
+
+// ---- Client-side resize ------------------------------------------------------
+// Scales an image file down to fit `maxSide` and re-encodes it (WebP where the
+// browser can, JPEG otherwise), resolving with a data URL.
+export async function resizeImage(file, maxSide, quality = 0.82){
+  const bitmap = await createImageBitmap(file).catch(() => { throw new Error(`Could not read ${file.name || 'image'}`); });
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  const webp = canvas.toDataURL('image/webp', quality);
+  return webp.startsWith('data:image/webp') ? webp : canvas.toDataURL('image/jpeg', quality);
+}
+
+// The full-size image and its thumbnail, ready for uploadImage.
+export async function prepareUpload(file, { maxSide = FULL_SIDE } = {}){
+  const [full, thumb] = await Promise.all([resizeImage(file, maxSide), resizeImage(file, THUMB_SIDE, 0.75)]);
+  return { full, thumb };
+}
@@ -0,0 +1,33 @@
+// inventory.js
+// Stock status of a product, shared by the storefront, the admin and
+// createOrder. Accepts product rows (snake_case) and storefront products.
+
+export const LOW_STOCK_THRESHOLD = 2;
+
+export function stockOf(p){
+  return {
+    madeToOrder: !!(p.madeToOrder ?? p.made_to_order),
+    stock: Math.max(0, Math.floor(Number(p.stock) || 0)),
+    leadTimeDays: Number(p.leadTimeDays ?? p.lead_time_days) || null
+  };
+}
+
+// How many pieces one order may take: made-to-order products have no limit.
+export function maxOrderable(p){
+  const { madeToOrder, stock } = stockOf(p);
+  return madeToOrder ? Infinity : stock;
+}
+
+export const isSoldOut = (p) => maxOrderable(p) === 0;
+
+export function isLowStock(p){
+  const { madeToOrder, stock } = stockOf(p);
+  return !madeToOrder && stock <= LOW_STOCK_THRESHOLD;
+}
+
+export function availabilityLabel(p){
+  const { madeToOrder, stock, leadTimeDays } = stockOf(p);
+  if(madeToOrder) return leadTimeDays ? `Made to order • ships in about ${leadTimeDays} days` : 'Made to order';
+  if(stock === 0) return 'Sold out';
+  return stock <= LOW_STOCK_THRESHOLD ? `Only ${stock} left` : 'In stock';
+}
@@ -0,0 +1,182 @@
+// invoicePdf.js
+// Quotation and GST tax invoice PDFs for an order, drawn in the browser with
+// jsPDF. Invoices use the seller details frozen on the order by issueInvoice;
+// quotations use the current settings. Shared by the storefront and the admin.
+import { jsPDF } from 'https://cdn.jsdelivr.net/npm/jspdf@2.5.2/+esm';
+import { taxBreakdown, DEFAULT_GST_RATE, DEFAULT_HSN } from './invoiceTerms.js';
+
+const PAGE_BOTTOM = 275;
+const LEFT = 15;
+const RIGHT = 195;
+// Table columns: [label, x, align]
+const COLUMNS = [
+  ['#', LEFT, 'left'],
+  ['Description', 22, 'left'],
+  ['HSN', 98, 'left'],
+  ['Qty', 120, 'right'],
+  ['Rate', 140, 'right'],
+  ['Taxable', 160, 'right'],
+  ['GST', 177, 'right'],
+  ['Amount', RIGHT, 'right']
+];
+
+// The core PDF fonts have no ₹ glyph.
+const money = (n) => 'Rs. ' + (Number(n) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const dateOf = (v) => new Date(v).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+// Logos may be data URLs or remote images; a logo that can't be fetched or
+// decoded is left out rather than failing the whole document.
+async function imageData(src){
+  if(!src) return null;
+  try {
+    if(src.startsWith('data:')) return src;
+    const blob = await (await fetch(src)).blob();
+    return await new Promise((resolve, reject) => {
+      const fr = new FileReader();
+      fr.onload = () => resolve(fr.result);
+      fr.onerror = reject;
+      fr.readAsDataURL(blob);
+    });
+  } catch(err) {
+    console.error('invoice logo error:', err);
+    return null;
+  }
+}
+
+function drawHeader(doc, { title, meta, seller, tagline, logo }){
+  let x = LEFT;
+  if(logo){
+    try {
+      doc.addImage(logo, /^data:image\/png/i.test(logo) ? 'PNG' : 'JPEG', LEFT, 12, 24, 24);
+      x = LEFT + 28;
+    } catch(err) { console.error('invoice logo error:', err); }
+  }
+  doc.setFont('helvetica', 'bold').setFontSize(14).text(seller.name || '', x, 18);
+  doc.setFont('helvetica', 'italic').setFontSize(9);
+  if(tagline) doc.text(tagline, x, 23);
+  doc.setFont('helvetica', 'normal');
+  const addr = doc.splitTextToSize(seller.address || '', 90);
+  doc.text(addr, x, 28);
+  if(seller.gstin) doc.text(`GSTIN: ${seller.gstin}`, x, 28 + addr.length * 4);
+
+  doc.setFont('helvetica', 'bold').setFontSize(16).text(title, RIGHT, 18, { align: 'right' });
+  doc.setFont('helvetica', 'normal').setFontSize(9);
+  meta.forEach(([label, value], i) => doc.text(`${label}: ${value}`, RIGHT, 25 + i * 5, { align: 'right' }));
+  return Math.max(42, 32 + addr.length * 4, 28 + meta.length * 5) + 4;
+}
+
+function drawBuyer(doc, y, order, breakdown){
+  const u = order.user || {};
+  doc.setDrawColor(200).line(LEFT, y, RIGHT, y);
+  y += 6;
+  doc.setFont('helvetica', 'bold').setFontSize(10).text('Bill to / Ship to', LEFT, y);
+  doc.setFont('helvetica', 'normal').setFontSize(9);
+  const lines = [u.name, ...doc.splitTextToSize(u.address || '', 110), [u.phone, u.email].filter(Boolean).join(' • ')].filter(Boolean);
+  doc.text(lines, LEFT, y + 5);
+  if(breakdown.placeOfSupply){
+    doc.text(`Place of supply: ${breakdown.placeOfSupply.name} (${breakdown.placeOfSupply.code})`, RIGHT, y + 5, { align: 'right' });
+  }
+  return y + 5 + lines.length * 4 + 4;
+}
+
+function drawTableHead(doc, y){
+  doc.setFillColor(241, 245, 249).rect(LEFT - 2, y - 4, RIGHT - LEFT + 4, 7, 'F');
+  doc.setFont('helvetica', 'bold').setFontSize(9);
+  COLUMNS.forEach(([label, x, align]) => doc.text(label, x, y, { align }));
+  doc.setFont('helvetica', 'normal');
+  return y + 7;
+}
+
+function drawLines(doc, y, breakdown){
+  y = drawTableHead(doc, y);
+  breakdown.lines.forEach((l, i) => {
+    const desc = doc.splitTextToSize(l.description, 72);
+    const details = l.details ? doc.splitTextToSize(l.details, 72) : [];
+    const height = (desc.length + details.length) * 4 + 3;
+    if(y + height > PAGE_BOTTOM){ doc.addPage(); y = drawTableHead(doc, 20); }
+    doc.setFontSize(9).text(String(i + 1), LEFT, y);
+    doc.text(desc, 22, y);
+    if(details.length){ doc.setFontSize(8).setTextColor(100).text(details, 22, y + desc.length * 4); doc.setTextColor(0).setFontSize(9); }
+    doc.text(l.hsn, 98, y);
+    doc.text(String(l.qty), 120, y, { align: 'right' });
+    doc.text(money(l.unitPrice).replace('Rs. ', ''), 140, y, { align: 'right' });
+    doc.text(money(l.taxable).replace('Rs. ', ''), 160, y, { align: 'right' });
+    doc.text(money(l.tax).replace('Rs. ', ''), 177, y, { align: 'right' });
+    doc.text(money(l.amount).replace('Rs. ', ''), RIGHT, y, { align: 'right' });
+    y += height;
+  });
+  doc.setDrawColor(200).line(LEFT, y - 2, RIGHT, y - 2);
+  return y + 3;
+}
+
+function drawTotals(doc, y, rows){
+  if(y + rows.length * 6 > PAGE_BOTTOM){ doc.addPage(); y = 20; }
+  rows.forEach(([label, value, bold]) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal').setFontSize(bold ? 10 : 9);
+    doc.text(label, 150, y, { align: 'right' });
+    doc.text(value, RIGHT, y, { align: 'right' });
+    y += 6;
+  });
+  return y + 2;
+}
+
+function drawNotes(doc, y, notes){
+  doc.setFont('helvetica', 'normal').setFontSize(8).setTextColor(90);
+  const text = doc.splitTextToSize(notes.join('\n'), RIGHT - LEFT);
+  if(y + text.length * 4 > PAGE_BOTTOM + 10){ doc.addPage(); y = 20; }
+  doc.text(text, LEFT, y);
+  doc.setTextColor(0);
+}
+
+function taxRows(b){
+  const rows = [['Taxable value', money(b.taxable)]];
+  if(b.intraState){
+    rows.push([`CGST @ ${b.rate / 2}%`, money(b.cgst)], [`SGST @ ${b.rate / 2}%`, money(b.sgst)]);
+  } else {
+    rows.push([`IGST @ ${b.rate}%`, money(b.igst)]);
+  }
+  rows.push(['Total (incl. GST)', money(b.total), true]);
+  return rows;
+}
+
+async function buildDocument(order, { title, meta, seller, tax, config, extraRows = [], notes }){
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const breakdown = taxBreakdown(order, { ...tax, sellerGstin: seller.gstin });
+  let y = drawHeader(doc, { title, meta, seller, tagline: config.tagline, logo: await imageData(config.logo) });
+  y = drawBuyer(doc, y, order, breakdown);
+  y = drawLines(doc, y, breakdown);
+  y = drawTotals(doc, y, [...taxRows(breakdown), ...extraRows]);
+  drawNotes(doc, y, notes);
+  return doc;
+}
+
+const fileName = (s) => s.replace(/[^A-Za-z0-9-]+/g, '-');
+
+export async function downloadQuotation(order, config = {}){
+  const seller = { name: config.businessName || 'Gatimaan creation', gstin: config.gstin || '', address: config.businessAddress || '' };
+  const ref = `Q-${order.id.slice(0, 8).toUpperCase()}`;
+  const doc = await buildDocument(order, {
+    title: 'QUOTATION',
+    meta: [['Quotation', ref], ['Date', dateOf(Date.now())], ['Valid until', dateOf(Date.now() + 15 * 864e5)]],
+    seller,
+    tax: { gstRate: config.gstRate ?? DEFAULT_GST_RATE, hsn: config.defaultHsn || DEFAULT_HSN },
+    config,
+    notes: ['Prices are inclusive of GST.', 'This quotation is valid for 15 days. Handcrafted pieces may vary slightly from photographs.']
+  });
+  doc.save(`${fileName(ref)}.pdf`);
+}
+
+export async function downloadInvoice(order, config = {}){
+  const inv = order.invoice;
+  if(!inv) throw new Error('No invoice has been issued for this order yet');
+  const doc = await buildDocument(order, {
+    title: 'TAX INVOICE',
+    meta: [['Invoice No', inv.number], ['Invoice date', dateOf(inv.issuedAt)], ['Order ref', order.id.slice(0, 8).toUpperCase()], ['Order date', dateOf(order.createdAt)]],
+    seller: inv.seller,
+    tax: { gstRate: inv.gstRate, hsn: inv.hsn },
+    config,
+    extraRows: [['Amount paid', money(order.amountPaid)], ['Balance due', money(order.balanceDue)]],
+    notes: ['Prices are inclusive of GST. Tax is not payable on reverse charge.', 'This is a computer-generated invoice and does not require a signature.']
+  });
+  doc.save(`${fileName(inv.number)}.pdf`);
+}
@@ -0,0 +1,65 @@
+// invoiceTerms.js
+// GST arithmetic for quotations and tax invoices, shared by the PDF builder
+// and the functions. Catalog prices are GST-inclusive, so tax is backed out of
+// each line: taxable value = amount / (1 + rate).
+import { stateFromGstin, stateByName, findStateIn } from './indianStates.js';
+
+export const DEFAULT_GST_RATE = 12;
+export const DEFAULT_HSN = '6802'; // worked monumental or building stone, incl. carved statues
+export const FREIGHT_SAC = '9965'; // goods transport services
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Intra-state supplies split the tax into CGST + SGST; anything else is IGST.
+// The buyer's state comes from the structured address, or is looked for in the
+// text of older ones; when it can't be found the sale is treated as intra-state.
+export function taxBreakdown(order, { gstRate = DEFAULT_GST_RATE, hsn = DEFAULT_HSN, sellerGstin = '' } = {}){
+  const rate = Number(gstRate) || 0;
+  const lines = (order.items || []).map(it => {
+    const amount = Number(it.subtotal) || 0;
+    const taxable = round2(amount / (1 + rate / 100));
+    return {
+      description: it.productSnapshot.name,
+      details: [it.productSnapshot.material, it.productSnapshot.dimensions].filter(Boolean).join(', '),
+      hsn: it.productSnapshot.hsn || hsn,
+      qty: it.qty,
+      unitPrice: round2(taxable / (it.qty || 1)),
+      taxable,
+      tax: round2(amount - taxable),
+      amount
+    };
+  });
+  // Freight and crating go with the statues, taxed at the same rate.
+  const shipping = Number(order.shipping?.amount) || 0;
+  if(shipping > 0){
+    const taxable = round2(shipping / (1 + rate / 100));
+    lines.push({
+      description: 'Freight & crating',
+      details: [order.shipping.zone, order.shipping.pin && `PIN ${order.shipping.pin}`].filter(Boolean).join(', '),
+      hsn: FREIGHT_SAC,
+      qty: 1,
+      unitPrice: taxable,
+      taxable,
+      tax: round2(shipping - taxable),
+      amount: shipping
+    });
+  }
+  const taxable = round2(lines.reduce((sum, l) => sum + l.taxable, 0));
+  const tax = round2(lines.reduce((sum, l) => sum + l.tax, 0));
+  const sellerState = stateFromGstin(sellerGstin);
+  const buyerState = stateByName(order.user?.addressParts?.state) || findStateIn(order.user?.address);
+  const intraState = !buyerState || !sellerState || buyerState.code === sellerState.code;
+  const half = round2(tax / 2);
+  return {
+    rate,
+    lines,
+    taxable,
+    tax,
+    total: round2(taxable + tax),
+    placeOfSupply: buyerState || sellerState,
+    intraState,
+    cgst: intraState ? half : 0,
+    sgst: intraState ? round2(tax - half) : 0,
+    igst: intraState ? 0 : tax
+  };
+}
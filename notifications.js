@@ -0,0 +1,150 @@
+// notifications.js
+// Order notifications, shared by the admin (template editor, delivery log) and
+// the functions, which send them (see functions/_lib/notifications/). Each
+// order event has a message for the customer and, for the events the shop
+// needs to act on, one for the owner. A template names the channels it goes
+// out on and fills `{{placeholders}}` from the order; the owner's edits are
+// kept in the private settings' notificationTemplates, keyed like
+// DEFAULT_TEMPLATES.
+// Customers hear nothing until an order is confirmed or paid (see
+// customerReachable), since anyone can place one with someone else's contact
+// details; so there is no default message to them when it is placed.
+import { STATUS_LABELS, normalizeStatus } from './orderStatus.js';
+import { courierName, trackingLink } from './shipping.js';
+
+export const NOTIFY_CHANNELS = ['email', 'whatsapp'];
+export const CHANNEL_LABELS = { email: 'Email', whatsapp: 'WhatsApp' };
+export const NOTIFY_AUDIENCES = ['customer', 'owner'];
+
+// Every status change is an event, plus `placed`, `paid` and `refund` (a
+// payment that went through after the order was cancelled).
+export const NOTIFY_EVENTS = {
+  placed: 'Order placed',
+  confirmed: 'Order confirmed',
+  carving: 'Carving started',
+  ready: 'Ready to ship',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  paid: 'Payment received',
+  refund: 'Refund due'
+};
+
+export const TEMPLATE_PLACEHOLDERS = {
+  shopName: 'Business name',
+  customerName: 'Customer’s name',
+  orderRef: 'Short order reference, e.g. 3F2A9C1D',
+  items: 'Items and quantities',
+  total: 'Order total',
+  amountPaid: 'Amount paid so far',
+  balanceDue: 'Balance due',
+  status: 'Order status',
+  note: 'Reason given when cancelling',
+  courier: 'Courier name',
+  awb: 'AWB (tracking) number',
+  trackingLink: 'Tracking page link',
+  address: 'Delivery address',
+  phone: 'Customer’s phone'
+};
+
+const BOTH = ['email', 'whatsapp'];
+
+export const DEFAULT_TEMPLATES = {
+  'placed.owner': {
+    channels: BOTH,
+    subject: 'New order {{orderRef}} from {{customerName}}',
+    body: 'New order {{orderRef}} from {{customerName}} ({{phone}}):\n{{items}}\nTotal: {{total}}\nShip to: {{address}}'
+  },
+  'confirmed.customer': {
+    channels: BOTH,
+    subject: 'Your order {{orderRef}} is confirmed',
+    body: 'Namaste {{customerName}},\n\nYour order {{orderRef}} is confirmed. Paid so far: {{amountPaid}}, balance due: {{balanceDue}}.\n\n{{shopName}}'
+  },
+  'carving.customer': {
+    channels: BOTH,
+    subject: 'Carving has begun on order {{orderRef}}',
+    body: 'Namaste {{customerName}},\n\nOur artisans have started carving your order {{orderRef}}. We will let you know when it is ready.\n\n{{shopName}}'
+  },
+  'ready.customer': {
+    channels: BOTH,
+    subject: 'Your order {{orderRef}} is ready',
+    body: 'Namaste {{customerName}},\n\nYour order {{orderRef}} is finished and being crated for dispatch. Balance due: {{balanceDue}}.\n\n{{shopName}}'
+  },
+  'shipped.customer': {
+    channels: BOTH,
+    subject: 'Your order {{orderRef}} has shipped',
+    body: 'Namaste {{customerName}},\n\nYour order {{orderRef}} is on its way with {{courier}}, AWB {{awb}}.\nTrack it here: {{trackingLink}}\n\n{{shopName}}'
+  },
+  'delivered.customer': {
+    channels: BOTH,
+    subject: 'Your order {{orderRef}} was delivered',
+    body: 'Namaste {{customerName}},\n\nYour order {{orderRef}} has been delivered. We hope it brings you joy!\n\n{{shopName}}'
+  },
+  'cancelled.customer': {
+    channels: BOTH,
+    subject: 'Your order {{orderRef}} was cancelled',
+    body: 'Namaste {{customerName}},\n\nYour order {{orderRef}} has been cancelled. {{note}}\n\nPlease reply if you have any questions.\n{{shopName}}'
+  },
+  'cancelled.owner': {
+    channels: ['email'],
+    subject: 'Order {{orderRef}} cancelled',
+    body: 'Order {{orderRef}} from {{customerName}} ({{phone}}) was cancelled. {{note}}'
+  },
+  'paid.customer': {
+    channels: BOTH,
+    subject: 'Payment received for order {{orderRef}}',
+    body: 'Namaste {{customerName}},\n\nWe received your payment for order {{orderRef}}. Paid so far: {{amountPaid}}, balance due: {{balanceDue}}.\n\n{{shopName}}'
+  },
+  'paid.owner': {
+    channels: BOTH,
+    subject: 'Payment received for order {{orderRef}}',
+    body: 'Payment received for order {{orderRef}} from {{customerName}}. Paid: {{amountPaid}} of {{total}}, due {{balanceDue}}.'
+  },
+  'refund.owner': {
+    channels: BOTH,
+    subject: 'Refund due on cancelled order {{orderRef}}',
+    body: 'A payment for order {{orderRef}} from {{customerName}} ({{phone}}) went through after the order was cancelled. It was not counted; please refund it from the payment dashboard.'
+  }
+};
+
+export const templateKey = (event, audience) => `${event}.${audience}`;
+
+// The templates in effect: the defaults with the owner's edits on top.
+export const templatesOf = (config) => ({ ...DEFAULT_TEMPLATES, ...(config?.notificationTemplates || {}) });
+
+// Fills `{{name}}` from `vars`; unknown names become ''.
+export const renderTemplate = (text, vars) => String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => vars[name] ?? '');
+
+// Whether the customer's phone and email can be trusted with messages: an
+// admin has moved the order past pending, or a payment came in.
+export const customerReachable = (order) => (order.paymentStatus && order.paymentStatus !== 'unpaid')
+  || (order.history || []).some(h => !['pending', 'cancelled'].includes(normalizeStatus(h.status)));
+
+// Links typed into a name would otherwise be delivered in the shop's messages.
+const LINK_RE = /\b(?:https?:\/\/|www\.)\S*|\S+\.(?:com|in|net|org|io|co|me|ly|app|xyz|info|biz|link|site|online|top)\b\S*/gi;
+const withoutLinks = (s) => String(s || '').replace(LINK_RE, '').replace(/\s+/g, ' ').trim();
+
+const rupees = (n) => `₹${(Number(n) || 0).toLocaleString('en-IN')}`;
+
+// Placeholder values for an order in the API shape (see functions/_lib/orders.js).
+export function orderVars(order, config){
+  const user = order.user || {};
+  return {
+    shopName: config?.businessName || 'Gatimaan creation',
+    customerName: withoutLinks(user.name) || 'there',
+    orderRef: String(order.id || '').slice(0, 8).toUpperCase(),
+    items: (order.items || []).map(it => `• ${it.productSnapshot?.name || 'Item'} × ${it.qty}`).join('\n'),
+    total: rupees(order.total),
+    amountPaid: rupees(order.amountPaid),
+    balanceDue: rupees(order.balanceDue),
+    status: STATUS_LABELS[order.status] || order.status || '',
+    note: order.history?.[order.history.length - 1]?.note || '',
+    courier: order.shipment ? courierName(order.shipment.courier) : '',
+    awb: order.shipment?.awb || '',
+    trackingLink: trackingLink(order.shipment),
+    address: user.address || '',
+    phone: user.phone || ''
+  };
+}
+
+export const NOTIFICATION_STATUS_LABELS = { sent: 'Sent', failed: 'Failed', skipped: 'Skipped' };
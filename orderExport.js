@@ -0,0 +1,84 @@
+// orderExport.js
+// Order and customer lists for the accounts, as CSV (see csv.js) or Excel.
+// Orders have a row per line item, each with its product snapshot; the order's
+// own amounts (shipping, total, paid, balance) are on its first line only, so
+// the columns can be summed. Cancelled orders are included with their status.
+import { utils, writeFile } from 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+import { toCsv, downloadText } from './csv.js';
+import { STATUS_LABELS, normalizeStatus } from './orderStatus.js';
+import { PAYMENT_STATUS_LABELS } from './paymentTerms.js';
+import { courierName } from './shipping.js';
+import { formatSize } from './dimensions.js';
+import { isSale, salesOf } from './analytics.js';
+
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+
+const ORDER_COLUMNS = [
+  'Order ref', 'Order ID', 'Placed', 'Status', 'Status changed', 'Payment',
+  'Buyer', 'Phone', 'Email', 'Address', 'City', 'State', 'PIN',
+  'Product ID', 'Product', 'Variant', 'Material', 'Dimensions', 'HSN', 'Unit price', 'Qty', 'Line total',
+  'Shipping', 'Order total', 'Paid', 'Balance due', 'Invoice no', 'Invoice date', 'Courier', 'AWB', 'Shipped'
+];
+
+const dateOf = (ts) => (ts ? new Date(ts) : null);
+
+export function ordersToRows(orders){
+  const rows = [ORDER_COLUMNS];
+  orders.forEach(o => {
+    const status = normalizeStatus(o.status);
+    const changed = (o.history || []).filter(h => normalizeStatus(h.status) === status).pop();
+    const user = o.user || {};
+    const parts = user.addressParts || {};
+    const head = [
+      o.id.slice(0, 8).toUpperCase(), o.id, dateOf(o.createdAt), STATUS_LABELS[status], dateOf(changed?.at), PAYMENT_STATUS_LABELS[o.paymentStatus] || o.paymentStatus,
+      user.name || '', user.phone || '', user.email || '', user.address || '', parts.city || '', parts.state || '', parts.pin || o.shipping?.pin || ''
+    ];
+    const tail = [
+      o.shipping?.amount ?? 0, o.total, o.amountPaid, o.balanceDue, o.invoice?.number || '', dateOf(o.invoice?.issuedAt),
+      o.shipment ? courierName(o.shipment.courier) : '', o.shipment?.awb || '', dateOf(o.shipment?.shippedAt)
+    ];
+    const items = o.items.length ? o.items : [{ productSnapshot: {} }];
+    items.forEach((it, i) => {
+      const ps = it.productSnapshot || {};
+      rows.push([
+        ...head,
+        it.productId || '', ps.name || '', ps.variant?.label || '', ps.material || '', ps.size ? formatSize(ps.size, ps.size.unit, { axes: false }) : ps.dimensions || '', ps.hsn || '',
+        ps.price ?? '', it.qty ?? '', it.subtotal ?? '',
+        ...(i === 0 ? tail : tail.map(() => ''))
+      ]);
+    });
+  });
+  return rows;
+}
+
+// `customers` as built by customersWithOrders() in admin.js, each with its
+// `orders`; the order figures leave out cancelled orders, and "Spent" leaves
+// out freight, as in the analytics view.
+export function customersToRows(customers){
+  return [
+    ['Name', 'Account', 'Email', 'Phone', 'Address', 'Joined', 'Orders', 'Spent', 'First order', 'Last order'],
+    ...customers.map(c => {
+      const sales = c.orders.filter(isSale);
+      const placed = sales.map(o => o.createdAt);
+      return [
+        c.name || '', c.guest ? 'Guest' : 'Registered', c.email || '', c.phone || '', c.address || sales[0]?.user?.address || '',
+        dateOf(c.createdAt), sales.length, sales.reduce((sum, o) => sum + salesOf(o), 0),
+        dateOf(placed.length ? Math.min(...placed) : null), dateOf(placed.length ? Math.max(...placed) : null)
+      ];
+    })
+  ];
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const dateText = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+
+// Downloads `rows` as `<basename>.csv` or `.xlsx`; dates are Date objects.
+export function downloadRows(rows, basename, format, sheetName = 'Sheet1'){
+  if(format === 'xlsx'){
+    const book = utils.book_new();
+    utils.book_append_sheet(book, utils.aoa_to_sheet(rows, { cellDates: true, dateNF: DATE_FORMAT }), sheetName);
+    writeFile(book, `${basename}.xlsx`, { compression: true });
+    return;
+  }
+  downloadText(toCsv(rows.map(r => r.map(v => (v instanceof Date ? dateText(v) : v)))), `${basename}.csv`);
+}
@@ -0,0 +1,42 @@
+// orderStatus.js
+// The order lifecycle, shared by the storefront, the admin and the functions:
+// pending → confirmed → carving → ready → shipped → delivered, plus cancelled.
+
+export const PIPELINE = ['pending', 'confirmed', 'carving', 'ready', 'shipped', 'delivered'];
+export const ORDER_STATUSES = [...PIPELINE, 'cancelled'];
+
+export const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  carving: 'Carving',
+  ready: 'Ready to ship',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// Orders can't be cancelled once they have left the workshop.
+const CANCELLABLE = ['pending', 'confirmed', 'carving', 'ready'];
+
+// Orders saved before the pipeline existed only knew pending/completed.
+export function normalizeStatus(status){
+  if(status === 'completed') return 'delivered';
+  return ORDER_STATUSES.includes(status) ? status : 'pending';
+}
+
+// Statuses an order may move to next: any later pipeline step (steps may be
+// skipped), or cancelled while still in the workshop. Delivered and cancelled
+// are final.
+export function nextStatuses(status){
+  const from = normalizeStatus(status);
+  const idx = PIPELINE.indexOf(from);
+  const next = idx >= 0 ? PIPELINE.slice(idx + 1) : [];
+  if(CANCELLABLE.includes(from)) next.push('cancelled');
+  return next;
+}
+
+export function canTransition(from, to){
+  return nextStatuses(from).includes(to);
+}
+
+export const isFinalStatus = (status) => nextStatuses(status).length === 0;
@@ -0,0 +1,94 @@
+// ordersApi.js
+// Orders live in Supabase behind the createOrder/listOrders/updateOrderStatus
+// functions. Shared by the storefront (app.js) and the admin (admin.js).
+import { callFunction } from './api.js';
+
+const LEGACY_ORDERS_KEY = 'orders';
+const MY_ORDERS_KEY = 'myOrderIds';
+
+const readJson = (key, fallback) => { try { return JSON.parse(localStorage.getItem(key)) ?? fallback; } catch(_) { return fallback; } };
+
+// Ids of orders placed from this browser; guests use them to see their orders.
+export function getMyOrderIds(){ return readJson(MY_ORDERS_KEY, []); }
+export function rememberOrderIds(ids){
+  const set = new Set(getMyOrderIds());
+  ids.forEach(id => set.add(id));
+  localStorage.setItem(MY_ORDERS_KEY, JSON.stringify(Array.from(set)));
+}
+
+export function forgetMyOrderIds(){ localStorage.removeItem(MY_ORDERS_KEY); }
+
+// After sign-in, attach orders placed from this browser as a guest to the
+// account, so they follow the customer to other devices.
+export async function claimGuestOrders(){
+  const ids = getMyOrderIds();
+  if(ids.length === 0) return 0;
+  const { claimed } = await callFunction('claimOrders', { body: { ids } });
+  return claimed || 0;
+}
+
+export async function listOrders({ ids } = {}){
+  const query = ids && ids.length ? { ids: ids.join(',') } : undefined;
+  const { orders } = await callFunction('listOrders', { method: 'GET', query });
+  return orders || [];
+}
+
+export async function placeOrder({ items, customer }){
+  const { order } = await callFunction('createOrder', { body: { items, customer } });
+  rememberOrderIds([order.id]);
+  return order;
+}
+
+// `shipment` ({ courier, awb, trackingUrl? }) is required when shipping.
+export async function setOrderStatus(id, status, note, shipment){
+  const { order } = await callFunction('updateOrderStatus', { body: { id, status, note, shipment } });
+  return order;
+}
+
+export async function issueInvoice(id){
+  const { order } = await callFunction('issueInvoice', { body: { id } });
+  return order;
+}
+
+// The notification delivery log (admins only); filters: { orderId, status, channel }.
+export async function listNotifications(filters = {}){
+  const query = Object.fromEntries(Object.entries(filters).filter(([, v]) => v));
+  const { notifications } = await callFunction('listNotifications', { method: 'GET', query });
+  return notifications || [];
+}
+
+// One-time upload of orders saved under the old per-browser `orders` key, run
+// on the storefront's first load (and the admin page's).
+// Imports are idempotent on the legacy id, so a retry after a partial failure
+// (or the same orders arriving from the admin page) never duplicates them.
+// Orders that fail stay in localStorage for the next page load.
+export async function migrateLegacyOrders(){
+  const legacy = readJson(LEGACY_ORDERS_KEY, null);
+  if(!Array.isArray(legacy) || legacy.length === 0){
+    localStorage.removeItem(LEGACY_ORDERS_KEY);
+    return 0;
+  }
+  const remaining = [];
+  const imported = [];
+  for(const o of legacy){
+    try {
+      const { order } = await callFunction('createOrder', { body: {
+        legacyId: o.id,
+        productId: o.productId,
+        productSnapshot: o.productSnapshot,
+        customer: o.user,
+        status: o.status,
+        createdAt: o.createdAt
+      } });
+      if(order) imported.push(order.id);
+    } catch(err) {
+      console.error('migrateLegacyOrders error:', err);
+      // 4xx means the record itself is unusable; drop it rather than retry forever.
+      if(!err.status || err.status >= 500) remaining.push(o);
+    }
+  }
+  rememberOrderIds(imported);
+  if(remaining.length) localStorage.setItem(LEGACY_ORDERS_KEY, JSON.stringify(remaining));
+  else localStorage.removeItem(LEGACY_ORDERS_KEY);
+  return imported.length;
+}
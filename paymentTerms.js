@@ -0,0 +1,29 @@
+// paymentTerms.js
+// How orders are paid for, shared by the storefront, the admin and the
+// functions: in full, or an advance deposit followed by the balance.
+
+export const DEFAULT_DEPOSIT_PERCENT = 25;
+export const PAYMENT_STATUSES = ['unpaid', 'partial', 'paid'];
+
+export const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  partial: 'Deposit paid',
+  paid: 'Paid in full'
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// The shop's deposit percentage from appConfig; 0 turns deposits off.
+export function depositPercentOf(config){
+  const pct = Number(config?.depositPercent);
+  return Number.isFinite(pct) && pct >= 0 && pct < 100 ? pct : DEFAULT_DEPOSIT_PERCENT;
+}
+
+export const depositAmount = (total, percent) => round2(total * percent / 100);
+
+export function paymentStatusOf(total, amountPaid){
+  if(amountPaid <= 0) return 'unpaid';
+  return amountPaid >= total ? 'paid' : 'partial';
+}
+
+export const balanceDue = (total, amountPaid) => Math.max(0, round2(total - amountPaid));
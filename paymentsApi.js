@@ -0,0 +1,64 @@
+// paymentsApi.js
+// Paying for an order: createPayment asks the server for the amount due and
+// the gateway's checkout parameters, the gateway's widget takes the payment,
+// and verifyPayment records it once the server has checked it.
+import { callFunction } from './api.js';
+
+const RAZORPAY_SCRIPT = 'https://checkout.razorpay.com/v1/checkout.js';
+
+let razorpayScript = null;
+function loadRazorpay(){
+  if(window.Razorpay) return Promise.resolve(window.Razorpay);
+  razorpayScript = razorpayScript || new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = RAZORPAY_SCRIPT;
+    script.onload = () => resolve(window.Razorpay);
+    script.onerror = () => { razorpayScript = null; reject(new Error('Could not load the payment window')); };
+    document.head.appendChild(script);
+  });
+  return razorpayScript;
+}
+
+const cancelled = () => Object.assign(new Error('Payment cancelled'), { cancelled: true });
+
+// One opener per provider; each resolves with the widget's response or
+// rejects (err.cancelled when the customer closed it).
+const CHECKOUTS = {
+  async razorpay(checkout, { name, description, prefill }){
+    const Razorpay = await loadRazorpay();
+    return new Promise((resolve, reject) => {
+      const widget = new Razorpay({
+        key: checkout.key,
+        order_id: checkout.orderId,
+        amount: checkout.amount,
+        currency: checkout.currency,
+        name,
+        description,
+        prefill,
+        handler: resolve,
+        modal: { ondismiss: () => reject(cancelled()) }
+      });
+      widget.on('payment.failed', (res) => reject(new Error(res?.error?.description || 'Payment failed')));
+      widget.open();
+    });
+  },
+
+  async mock(checkout, { description }){
+    const rupees = (checkout.amount / 100).toFixed(2);
+    if(!window.confirm(`Test payment (no money moves)\n\n${description}\n${checkout.currency} ${rupees}\n\nOK to pay, Cancel to abort.`)) throw cancelled();
+    return { mock_order_id: checkout.orderId, mock_payment_id: `mock_pay_${Date.now()}`, status: 'paid' };
+  }
+};
+
+// Runs the whole flow for one order and resolves with the updated order.
+export async function payForOrder(orderId, { kind = 'full', shopName = 'Gatimaan creation', prefill = {} } = {}){
+  const { payment } = await callFunction('createPayment', { body: { orderId, kind } });
+  const open = CHECKOUTS[payment.checkout.provider];
+  if(!open) throw new Error('Unsupported payment method');
+  const description = kind === 'deposit' ? 'Advance deposit' : 'Order payment';
+  const response = await open(payment.checkout, { name: shopName, description, prefill });
+  const { order } = await callFunction('verifyPayment', {
+    body: { orderId, providerOrderId: payment.checkout.orderId, response }
+  });
+  return order;
+}
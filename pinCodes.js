@@ -0,0 +1,63 @@
+// pinCodes.js
+// A small offline PIN code directory for address autofill (see addresses.js).
+// PIN codes are hierarchical: the first two digits name the postal circle,
+// roughly a state, and the first three the sorting district. Keys are PIN
+// prefixes of any length; the longest one matching a PIN wins. It covers every
+// state and the larger cities, not every post office, so an autofilled city is
+// only a suggestion the customer can change.
+
+// Prefix -> GST state code (see indianStates.js).
+export const PIN_STATES = {
+  '11': '07',
+  '12': '06', '13': '06',
+  '14': '03', '15': '03', '16': '03', '16000': '04', '16001': '04', '16002': '04', '16003': '04',
+  '17': '02',
+  '18': '01', '19': '01', '194': '38',
+  '20': '09', '21': '09', '22': '09', '23': '09', '24': '09', '25': '09', '26': '09', '27': '09', '28': '09',
+  '246': '05', '2476': '05', '248': '05', '249': '05', '2625': '05', '263': '05',
+  '30': '08', '31': '08', '32': '08', '33': '08', '34': '08',
+  '36': '24', '37': '24', '38': '24', '39': '24', '362520': '26', '396210': '26', '396230': '26',
+  '40': '27', '41': '27', '42': '27', '43': '27', '44': '27', '403': '30',
+  '45': '23', '46': '23', '47': '23', '48': '23',
+  '49': '22',
+  '50': '36',
+  '51': '37', '52': '37', '53': '37', '533464': '34',
+  '56': '29', '57': '29', '58': '29', '59': '29',
+  '60': '33', '61': '33', '62': '33', '63': '33', '64': '33', '6050': '34', '6051': '34', '60960': '34',
+  '67': '32', '68': '32', '69': '32', '68255': '31', '673310': '34',
+  '70': '19', '71': '19', '72': '19', '73': '19', '74': '19', '737': '11', '744': '35',
+  '75': '21', '76': '21', '77': '21',
+  '78': '18',
+  '790': '12', '791': '12', '792': '12', '793': '17', '794': '17', '795': '14', '796': '15', '797': '13', '798': '13', '799': '16',
+  '80': '10', '81': '10', '82': '10', '84': '10', '85': '10',
+  '83': '20', '814': '20', '815': '20', '816': '20', '822': '20', '825': '20', '826': '20', '827': '20', '828': '20', '829': '20'
+};
+
+// Prefix -> city of the sorting district's head office.
+export const PIN_CITIES = {
+  '110': 'Delhi',
+  '121': 'Faridabad', '122': 'Gurugram', '124': 'Rohtak', '125': 'Hisar', '133': 'Ambala',
+  '141': 'Ludhiana', '143': 'Amritsar', '144': 'Jalandhar', '147': 'Patiala', '151': 'Bathinda',
+  '16000': 'Chandigarh', '16001': 'Chandigarh', '16002': 'Chandigarh', '16003': 'Chandigarh',
+  '171': 'Shimla', '180': 'Jammu', '190': 'Srinagar', '194': 'Leh',
+  '201': 'Ghaziabad', '2013': 'Noida', '202': 'Aligarh', '208': 'Kanpur', '211': 'Prayagraj', '221': 'Varanasi',
+  '226': 'Lucknow', '243': 'Bareilly', '244': 'Moradabad', '247': 'Saharanpur', '248': 'Dehradun',
+  '249': 'Haridwar', '250': 'Meerut', '273': 'Gorakhpur', '281': 'Mathura', '282': 'Agra',
+  '301': 'Alwar', '302': 'Jaipur', '305': 'Ajmer', '313': 'Udaipur', '324': 'Kota', '334': 'Bikaner', '342': 'Jodhpur',
+  '360': 'Rajkot', '361': 'Jamnagar', '364': 'Bhavnagar', '380': 'Ahmedabad', '390': 'Vadodara', '395': 'Surat',
+  '362520': 'Diu', '396210': 'Daman', '396230': 'Silvassa',
+  '400': 'Mumbai', '411': 'Pune', '416': 'Kolhapur', '422': 'Nashik', '431': 'Chhatrapati Sambhajinagar', '440': 'Nagpur',
+  '452': 'Indore', '456': 'Ujjain', '462': 'Bhopal', '474': 'Gwalior', '482': 'Jabalpur',
+  '490': 'Durg', '492': 'Raipur',
+  '500': 'Hyderabad', '506': 'Warangal',
+  '517': 'Tirupati', '520': 'Vijayawada', '522': 'Guntur', '524': 'Nellore', '530': 'Visakhapatnam', '533464': 'Yanam',
+  '560': 'Bengaluru', '570': 'Mysuru', '575': 'Mangaluru', '580': 'Hubballi', '590': 'Belagavi',
+  '600': 'Chennai', '6050': 'Puducherry', '6051': 'Puducherry', '60960': 'Karaikal', '620': 'Tiruchirappalli',
+  '625': 'Madurai', '627': 'Tirunelveli', '636': 'Salem', '641': 'Coimbatore',
+  '673': 'Kozhikode', '673310': 'Mahe', '680': 'Thrissur', '682': 'Kochi', '68255': 'Kavaratti', '695': 'Thiruvananthapuram',
+  '700': 'Kolkata', '711': 'Howrah', '734': 'Siliguri', '737': 'Gangtok', '744': 'Port Blair',
+  '751': 'Bhubaneswar', '753': 'Cuttack', '769': 'Rourkela',
+  '781': 'Guwahati', '791': 'Itanagar', '793': 'Shillong', '795': 'Imphal', '796': 'Aizawl', '797': 'Kohima', '799': 'Agartala',
+  '800': 'Patna', '812': 'Bhagalpur', '823': 'Gaya', '842': 'Muzaffarpur',
+  '826': 'Dhanbad', '831': 'Jamshedpur', '834': 'Ranchi'
+};
@@ -0,0 +1,163 @@
+// productTransfer.js
+// Catalog import/export in CSV or JSON. Defines the file columns, guesses which
+// product field each column of an uploaded file feeds, and turns a mapped
+// record into the payload addProduct/updateProduct/importProducts take. The
+// checks follow saveProductFromForm() in admin.js: a new product needs a name,
+// description, material, positive price and height × width × depth.
+import { readSize, readWeight, parseDimensions } from './dimensions.js';
+import { readVariant } from './variants.js';
+
+export const PRODUCT_COLUMNS = [
+  { key: 'id', label: 'ID', aliases: ['product id'] },
+  { key: 'name', label: 'Name', required: true, aliases: ['title', 'statue', 'statue name', 'product', 'product name'] },
+  { key: 'description', label: 'Description', required: true, aliases: ['desc', 'details'] },
+  { key: 'price', label: 'Price', required: true, aliases: ['price inr', 'mrp', 'rate', 'amount'] },
+  { key: 'material', label: 'Material', required: true, aliases: ['stone'] },
+  { key: 'height', label: 'Height', aliases: ['h'] },
+  { key: 'width', label: 'Width', aliases: ['w'] },
+  { key: 'depth', label: 'Depth', aliases: ['d', 'length'] },
+  { key: 'dimensionUnit', label: 'Unit', aliases: ['unit', 'size unit', 'dimension unit'] },
+  { key: 'dimensions', label: 'Dimensions (text)', aliases: ['size', 'dimension'] },
+  { key: 'weightKg', label: 'Weight (kg)', aliases: ['weight', 'weight kg'] },
+  { key: 'stock', label: 'Stock', aliases: ['qty', 'quantity', 'pieces'] },
+  { key: 'madeToOrder', label: 'Made to order', aliases: ['mto'] },
+  { key: 'leadTimeDays', label: 'Lead time (days)', aliases: ['lead time', 'lead days'] },
+  { key: 'categories', label: 'Categories', aliases: ['category', 'tags'] },
+  { key: 'hsn', label: 'HSN', aliases: ['hsn code'] },
+  { key: 'careNotes', label: 'Care notes', aliases: ['care'] },
+  { key: 'images', label: 'Images', aliases: ['image', 'image url', 'image urls', 'photos'] },
+  { key: 'variants', label: 'Variants (JSON)', aliases: [] }
+];
+
+const norm = (s) => String(s ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// { header -> field key or '' } for a file's column headers. Each field is
+// taken by at most one column, the first that names it or one of its aliases.
+export function guessMapping(headers){
+  const taken = new Set();
+  const mapping = {};
+  headers.forEach(h => {
+    const n = norm(h);
+    const col = PRODUCT_COLUMNS.find(c => !taken.has(c.key) && [c.key, c.label, ...c.aliases].some(a => norm(a) === n));
+    mapping[h] = col ? col.key : '';
+    if(col) taken.add(col.key);
+  });
+  return mapping;
+}
+
+// Records (header -> value) from parsed CSV rows (first row is the header) or
+// a JSON array of objects.
+export function recordsFromRows(rows){
+  const [headers = [], ...body] = rows;
+  return { headers, records: body.map(r => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? '']))) };
+}
+export function recordsFromJson(list){
+  if(!Array.isArray(list)) throw new Error('Expected a JSON array of products');
+  const headers = [...new Set(list.flatMap(o => (o && typeof o === 'object' ? Object.keys(o) : [])))];
+  return { headers, records: list.map(o => (o && typeof o === 'object' ? o : {})) };
+}
+
+// ---- Record -> payload -----------------------------------------------------
+// Our CSV export guards cells that look like formulas with a leading '.
+const clean = (v) => (typeof v === 'string' ? v.trim().replace(/^'(?=[=+\-@])/, '') : v);
+const list = (v, sep) => (Array.isArray(v) ? v : String(v).split(sep)).map(s => String(s).trim()).filter(Boolean);
+const YES = ['y', 'yes', 'true', '1', 'mto'];
+
+// `{ id, payload, errors }` for one record. `partial` (updating an existing
+// product) checks only the fields present; otherwise the form's required fields
+// must all be there.
+export function recordToPayload(record, mapping, { partial = false } = {}){
+  const raw = {};
+  Object.entries(mapping).forEach(([header, key]) => {
+    const v = clean(record[header]);
+    if(key && v !== '' && v != null) raw[key] = v;
+  });
+  const errors = {};
+  const payload = {};
+  const has = (k) => k in raw;
+
+  ['name', 'description', 'material', 'hsn', 'careNotes'].forEach(k => { if(has(k)) payload[k] = String(raw[k]); });
+  if(!partial) ['name', 'description', 'material'].forEach(k => { if(!payload[k]) errors[k] = 'Required'; });
+  if(has('price') || !partial){
+    const price = Number(String(raw.price ?? '').replace(/[₹,\s]/g, ''));
+    if(!(price > 0)) errors.price = 'Must be a positive number';
+    else payload.price = price;
+  }
+
+  // H/W/D columns win; otherwise a free-text size like "24in H x 12in W x 10in D".
+  const parsed = !['height', 'width', 'depth'].some(has) && has('dimensions') ? parseDimensions(raw.dimensions) : null;
+  if(parsed || ['height', 'width', 'depth', 'dimensionUnit'].some(has) || !partial){
+    const size = readSize({
+      height: parsed ? parsed.height : raw.height,
+      width: parsed ? parsed.width : raw.width,
+      depth: parsed ? parsed.depth : raw.depth,
+      dimensionUnit: String(parsed ? parsed.unit : raw.dimensionUnit || 'in').toLowerCase()
+    });
+    if(Object.keys(size.errors).length) errors.size = 'Height, width and depth must be positive numbers';
+    else Object.assign(payload, { height: size.value.height, width: size.value.width, depth: size.value.depth, dimensionUnit: size.value.unit });
+  }
+  if(has('weightKg')){
+    const weight = readWeight(raw.weightKg);
+    if(Object.keys(weight.errors).length) errors.weightKg = 'Must be a positive number of kg';
+    else payload.weightKg = weight.value;
+  }
+  if(has('stock')){
+    const stock = Number(raw.stock);
+    if(!Number.isInteger(stock) || stock < 0) errors.stock = 'Must be a whole number, 0 or more';
+    else payload.stock = stock;
+  }
+  if(has('madeToOrder')) payload.madeToOrder = raw.madeToOrder === true || YES.includes(norm(raw.madeToOrder));
+  if(has('leadTimeDays')){
+    const days = Number(raw.leadTimeDays);
+    if(!Number.isInteger(days) || days < 1 || days > 365) errors.leadTimeDays = 'Must be 1 to 365 days';
+    else payload.leadTimeDays = days;
+  }
+  if(has('categories')) payload.categories = list(raw.categories, /[,;|]/);
+  if(has('images')) payload.images = list(raw.images, /\s*\|\s*|\s+/);
+  if(has('variants')){
+    let variants = raw.variants;
+    try{ if(typeof variants === 'string') variants = JSON.parse(variants); }
+    catch(_){ variants = null; }
+    if(!Array.isArray(variants)) errors.variants = 'Must be a JSON array';
+    else if(variants.some(v => Object.keys(readVariant(v).errors).length)) errors.variants = 'Each variant needs a material, size and price';
+    else payload.variants = variants;
+  }
+
+  const id = has('id') ? String(raw.id) : '';
+  return { id, payload, errors };
+}
+
+// ---- Export ----------------------------------------------------------------
+// One flat record per product row, keyed by PRODUCT_COLUMNS. With `flat`,
+// list fields become text for CSV; otherwise they stay arrays for JSON.
+export function productRecord(p, { flat = true } = {}){
+  const variants = Array.isArray(p.variants) ? p.variants : [];
+  return {
+    id: String(p.id),
+    name: p.name || '',
+    description: p.description || '',
+    price: Number(p.price) || 0,
+    material: p.material || '',
+    height: p.height ?? '',
+    width: p.width ?? '',
+    depth: p.depth ?? '',
+    dimensionUnit: p.dimension_unit || '',
+    dimensions: p.dimensions || '',
+    weightKg: p.weight_kg ?? '',
+    stock: p.stock ?? 0,
+    madeToOrder: !!p.made_to_order,
+    leadTimeDays: p.lead_time_days ?? '',
+    categories: flat ? (p.categories || []).join(', ') : (p.categories || []),
+    hsn: p.hsn || '',
+    careNotes: p.care_notes || '',
+    images: flat ? (p.images || []).join(' | ') : (p.images || []),
+    variants: flat ? (variants.length ? JSON.stringify(variants) : '') : variants
+  };
+}
+
+export function productsToRows(products){
+  return [
+    PRODUCT_COLUMNS.map(c => c.key),
+    ...products.map(p => { const r = productRecord(p); return PRODUCT_COLUMNS.map(c => r[c.key]); })
+  ];
+}
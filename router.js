@@ -0,0 +1,84 @@
+// router.js
+// Small hash router shared by the storefront (app.js) and the admin (admin.js).
+// A route is `{ path, params }` and lives in the URL as `#/<path>?<params>`,
+// e.g. #/search?q=ganesha or #/product/<id>?modal=checkout. Hashes that don't
+// start with `#/` (Supabase's #access_token=… auth redirects) are left alone
+// and read as the empty route.
+
+const decode = (s) => { try{ return decodeURIComponent(s); }catch(_){ return s; } };
+
+export function parseRoute(hash = location.hash){
+  if(!hash.startsWith('#/')) return { path: [], params: {} };
+  const body = hash.slice(2);
+  const cut = body.indexOf('?');
+  const path = (cut < 0 ? body : body.slice(0, cut)).split('/').filter(Boolean).map(decode);
+  const params = Object.fromEntries(new URLSearchParams(cut < 0 ? '' : body.slice(cut + 1)));
+  return { path, params };
+}
+
+// Empty and null params are dropped, so `update({ q: null })` removes `q`.
+export function formatRoute({ path = [], params = {} } = {}){
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([k, v])=>{ if(v != null && v !== '') query.set(k, v); });
+  const q = query.toString();
+  return '#/' + path.map(encodeURIComponent).join('/') + (q ? '?' + q : '');
+}
+
+// `onRoute(route, previous)` runs on start(), after every go()/update()/close()
+// and when Back/Forward or a link changes the hash. It must be idempotent: the
+// same route can be applied more than once.
+export function createRouter(onRoute){
+  let current = parseRoute();
+  let applied = null; // hash last handed to onRoute
+  let moves = 0;      // in-app navigations since load
+
+  function emit(){
+    const hash = location.hash.startsWith('#/') ? location.hash : '';
+    if(hash === applied) return;
+    if(applied !== null) moves++;
+    applied = hash;
+    const previous = current;
+    current = parseRoute(hash);
+    onRoute(current, previous);
+  }
+
+  // Pushed entries remember the route they came from so close() can tell
+  // whether stepping Back lands on the same screen minus the closed params.
+  function go(route, { replace = false } = {}){
+    const hash = formatRoute(route);
+    if(hash !== location.hash){
+      if(replace) history.replaceState(history.state, '', hash);
+      else history.pushState({ from: formatRoute(current) }, '', hash);
+    }
+    emit();
+  }
+
+  function update(params, options){
+    go({ path: current.path, params: { ...current.params, ...params } }, options);
+  }
+
+  // Drops `keys` (typically `modal`) from the route. If the entry that added
+  // them was pushed from the route without them, goes Back instead so closing
+  // a modal doesn't leave a duplicate entry behind.
+  function close(...keys){
+    if(!keys.some(k => k in current.params)) return;
+    const next = { path: current.path, params: { ...current.params } };
+    keys.forEach(k => { delete next.params[k]; });
+    if(history.state?.from === formatRoute(next)) history.back();
+    else go(next, { replace: true });
+  }
+
+  // Back within the app, or to `fallback` when the page was opened on this route.
+  function back(fallback = { path: [] }){
+    if(moves > 0) history.back();
+    else go(fallback, { replace: true });
+  }
+
+  function start(){
+    window.addEventListener('popstate', emit);
+    window.addEventListener('hashchange', emit);
+    emit();
+  }
+
+  return { start, go, update, close, back, get current(){ return current; } };
+}
@@ -0,0 +1,190 @@
+// searchIndex.js
+// Client-side product search shared by the storefront and the admin. Ranks by
+// field weight and match quality, tolerates typos and the usual spelling
+// variants of romanised Hindi names (Ganesha/Ganesh/Ganesa), and expands deity
+// names through a synonym table (Ganpati → Ganesha, Kanha → Krishna, …).
+
+// Heavier fields count for more; every query word has to match somewhere.
+export const SEARCH_FIELDS = [
+  { key: 'name', weight: 4 },
+  { key: 'categories', weight: 2.5 },
+  { key: 'material', weight: 2.5 },
+  { key: 'description', weight: 1 }
+];
+
+// One group per deity/subject. Romanised spellings that fold to the same key
+// (see fold()) don't need listing twice. Honorifics like Shree are stopwords,
+// never synonyms: every "Shri …" product would match the group otherwise.
+export const SYNONYMS = [
+  ['ganesh', 'ganpati', 'ganapati', 'vinayak', 'vinayaka', 'gajanan', 'gajanana', 'lambodar', 'ekdant', 'vighnaharta', 'गणेश', 'गणपति'],
+  ['krishna', 'kanha', 'kanhaiya', 'gopal', 'govind', 'govinda', 'murlidhar', 'murari', 'shyam', 'keshav', 'madhav', 'कृष्ण', 'कान्हा'],
+  ['shiva', 'mahadev', 'mahadeva', 'shankar', 'bholenath', 'bhole', 'neelkanth', 'mahesh', 'rudra', 'shivling', 'शिव', 'महादेव'],
+  ['hanuman', 'bajrang', 'bajrangbali', 'maruti', 'anjaneya', 'pavanputra', 'हनुमान'],
+  ['durga', 'ambe', 'amba', 'sherawali', 'bhavani', 'jagdamba', 'दुर्गा'],
+  ['lakshmi', 'mahalakshmi', 'लक्ष्मी'],
+  ['saraswati', 'sharda', 'vagdevi', 'सरस्वती'],
+  ['vishnu', 'narayan', 'narayana', 'hari', 'विष्णु'],
+  ['ram', 'rama', 'raghav', 'raghunath', 'राम'],
+  ['parvati', 'gauri', 'uma', 'पार्वती'],
+  ['radha', 'radhe', 'radhika', 'राधा'],
+  ['murugan', 'kartikeya', 'skanda', 'subramanya'],
+  ['buddha', 'gautam', 'tathagata', 'बुद्ध'],
+  ['mahavir', 'mahaveer', 'vardhaman'],
+  ['sai', 'saibaba', 'shirdi', 'साईं'],
+  ['nandi', 'bull']
+];
+
+const STOPWORDS = ['a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'to', 'ji', 'shri', 'sri', 'lord', 'god'];
+
+// ---- Normalisation ---------------------------------------------------------
+const WORD_RE = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Folds a word so common romanisation variants compare equal: accents and
+// case dropped, ee→i, oo→u, x→ks, doubled letters and aspirate h's collapsed
+// (bh/dh/kh/sh…), w→v, and a trailing "a" dropped from longer words.
+export function fold(word){
+  let w = String(word).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  w = w.replace(/ee/g, 'i').replace(/oo/g, 'u').replace(/x/g, 'ks').replace(/w/g, 'v');
+  w = w.replace(/([a-z])\1+/g, '$1').replace(/([bcdgjkpst])h/g, '$1');
+  if(w.length > 3 && w.endsWith('a')) w = w.slice(0, -1);
+  return w;
+}
+
+export const tokens = (text) => Array.from(String(text ?? '').matchAll(WORD_RE), m => fold(m[0]));
+
+const STOP = new Set(STOPWORDS.map(fold));
+const GROUPS = SYNONYMS.map(group => [...new Set(group.map(fold))].filter(w => !STOP.has(w)));
+
+// Edits allowed for a folded word of this length.
+const allowedTypos = (len) => (len >= 7 ? 2 : len >= 4 ? 1 : 0);
+
+// Optimal string alignment distance (Levenshtein plus transpositions), giving
+// up early once it exceeds `max`.
+export function editDistance(a, b, max = Infinity){
+  if(Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for(let i = 1; i <= a.length; i++){
+    const row = [i];
+    let best = i;
+    for(let j = 1; j <= b.length; j++){
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if(prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if(best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// The terms a query word stands for, each with a match quality: itself, and
+// every name in a synonym group it spells (or nearly spells).
+function expand(term){
+  const out = new Map([[term, 1]]);
+  const typos = allowedTypos(term.length);
+  for(const group of GROUPS){
+    const d = Math.min(...group.map(m => editDistance(term, m, typos)));
+    if(d > typos) continue;
+    const quality = d === 0 ? 0.9 : 0.55;
+    group.forEach(m => { if(!out.has(m) || out.get(m) < quality) out.set(m, quality); });
+  }
+  return out;
+}
+
+// How well indexed word `v` matches query word `term`: exact or synonym, a
+// prefix of it (for search-as-you-type), or within the typo allowance.
+function matchQuality(v, term, expansions){
+  if(expansions.has(v)) return expansions.get(v);
+  if(term.length >= 2 && v.startsWith(term)) return 0.75;
+  const typos = allowedTypos(term.length);
+  if(!typos) return 0;
+  const d = editDistance(v, term, typos);
+  return d > typos ? 0 : d === 0 ? 1 : d === 1 ? 0.6 : 0.45;
+}
+
+// ---- Index -----------------------------------------------------------------
+// `items` are plain objects holding the SEARCH_FIELDS keys (arrays are joined).
+// search(query) returns `[{ item, score, terms }]`, best first; `terms` is the
+// set of folded words that matched, for highlight(). An empty query returns
+// every item in its original order.
+export function createSearchIndex(items, fields = SEARCH_FIELDS){
+  const vocab = new Map(); // folded word -> Map(item index -> best field weight)
+  items.forEach((item, i) => {
+    fields.forEach(({ key, weight }) => {
+      const value = item[key];
+      tokens(Array.isArray(value) ? value.join(' ') : value).forEach(t => {
+        let postings = vocab.get(t);
+        if(!postings) vocab.set(t, postings = new Map());
+        postings.set(i, Math.max(postings.get(i) || 0, weight));
+      });
+    });
+  });
+
+  function search(query){
+    const terms = tokens(query).filter(t => !STOP.has(t));
+    if(!terms.length) return items.map(item => ({ item, score: 0, terms: new Set() }));
+
+    let hits = null; // item index -> { score, terms }
+    for(const term of terms){
+      const expansions = expand(term);
+      const best = new Map();
+      for(const [v, postings] of vocab){
+        const quality = matchQuality(v, term, expansions);
+        if(!quality) continue;
+        for(const [i, weight] of postings){
+          const hit = best.get(i) || { score: 0, terms: new Set() };
+          hit.score = Math.max(hit.score, weight * quality);
+          hit.terms.add(v);
+          best.set(i, hit);
+        }
+      }
+      // Every word must match: keep only items found for all terms so far.
+      if(hits){
+        for(const [i, hit] of best){
+          const prev = hits.get(i);
+          if(prev){ hit.score += prev.score; prev.terms.forEach(t => hit.terms.add(t)); }
+        }
+        for(const i of best.keys()) if(!hits.has(i)) best.delete(i);
+      }
+      hits = best;
+      if(!hits.size) break;
+    }
+
+    return [...hits].map(([i, hit]) => ({ item: items[i], ...hit }))
+      .sort((a, b) => b.score - a.score || String(a.item.name).localeCompare(String(b.item.name)));
+  }
+
+  return { search };
+}
+
+// ---- Highlighting ----------------------------------------------------------
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// HTML-escapes `text`, wrapping words whose folded form is in `terms` in <mark>.
+export function highlight(text, terms){
+  const src = String(text ?? '');
+  if(!terms || !terms.size) return escapeHtml(src);
+  let out = '';
+  let last = 0;
+  for(const m of src.matchAll(WORD_RE)){
+    if(!terms.has(fold(m[0]))) continue;
+    out += escapeHtml(src.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return out + escapeHtml(src.slice(last));
+}
+
+// A highlighted excerpt of about `length` characters around the first match,
+// or '' when nothing in `text` matched.
+export function snippet(text, terms, length = 140){
+  const src = String(text ?? '');
+  const first = terms && terms.size ? Array.from(src.matchAll(WORD_RE)).find(m => terms.has(fold(m[0]))) : null;
+  if(!first) return '';
+  const start = Math.max(0, first.index - Math.floor(length / 3));
+  const end = Math.min(src.length, start + length);
+  return (start > 0 ? '…' : '') + highlight(src.slice(start, end), terms) + (end < src.length ? '…' : '');
+}
@@ -0,0 +1,22 @@
+// Run with `npm test` (node --test).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchIndex } from './searchIndex.js';
+
+const products = [
+  { name: 'Shri Ganesh Idol', categories: ['Ganesha'], material: 'Marble', description: 'Seated Ganesh' },
+  { name: 'Sri Mahalakshmi Murti', categories: ['Lakshmi'], material: 'Marble', description: 'Goddess of wealth' },
+  { name: 'Shree Krishna with Flute', categories: ['Krishna'], material: 'Sandstone', description: '' }
+];
+const names = (query) => createSearchIndex(products).search(query).map(r => r.item.name);
+
+test('lakshmi finds Lakshmi and not every Shri product', () => {
+  for(const query of ['lakshmi', 'laxmi']){
+    assert.deepEqual(names(query), ['Sri Mahalakshmi Murti'], query);
+  }
+});
+
+test('synonyms still expand', () => {
+  assert.deepEqual(names('ganpati'), ['Shri Ganesh Idol']);
+  assert.deepEqual(names('kanha'), ['Shree Krishna with Flute']);
+});
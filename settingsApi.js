@@ -0,0 +1,36 @@
+// settingsApi.js
+// Shop settings (`appConfig`: branding, WhatsApp number, deposit %, invoicing) are stored in the
+// app_settings table. Reads go straight to Supabase and are cached in
+// localStorage for offline use; writes go through the updateSettings function.
+// The owner's private settings (notification email and templates) are neither
+// public nor cached: only owners can fetch them, through getPrivateSettings.
+import supabase from './supabaseClient.js';
+import { callFunction } from './api.js';
+
+const CONFIG_KEY = 'appConfig';
+
+export function getCachedConfig(){
+  try { return JSON.parse(localStorage.getItem(CONFIG_KEY)) ?? {}; } catch(_) { return {}; }
+}
+function cacheConfig(config){
+  const merged = { ...getCachedConfig(), ...config };
+  localStorage.setItem(CONFIG_KEY, JSON.stringify(merged));
+  return merged;
+}
+
+export async function fetchAppConfig(){
+  const { data, error } = await supabase.from('app_settings').select('config').eq('id', 1).maybeSingle();
+  if(error) throw error;
+  return cacheConfig(data?.config || {});
+}
+
+export async function fetchPrivateSettings(){
+  const { privateSettings } = await callFunction('getPrivateSettings', { method: 'GET' });
+  return privateSettings || {};
+}
+
+// Resolves to { config, privateSettings } as saved.
+export async function saveAppConfig(changes){
+  const { config, privateSettings } = await callFunction('updateSettings', { body: changes });
+  return { config: cacheConfig(config), privateSettings: privateSettings || {} };
+}
@@ -0,0 +1,101 @@
+// shipping.js
+// Freight for stone statues, shared by the storefront (the quote in the order
+// modal), the admin (rate settings, shipments) and createOrder, which charges
+// it. PIN codes are grouped into zones by prefix, the longest matching prefix
+// winning. A zone charges a base fee plus a rate per kg of chargeable weight:
+// the heavier of the actual and the volumetric weight of the crate, as couriers
+// bill it. Every piece is crated, at a fee set by its height.
+import { sizeOf, convertLength, heightInInches } from './dimensions.js';
+import { PIN_RE } from './addresses.js';
+
+export const VOLUMETRIC_DIVISOR = 5000; // cm³ per kg
+export const CRATE_PADDING_CM = 10;     // foam and timber around each axis
+export const FALLBACK_KG = 15;          // pieces with neither a size nor a weight
+
+// First digits of Indian PIN codes follow the postal regions; 9 (Army Post
+// Office) is left out, so those addresses can't be quoted.
+export const DEFAULT_SHIPPING = {
+  zones: [
+    { name: 'North India', prefixes: ['1', '2'], base: 500, perKg: 30 },
+    { name: 'West India', prefixes: ['3', '4'], base: 500, perKg: 30 },
+    { name: 'South India', prefixes: ['5', '6'], base: 700, perKg: 40 },
+    { name: 'East & North-East India', prefixes: ['7', '8'], base: 800, perKg: 45 }
+  ],
+  // Tiers by statue height; the last tier (no upToIn) takes everything taller.
+  crating: [
+    { upToIn: 12, fee: 300 },
+    { upToIn: 36, fee: 1200 },
+    { upToIn: null, fee: 3000 }
+  ]
+};
+
+export const shippingConfigOf = (config) => config?.shipping?.zones?.length ? config.shipping : DEFAULT_SHIPPING;
+
+export function zoneFor(pin, shipping){
+  const p = String(pin || '').trim();
+  if(!PIN_RE.test(p)) return null;
+  let best = null;
+  let bestLen = 0;
+  shipping.zones.forEach(zone => zone.prefixes.forEach(prefix => {
+    if(p.startsWith(prefix) && prefix.length > bestLen){ best = zone; bestLen = prefix.length; }
+  }));
+  return best;
+}
+
+// { kg, heightIn } of one piece of a product (row or client shape, after
+// withOption() for a variant). heightIn is null when the size is unknown.
+export function pieceOf(product){
+  const size = sizeOf(product);
+  const actual = Number(product.weight_kg ?? product.weightKg) || 0;
+  let volumetric = 0;
+  if(size){
+    const cm = ['height', 'width', 'depth'].map(k => convertLength(size[k], size.unit, 'cm') + CRATE_PADDING_CM);
+    volumetric = cm.reduce((a, b) => a * b, 1) / VOLUMETRIC_DIVISOR;
+  }
+  return { kg: Math.max(actual, volumetric) || FALLBACK_KG, heightIn: heightInInches(size) };
+}
+
+export function cratingFee(heightIn, shipping){
+  const tiers = shipping.crating || [];
+  if(heightIn == null) return tiers.length ? tiers[Math.floor((tiers.length - 1) / 2)].fee : 0;
+  const tier = tiers.find(t => t.upToIn == null || heightIn <= t.upToIn) || tiers[tiers.length - 1];
+  return tier ? tier.fee : 0;
+}
+
+// The freight for `lines` ([{ product, qty }]) to `pin`, or null when the PIN
+// isn't in any zone. Amounts are whole rupees.
+export function quoteShipping(lines, pin, shipping){
+  const zone = zoneFor(pin, shipping);
+  if(!zone) return null;
+  let kg = 0;
+  let crating = 0;
+  lines.forEach(({ product, qty }) => {
+    const piece = pieceOf(product);
+    kg += piece.kg * qty;
+    crating += cratingFee(piece.heightIn, shipping) * qty;
+  });
+  const chargeableKg = Math.ceil(kg);
+  const freight = Math.round(zone.base + zone.perKg * chargeableKg);
+  return { pin: String(pin).trim(), zone: zone.name, chargeableKg, freight, crating, amount: freight + crating };
+}
+
+// ---- Couriers & tracking -----------------------------------------------------
+// `track` builds the public tracking page for an AWB; couriers without one
+// rely on the tracking URL entered with the shipment.
+export const COURIERS = [
+  { id: 'delhivery', name: 'Delhivery', track: (awb) => `https://www.delhivery.com/track/package/${encodeURIComponent(awb)}` },
+  { id: 'bluedart', name: 'Blue Dart', track: (awb) => `https://www.bluedart.com/web/guest/trackdartresult?trackFor=0&trackNo=${encodeURIComponent(awb)}` },
+  { id: 'dtdc', name: 'DTDC' },
+  { id: 'gati', name: 'Gati' },
+  { id: 'indiapost', name: 'India Post' },
+  { id: 'other', name: 'Other' }
+];
+export const courierName = (id) => COURIERS.find(c => c.id === id)?.name || id;
+
+// Link for an order's `shipment` ({ courier, awb, trackingUrl? }), or ''.
+export function trackingLink(shipment){
+  if(!shipment?.awb) return '';
+  if(shipment.trackingUrl) return shipment.trackingUrl;
+  const courier = COURIERS.find(c => c.id === shipment.courier);
+  return courier?.track ? courier.track(shipment.awb) : '';
+}
@@ -0,0 +1,28 @@
+-- Catalog table read by the storefront (anon) and written only by the Netlify
+-- functions in functions/ using the service_role key.
+create table if not exists public.products (
+  id          bigint generated by default as identity primary key,
+  name        text not null,
+  description text not null default '',
+  material    text not null default '',
+  dimensions  text not null default '',
+  price       numeric(12,2) not null check (price > 0),
+  categories  text[] not null default '{}',
+  image       text not null default '',
+  created_at  timestamptz not null default now()
+);
+
+alter table public.products enable row level security;
+
+drop policy if exists "products are readable by everyone" on public.products;
+create policy "products are readable by everyone"
+  on public.products for select
+  using (true);
+
+-- No insert/update/delete policies: the anon and authenticated roles cannot
+-- write. Admin writes go through addProduct/updateProduct/deleteProduct.
+
+-- Grant the admin role to a Supabase Auth user (run once per admin):
+--   update auth.users
+--      set raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb) || '{"role":"admin"}'
+--    where email = 'owner@example.com';
@@ -0,0 +1,21 @@
+-- Orders placed from the storefront. All reads and writes go through the
+-- createOrder/listOrders/updateOrderStatus functions, so RLS is enabled with no
+-- policies: anon and authenticated clients cannot touch the table directly.
+create extension if not exists pgcrypto;
+
+create table if not exists public.orders (
+  id               uuid primary key default gen_random_uuid(),
+  legacy_id        text unique,            -- id from the old per-browser `orders` key
+  user_id          uuid references auth.users(id) on delete set null,
+  product_id       text,
+  product_snapshot jsonb not null,         -- { name, price, image, material, dimensions }
+  customer         jsonb not null,         -- { name, address, phone, email, notes }
+  status           text not null default 'pending' check (status in ('pending','completed')),
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now()
+);
+
+create index if not exists orders_created_at_idx on public.orders (created_at desc);
+create index if not exists orders_user_id_idx on public.orders (user_id);
+
+alter table public.orders enable row level security;
@@ -0,0 +1,33 @@
+-- Named admins with owner/staff roles, and server-side shop settings.
+--
+-- Roles live in auth.users.raw_app_meta_data ->> 'role' ('owner' | 'staff'),
+-- which only the service role can write. Owners manage the team from the admin
+-- Settings view (inviteAdmin / setAdminRole functions); the very first owner
+-- has to be granted by hand:
+--   update auth.users
+--      set raw_app_meta_data = coalesce(raw_app_meta_data, '{}'::jsonb) || '{"role":"owner"}'
+--    where email = 'owner@example.com';
+
+-- Admins granted the old single 'admin' role become owners.
+update auth.users
+   set raw_app_meta_data = raw_app_meta_data || '{"role":"owner"}'
+ where raw_app_meta_data ->> 'role' = 'admin';
+
+-- Branding and contact settings shown on the storefront (the `appConfig` object).
+create table if not exists public.app_settings (
+  id         smallint primary key default 1 check (id = 1),
+  config     jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now(),
+  updated_by uuid references auth.users(id) on delete set null
+);
+
+insert into public.app_settings (id, config)
+values (1, '{"logo":"","tagline":"Handcrafted Stone & Marble Statues","whatsappNumber":"+919999999999"}')
+on conflict (id) do nothing;
+
+alter table public.app_settings enable row level security;
+
+drop policy if exists "settings are readable by everyone" on public.app_settings;
+create policy "settings are readable by everyone"
+  on public.app_settings for select
+  using (true);
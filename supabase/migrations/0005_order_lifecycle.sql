@@ -0,0 +1,17 @@
+-- Full order lifecycle: pending → confirmed → carving → ready → shipped →
+-- delivered, plus cancelled. Every transition is appended to `history` as
+-- { status, at, by: { id, name, email, role } | null, note }.
+alter table public.orders drop constraint if exists orders_status_check;
+
+update public.orders set status = 'delivered' where status = 'completed';
+
+alter table public.orders
+  add constraint orders_status_check
+  check (status in ('pending','confirmed','carving','ready','shipped','delivered','cancelled'));
+
+alter table public.orders add column if not exists history jsonb not null default '[]'::jsonb;
+
+-- Existing orders start their history with the status they already had.
+update public.orders
+   set history = jsonb_build_array(jsonb_build_object('status', status, 'at', created_at, 'by', null))
+ where history = '[]'::jsonb;
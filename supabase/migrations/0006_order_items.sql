@@ -0,0 +1,18 @@
+-- Multi-item orders. Each order carries its line items as
+-- [{ productId, qty, productSnapshot, subtotal }] plus the order total;
+-- the old single-product columns are folded into a one-line `items`.
+alter table public.orders add column if not exists items jsonb not null default '[]'::jsonb;
+alter table public.orders add column if not exists total numeric(12,2) not null default 0;
+
+update public.orders
+   set items = jsonb_build_array(jsonb_build_object(
+         'productId', product_id,
+         'qty', 1,
+         'productSnapshot', product_snapshot,
+         'subtotal', coalesce((product_snapshot ->> 'price')::numeric, 0)
+       )),
+       total = coalesce((product_snapshot ->> 'price')::numeric, 0)
+ where items = '[]'::jsonb and product_snapshot is not null;
+
+alter table public.orders drop column if exists product_snapshot;
+alter table public.orders drop column if exists product_id;
@@ -0,0 +1,13 @@
+-- Online payments. `payments` records every attempt as
+-- { provider, providerOrderId, kind: 'deposit' | 'full', amount, status:
+--   'created' | 'captured', paymentId, createdAt, paidAt }; `amount_paid` and
+-- `payment_status` only move when a payment is verified by verifyPayment.
+alter table public.orders add column if not exists payment_status text not null default 'unpaid';
+alter table public.orders drop constraint if exists orders_payment_status_check;
+alter table public.orders
+  add constraint orders_payment_status_check check (payment_status in ('unpaid','partial','paid'));
+
+alter table public.orders add column if not exists amount_paid numeric(12,2) not null default 0;
+alter table public.orders add column if not exists balance_due numeric(12,2)
+  generated always as (greatest(total - amount_paid, 0)) stored;
+alter table public.orders add column if not exists payments jsonb not null default '[]'::jsonb;
@@ -0,0 +1,24 @@
+-- Bespoke commission requests. A customer describes the piece they want;
+-- staff reply with a quote { price, leadTime, message, by, at }; accepting the
+-- quote creates an order and links it via order_id. Like orders, all access
+-- goes through the functions, so RLS is enabled with no policies.
+create table if not exists public.commissions (
+  id               uuid primary key default gen_random_uuid(),
+  user_id          uuid references auth.users(id) on delete set null,
+  customer         jsonb not null,         -- { name, address, phone, email, notes }
+  subject          text not null,          -- deity / subject description
+  material         text not null,
+  dimensions       text not null,          -- approximate, free text
+  budget           numeric(12,2),
+  reference_images jsonb not null default '[]'::jsonb,
+  status           text not null default 'new' check (status in ('new','quoted','accepted','declined')),
+  quote            jsonb,
+  order_id         uuid references public.orders(id) on delete set null,
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now()
+);
+
+create index if not exists commissions_created_at_idx on public.commissions (created_at desc);
+create index if not exists commissions_user_id_idx on public.commissions (user_id);
+
+alter table public.commissions enable row level security;
@@ -0,0 +1,58 @@
+-- GST tax invoices. Invoice numbers run sequentially per Indian financial year
+-- (April–March) as <prefix>/<FY>/<nnnnn>, e.g. INV/2026-27/00042. Issuing
+-- freezes the seller details and tax settings on the order in `invoice`:
+-- { number, issuedAt, seller: { name, gstin, address }, gstRate, hsn }.
+alter table public.products add column if not exists hsn text not null default '';
+
+alter table public.orders add column if not exists invoice jsonb;
+create unique index if not exists orders_invoice_number_idx on public.orders ((invoice ->> 'number'));
+
+create table if not exists public.invoice_counters (
+  fiscal_year text primary key,
+  last_number integer not null
+);
+alter table public.invoice_counters enable row level security;
+
+-- Assigns the next number and stores `p_details` as the order's invoice, all
+-- under a row lock so concurrent calls can neither skip nor reuse a number.
+-- Returns the existing invoice if the order already has one.
+create or replace function public.issue_invoice(p_order_id uuid, p_prefix text, p_details jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice jsonb;
+  v_local timestamp := now() at time zone 'Asia/Kolkata';
+  v_year integer := extract(year from v_local)::integer;
+  v_fy text;
+  v_n integer;
+begin
+  select invoice into v_invoice from public.orders where id = p_order_id for update;
+  if not found then
+    raise exception 'order % not found', p_order_id using errcode = 'P0002';
+  end if;
+  if v_invoice is not null then
+    return v_invoice;
+  end if;
+
+  if extract(month from v_local) < 4 then
+    v_year := v_year - 1;
+  end if;
+  v_fy := v_year::text || '-' || lpad(((v_year + 1) % 100)::text, 2, '0');
+
+  insert into public.invoice_counters (fiscal_year, last_number) values (v_fy, 1)
+  on conflict (fiscal_year) do update set last_number = public.invoice_counters.last_number + 1
+  returning last_number into v_n;
+
+  v_invoice := coalesce(p_details, '{}'::jsonb) || jsonb_build_object(
+    'number', p_prefix || '/' || v_fy || '/' || lpad(v_n::text, 5, '0'),
+    'issuedAt', now()
+  );
+  update public.orders set invoice = v_invoice, updated_at = now() where id = p_order_id;
+  return v_invoice;
+end;
+$$;
+
+revoke execute on function public.issue_invoice(uuid, text, jsonb) from public, anon, authenticated;
@@ -0,0 +1,8 @@
+-- Products carry an ordered list of images (the first is the cover shown on
+-- cards and in order snapshots) instead of a single `image`, plus optional
+-- care notes for the product page.
+alter table public.products add column if not exists images text[] not null default '{}';
+update public.products set images = array[image] where image <> '' and images = '{}';
+alter table public.products drop column if exists image;
+
+alter table public.products add column if not exists care_notes text not null default '';
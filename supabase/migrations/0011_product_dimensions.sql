@@ -0,0 +1,75 @@
+-- Structured product sizes: height/width/depth in `dimension_unit` ('in' or
+-- 'cm') and an optional weight. `dimensions` stays as the display label; the
+-- product functions now write it from the structured fields.
+alter table public.products
+  add column if not exists height numeric(8,1) check (height > 0),
+  add column if not exists width numeric(8,1) check (width > 0),
+  add column if not exists depth numeric(8,1) check (depth > 0),
+  add column if not exists dimension_unit text check (dimension_unit in ('in', 'cm')),
+  add column if not exists weight_kg numeric(10,2) check (weight_kg > 0);
+
+-- Backfill by parsing the free text, following parseDimensions() in
+-- dimensions.js: parts labelled H/W/D first, then H × W × D order; a part
+-- without a unit takes the last unit in the string (inches if none); feet
+-- become inches and millimetres centimetres. Rows that don't yield all three
+-- keep only their text until an admin fills the fields in.
+create function pg_temp.parse_size(txt text)
+returns table (height numeric, width numeric, depth numeric, unit text)
+language plpgsql immutable as $$
+declare
+  unit_re constant text := '(cm|centimet\w*|mm|ft|feet|foot|inches|inch|in\M|"|'')';
+  labels constant text[] := array[
+    '\m(h|ht|height|tall|high)\M',
+    '\m(w|wd|width|wide)\M',
+    '\m(d|dp|depth|deep|l|length|long)\M'
+  ];
+  parts text[];
+  unlabelled text[] := '{}';
+  fallback text;
+  base text;
+  vals numeric[] := array[null, null, null]::numeric[];
+  part text;
+  m text[];
+  u text;
+  v numeric;
+begin
+  parts := array(
+    select p from unnest(regexp_split_to_array(coalesce(txt, ''), '\s*(×|\*|,|;|\mx\M|(?<=\d)x(?=\d))\s*', 'i')) p
+    where p ~ '\d'
+  );
+  fallback := coalesce(lower((regexp_match(txt, '.*\d\s*' || unit_re, 'i'))[1]), 'in');
+  base := case when fallback ~ '^(cm|centimet|mm)' then 'cm' else 'in' end;
+  foreach part in array parts loop
+    if not (part ~* labels[1] or part ~* labels[2] or part ~* labels[3]) then
+      unlabelled := unlabelled || part;
+    end if;
+  end loop;
+
+  for i in 1..3 loop
+    part := (select p from unnest(parts) p where p ~* labels[i] limit 1);
+    if part is null then
+      part := unlabelled[1];
+      unlabelled := unlabelled[2:];
+    end if;
+    continue when part is null;
+    m := regexp_match(part, '(\d+(?:\.\d+)?)\s*' || unit_re || '?', 'i');
+    u := lower(coalesce(m[2], fallback));
+    v := m[1]::numeric * case when u = 'mm' then 0.1 when u ~ '^(ft|feet|foot|'')$' then 12 else 1 end;
+    if u ~ '^(cm|centimet|mm)' and base = 'in' then v := v / 2.54;
+    elsif u !~ '^(cm|centimet|mm)' and base = 'cm' then v := v * 2.54;
+    end if;
+    vals[i] := round(v, 1);
+  end loop;
+
+  return query select vals[1], vals[2], vals[3], base;
+end $$;
+
+with parsed as (
+  select pr.id, s.height, s.width, s.depth, s.unit
+  from public.products pr, lateral pg_temp.parse_size(pr.dimensions) s
+)
+update public.products p
+   set height = parsed.height, width = parsed.width, depth = parsed.depth, dimension_unit = parsed.unit
+  from parsed
+ where parsed.id = p.id
+   and parsed.height > 0 and parsed.width > 0 and parsed.depth > 0;
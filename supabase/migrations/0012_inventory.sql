@@ -0,0 +1,57 @@
+-- Stock tracking. `stock` counts pieces on hand; made-to-order products are
+-- carved per order, ignore stock and quote `lead_time_days` instead.
+alter table public.products
+  add column if not exists stock integer not null default 0 check (stock >= 0),
+  add column if not exists made_to_order boolean not null default false,
+  add column if not exists lead_time_days integer check (lead_time_days between 1 and 365);
+
+-- Until someone counts the workshop, existing products stay orderable.
+update public.products set made_to_order = true where stock = 0 and not made_to_order;
+
+-- Takes `qty` off every line's product in one transaction, failing (and
+-- reserving nothing) if any of them doesn't have enough left. `p_lines` is
+-- [{ productId, qty }]; createOrder only passes lines that aren't made to order.
+create or replace function public.reserve_stock(p_lines jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line record;
+begin
+  for v_line in
+    select (e ->> 'productId')::bigint as product_id, (e ->> 'qty')::integer as qty
+    from jsonb_array_elements(p_lines) e
+    order by 1 -- fixed lock order so concurrent orders can't deadlock
+  loop
+    update public.products set stock = stock - v_line.qty
+     where id = v_line.product_id and stock >= v_line.qty;
+    if not found then
+      raise exception 'out of stock: %', v_line.product_id using errcode = 'P0001';
+    end if;
+  end loop;
+end;
+$$;
+
+-- Puts reserved pieces back (order cancelled, or the insert after reserving
+-- failed). Products deleted since are skipped.
+create or replace function public.release_stock(p_lines jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.products p set stock = p.stock + l.qty
+    from (
+      select (e ->> 'productId')::bigint as product_id, sum((e ->> 'qty')::integer) as qty
+      from jsonb_array_elements(p_lines) e
+      group by 1
+    ) l
+   where p.id = l.product_id;
+end;
+$$;
+
+revoke execute on function public.reserve_stock(jsonb) from public, anon, authenticated;
+revoke execute on function public.release_stock(jsonb) from public, anon, authenticated;
@@ -0,0 +1,6 @@
+-- Other materials/sizes of the same piece, each with its own price and image:
+-- [{ id, material, height, width, depth, unit, price, image }]. The product's
+-- own columns stay its default option (see variants.js); stock is shared.
+alter table public.products
+  add column if not exists variants jsonb not null default '[]'::jsonb
+    check (jsonb_typeof(variants) = 'array');
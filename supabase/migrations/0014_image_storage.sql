@@ -0,0 +1,7 @@
+-- Product images and the logo live in Supabase Storage instead of base64 in
+-- table rows. The bucket is public for reading; uploads go through the
+-- uploadImage function with the service role, so no storage policies are
+-- needed for writes. Existing data URLs keep working until re-uploaded.
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('images', 'images', true, 2097152, array['image/webp', 'image/jpeg', 'image/png'])
+on conflict (id) do nothing;
@@ -0,0 +1,5 @@
+-- Saved products of a signed-in customer, newest first (product ids as text,
+-- as the storefront uses them). Covered by the existing "update own" policy.
+alter table public.profiles
+  add column if not exists wishlist text[] not null default '{}'
+    check (cardinality(wishlist) <= 100);
@@ -0,0 +1,6 @@
+-- Freight and shipments. `shipping` is the quote charged when the order was
+-- placed (see shipping.js): { pin, zone, chargeableKg, freight, crating, amount },
+-- already included in `total`. `shipment` is filled in when the order ships:
+-- { courier, awb, trackingUrl?, shippedAt }.
+alter table public.orders add column if not exists shipping jsonb;
+alter table public.orders add column if not exists shipment jsonb;
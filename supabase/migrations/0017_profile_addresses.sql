@@ -0,0 +1,32 @@
+-- Saved delivery addresses of a signed-in customer, default first:
+-- [{ id, label, line1, line2, city, state, pin }] (see addresses.js). `address`
+-- keeps the one-line form of the default. Covered by the "update own" policy.
+alter table public.profiles
+  add column if not exists addresses jsonb not null default '[]'::jsonb
+    check (jsonb_typeof(addresses) = 'array' and jsonb_array_length(addresses) <= 10);
+
+-- Signup now sends the first address in the metadata as well.
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer set search_path = public
+as $$
+declare
+  v_addresses jsonb := new.raw_user_meta_data -> 'addresses';
+begin
+  if v_addresses is null or jsonb_typeof(v_addresses) <> 'array' or jsonb_array_length(v_addresses) > 10 then
+    v_addresses := '[]'::jsonb;
+  end if;
+  insert into public.profiles (id, email, name, phone, address, addresses)
+  values (
+    new.id,
+    coalesce(new.email, ''),
+    coalesce(new.raw_user_meta_data ->> 'name', ''),
+    coalesce(new.raw_user_meta_data ->> 'phone', ''),
+    coalesce(new.raw_user_meta_data ->> 'address', ''),
+    v_addresses
+  )
+  on conflict (id) do nothing;
+  return new;
+end;
+$$;
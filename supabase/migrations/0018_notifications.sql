@@ -0,0 +1,23 @@
+-- Delivery log of order notifications (see functions/_lib/notifications/):
+-- one row per message, whether it was sent, failed or skipped for want of a
+-- recipient. Only the functions read and write it, so RLS is on with no
+-- policies.
+create table if not exists public.notification_log (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid references public.orders(id) on delete set null,
+  event text not null,
+  audience text not null check (audience in ('customer', 'owner')),
+  channel text not null check (channel in ('email', 'whatsapp')),
+  recipient text not null default '',
+  subject text not null default '',
+  body text not null default '',
+  status text not null check (status in ('sent', 'failed', 'skipped')),
+  provider text,
+  provider_message_id text,
+  error text,
+  created_at timestamptz not null default now()
+);
+create index if not exists notification_log_order_idx on public.notification_log (order_id, created_at desc);
+create index if not exists notification_log_created_idx on public.notification_log (created_at desc);
+
+alter table public.notification_log enable row level security;
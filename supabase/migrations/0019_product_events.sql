@@ -0,0 +1,31 @@
+-- Storefront clicks for the admin's product funnel (see analytics.js): the
+-- WhatsApp button and Add to Cart, one row per click. Written by the
+-- trackEvent function and read through product_event_counts(), so RLS is on
+-- with no policies.
+create table if not exists public.product_events (
+  id         bigint generated by default as identity primary key,
+  product_id bigint not null references public.products(id) on delete cascade,
+  kind       text not null check (kind in ('whatsapp', 'order')),
+  created_at timestamptz not null default now()
+);
+create index if not exists product_events_created_idx on public.product_events (created_at);
+
+alter table public.product_events enable row level security;
+
+-- Clicks per product and kind in [p_from, p_to); either bound may be null.
+create or replace function public.product_event_counts(p_from timestamptz, p_to timestamptz)
+returns table (product_id bigint, whatsapp bigint, order_clicks bigint)
+language sql
+stable
+set search_path = public
+as $$
+  select e.product_id,
+         count(*) filter (where e.kind = 'whatsapp'),
+         count(*) filter (where e.kind = 'order')
+  from product_events e
+  where (p_from is null or e.created_at >= p_from)
+    and (p_to is null or e.created_at < p_to)
+  group by e.product_id;
+$$;
+
+revoke execute on function public.product_event_counts(timestamptz, timestamptz) from public, anon, authenticated;
@@ -0,0 +1,26 @@
+-- Settings only the functions and the owner may see: where the owner's
+-- notifications go and the edited message templates (see notifications.js).
+-- app_settings is readable by everyone, so they move out of it into a row
+-- of their own. RLS is on with no policies; owners read and write it through
+-- the getPrivateSettings and updateSettings functions.
+create table if not exists public.private_settings (
+  id         smallint primary key default 1 check (id = 1),
+  config     jsonb not null default '{}'::jsonb,
+  updated_at timestamptz not null default now(),
+  updated_by uuid references auth.users(id) on delete set null
+);
+
+alter table public.private_settings enable row level security;
+
+insert into public.private_settings (id, config)
+select 1, jsonb_strip_nulls(jsonb_build_object(
+  'ownerEmail', config -> 'ownerEmail',
+  'notificationTemplates', config -> 'notificationTemplates'
+))
+from public.app_settings
+where id = 1
+on conflict (id) do nothing;
+
+update public.app_settings
+   set config = config - 'ownerEmail' - 'notificationTemplates'
+ where id = 1;
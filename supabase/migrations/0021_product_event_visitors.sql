@@ -0,0 +1,7 @@
+-- Repeat clicks from one visitor are counted once per DEDUPE_MINUTES (see
+-- functions/trackEvent.js). `visitor` is a keyed hash of the client's IP and
+-- user agent that changes daily, never the address itself.
+alter table public.product_events add column if not exists visitor text;
+
+create index if not exists product_events_visitor_idx
+  on public.product_events (visitor, product_id, kind, created_at desc);
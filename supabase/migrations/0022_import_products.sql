@@ -0,0 +1,39 @@
+-- Catalog imports in one transaction (see functions/importProducts.js): all
+-- rows are saved or none are. `p_creates` is an array of product rows,
+-- `p_updates` of { row, id, product, expectedStock? } where `product` holds
+-- just the columns to change; the keys are column names checked by
+-- validateProduct(). An update that sets `stock` only applies while the stock
+-- is still `expectedStock`, so pieces reserved meanwhile aren't put back on
+-- sale; otherwise (or if the product is gone) the whole import fails with
+-- 'changed meanwhile: <row>'.
+create or replace function public.import_products(p_creates jsonb, p_updates jsonb)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_item jsonb;
+  v_cols text;
+  v_count integer;
+begin
+  for v_item in select e from jsonb_array_elements(coalesce(p_creates, '[]'::jsonb)) e loop
+    select string_agg(quote_ident(k), ', ') into v_cols from jsonb_object_keys(v_item) k;
+    execute format('insert into products (%1$s) select %1$s from jsonb_populate_record(null::products, $1)', v_cols)
+      using v_item;
+  end loop;
+
+  for v_item in select e from jsonb_array_elements(coalesce(p_updates, '[]'::jsonb)) e loop
+    select string_agg(quote_ident(k), ', ') into v_cols from jsonb_object_keys(v_item -> 'product') k;
+    continue when v_cols is null;
+    execute format('update products set (%1$s) = (select %1$s from jsonb_populate_record(null::products, $1))'
+                   ' where id = $2 and ($3::integer is null or stock = $3)', v_cols)
+      using v_item -> 'product', (v_item ->> 'id')::bigint, (v_item ->> 'expectedStock')::integer;
+    get diagnostics v_count = row_count; -- EXECUTE doesn't set FOUND
+    if v_count = 0 then
+      raise exception 'changed meanwhile: %', v_item ->> 'row' using errcode = 'P0001';
+    end if;
+  end loop;
+end;
+$$;
+
+revoke execute on function public.import_products(jsonb, jsonb) from public, anon, authenticated;
@@ -0,0 +1,85 @@
+// variants.js
+// Product options. A product's own material, size, price and cover image are
+// its default option; `variants` adds more of the same piece in other stones
+// or sizes, each `{ id, material, height, width, depth, unit, price, image }`.
+// Shared by the storefront, the admin and the product/order functions.
+import { sizeOf, readSize, formatSize } from './dimensions.js';
+
+export const MAX_VARIANTS = 12;
+const ID_RE = /^[a-z0-9]{1,16}$/;
+
+export const newVariantId = () => Math.random().toString(36).slice(2, 8);
+
+// Every option of a product row or client product, the default one first
+// (its id is ''). Options carry `size` (see dimensions.js) or null.
+export function optionsOf(p){
+  const base = {
+    id: '',
+    material: p.material || '',
+    price: Number(p.price) || 0,
+    size: sizeOf(p),
+    image: (p.images || [])[0] || p.image || ''
+  };
+  const variants = (Array.isArray(p.variants) ? p.variants : []).map(v => ({
+    id: String(v.id),
+    material: v.material || '',
+    price: Number(v.price) || 0,
+    size: sizeOf(v),
+    image: v.image || base.image
+  }));
+  return [base, ...variants];
+}
+
+export const hasVariants = (p) => Array.isArray(p.variants) && p.variants.length > 0;
+
+export function findOption(p, variantId){
+  return optionsOf(p).find(o => o.id === String(variantId || '')) || null;
+}
+
+// The product as if `option` were its only one: what order snapshots record.
+// A default option without a structured size keeps the legacy `dimensions` text.
+export function withOption(p, option){
+  const { size } = option;
+  return {
+    ...p,
+    material: option.material,
+    price: option.price,
+    images: option.image ? [option.image, ...(p.images || []).filter(src => src !== option.image)] : (p.images || []),
+    ...(size ? { height: size.height, width: size.width, depth: size.depth, dimension_unit: size.unit, dimensions: formatSize(size) } : {})
+  };
+}
+
+// "Sandstone, 36 × 18 × 14 in" for pickers and order snapshots.
+export function optionLabel(option, unit){
+  const size = option.size ? formatSize(option.size, unit || option.size.unit, { axes: false }) : '';
+  return [option.material, size].filter(Boolean).join(', ');
+}
+
+// ---- Form / payload validation ---------------------------------------------
+// Reads raw variant fields (admin form rows or the API payload) into the stored
+// shape; `{ value, errors }` like readSize(). Image references are checked by
+// validateProduct() along with the product's own images.
+export function readVariant(raw){
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const errors = {};
+  const id = String(r.id || '').trim().toLowerCase();
+  const material = typeof r.material === 'string' ? r.material.trim() : '';
+  const price = Number(r.price);
+  const size = readSize({ height: r.height, width: r.width, depth: r.depth, dimensionUnit: r.unit });
+  if(id && !ID_RE.test(id)) errors.id = 'Invalid variant id';
+  if(!material) errors.material = 'Required';
+  else if(material.length > 200) errors.material = 'Too long';
+  if(!Number.isFinite(price) || price <= 0) errors.price = 'Must be a positive number';
+  const { dimensionUnit, ...axes } = size.errors;
+  Object.assign(errors, axes, dimensionUnit ? { unit: dimensionUnit } : {});
+  return {
+    value: {
+      id: id || newVariantId(),
+      material,
+      ...size.value,
+      price: Math.round(price * 100) / 100,
+      image: typeof r.image === 'string' ? r.image.trim() : ''
+    },
+    errors
+  };
+}